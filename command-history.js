@@ -0,0 +1,151 @@
+// Command History (undo/redo)
+// Every mutation is stored as a list of voxel changes: { key, before, after }
+// where before/after are voxel data ({ x, y, z, color, material }) or null for "empty".
+// Undo re-applies the befores in reverse order, redo re-applies the afters.
+// Other scene state (the palette and scene metadata, when a file is loaded) rides along as
+// a change with its own key and JSON-string before/after, so it undoes in the same step as
+// the voxels.
+class CommandHistory {
+
+    constructor(applyChange, limit = 200) {
+        this.applyChange = applyChange; // (key, voxel|null) => void
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.openGroup = null;
+        this.listeners = [];
+    }
+
+    // Apply changes and record them as a single command (or merge into the open group)
+    execute(label, changes) {
+        const effective = changes.filter(c => !sameVoxel(c.before, c.after));
+        if (effective.length === 0) return false;
+
+        effective.forEach(c => this.applyChange(c.key, c.after));
+        this.record(label, effective);
+        return true;
+    }
+
+    // Record changes that were already applied to the world
+    record(label, changes) {
+        if (this.openGroup) {
+            changes.forEach(c => {
+                const existing = this.openGroup.changes.get(c.key);
+                if (existing) {
+                    // Keep the original "before" so the whole group reverts cleanly
+                    existing.after = c.after;
+                } else {
+                    this.openGroup.changes.set(c.key, { ...c });
+                }
+            });
+            return;
+        }
+
+        this.push({ label, changes, timestamp: Date.now() });
+    }
+
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+
+    // Grouping: everything executed between begin/end undoes as one step
+    beginGroup(label) {
+        if (this.openGroup) {
+            this.openGroup.depth++;
+            return;
+        }
+        this.openGroup = { label, changes: new Map(), depth: 1 };
+    }
+
+    endGroup() {
+        if (!this.openGroup) return;
+        if (--this.openGroup.depth > 0) return;
+
+        const group = this.openGroup;
+        this.openGroup = null;
+
+        const changes = Array.from(group.changes.values()).filter(c => !sameVoxel(c.before, c.after));
+        if (changes.length > 0) {
+            this.push({ label: group.label, changes, timestamp: Date.now() });
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        this.endGroup();
+        if (!this.canUndo()) return null;
+
+        const command = this.undoStack.pop();
+        for (let i = command.changes.length - 1; i >= 0; i--) {
+            const c = command.changes[i];
+            this.applyChange(c.key, c.before);
+        }
+        this.redoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    redo() {
+        this.endGroup();
+        if (!this.canRedo()) return null;
+
+        const command = this.redoStack.pop();
+        command.changes.forEach(c => this.applyChange(c.key, c.after));
+        this.undoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.openGroup = null;
+        this.notify();
+    }
+
+    // Inspectable summary, oldest first. Redo-able entries are flagged as undone.
+    list() {
+        const summarize = (command, undone) => ({
+            label: command.label,
+            size: command.changes.length,
+            timestamp: command.timestamp,
+            undone
+        });
+        return [
+            ...this.undoStack.map(c => summarize(c, false)),
+            ...this.redoStack.slice().reverse().map(c => summarize(c, true))
+        ];
+    }
+
+    get length() {
+        return this.undoStack.length;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+function sameVoxel(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    return a.x === b.x && a.y === b.y && a.z === b.z && a.color === b.color && a.material === b.material;
+}
+
+export default CommandHistory;
@@ -0,0 +1,127 @@
+// Gesture -> Action Bindings
+// Maps recognizer gestures (built-in or user-recorded) to editor actions.
+// Persisted in localStorage so a user's layout survives reloads.
+
+const STORAGE_KEY = 'volex_gesture_bindings';
+
+// hold:       fires once after the gesture is held for `delay` ms (retry: until it succeeds)
+// continuous: runs every frame while the gesture is held (twoHand: needs a two-hand gesture)
+const ACTIONS = {
+    none: { name: 'Hover (nothing)', kind: 'none' },
+    place: { name: 'Place block', kind: 'hold', delay: 2000, retry: true },
+    remove: { name: 'Remove block', kind: 'hold', delay: 2000, retry: true },
+    undo: { name: 'Undo', kind: 'hold', delay: 2000 },
+    redo: { name: 'Redo', kind: 'hold', delay: 2000 },
+    colorNext: { name: 'Next color', kind: 'hold', delay: 800 },
+    colorPrev: { name: 'Previous color', kind: 'hold', delay: 800 },
+    toggleErase: { name: 'Toggle erase mode', kind: 'hold', delay: 800 },
+    copy: { name: 'Copy selection', kind: 'hold', delay: 800 },
+    cut: { name: 'Cut selection', kind: 'hold', delay: 800 },
+    paste: { name: 'Paste (stamp at cursor)', kind: 'hold', delay: 800 },
+    moveSelection: { name: 'Pick up selection', kind: 'hold', delay: 800 },
+    rotateSelection: { name: 'Rotate selection 90°', kind: 'hold', delay: 800 },
+    mirrorSelection: { name: 'Mirror selection', kind: 'hold', delay: 800 },
+    deleteSelection: { name: 'Delete selection', kind: 'hold', delay: 800 },
+    cancel: { name: 'Cancel / deselect', kind: 'hold', delay: 800 },
+    rotate: { name: 'Rotate scene', kind: 'continuous' },
+    zoomIn: { name: 'Zoom in', kind: 'continuous' },
+    zoomOut: { name: 'Zoom out', kind: 'continuous' },
+    manipulate: { name: 'Zoom / turn / pan view', kind: 'continuous', twoHand: true }
+};
+
+// Gestures the recognizer always produces, with their out-of-the-box actions.
+// Motion gestures fire their action once when the movement completes.
+const BUILTIN_GESTURES = [
+    { type: 'OPEN_PALM', name: 'Open Palm', emoji: '✋', action: 'none' },
+    { type: 'PINCH', name: 'Pinch', emoji: '👌', action: 'place' },
+    { type: 'CLOSED', name: 'Fist', emoji: '✊', action: 'rotate' },
+    { type: 'VICTORY', name: 'Peace', emoji: '✌️', action: 'undo' },
+    { type: 'THUMBS_UP', name: 'Thumbs Up', emoji: '👍', action: 'redo' },
+    { type: 'SWIPE_LEFT', name: 'Swipe Left', emoji: '👈', action: 'colorPrev', motion: true },
+    { type: 'SWIPE_RIGHT', name: 'Swipe Right', emoji: '👉', action: 'colorNext', motion: true },
+    { type: 'SWIPE_UP', name: 'Swipe Up', emoji: '👆', action: 'none', motion: true },
+    { type: 'SWIPE_DOWN', name: 'Swipe Down', emoji: '👇', action: 'toggleErase', motion: true },
+    { type: 'FLICK_LEFT', name: 'Flick Left', emoji: '⏪', action: 'none', motion: true },
+    { type: 'FLICK_RIGHT', name: 'Flick Right', emoji: '⏩', action: 'none', motion: true },
+    { type: 'FLICK_UP', name: 'Flick Up', emoji: '⏫', action: 'none', motion: true },
+    { type: 'FLICK_DOWN', name: 'Flick Down', emoji: '⏬', action: 'remove', motion: true },
+    { type: 'CIRCLE_CW', name: 'Circle Clockwise', emoji: '🔃', action: 'redo', motion: true },
+    { type: 'CIRCLE_CCW', name: 'Circle Counter-Clockwise', emoji: '🔄', action: 'undo', motion: true },
+    { type: 'TWO_HAND_PINCH', name: 'Two-Hand Pinch', emoji: '🙌', action: 'manipulate', twoHand: true },
+    { type: 'ZOOM_IN', name: 'Two Fists', emoji: '🔍', action: 'zoomIn', twoHand: true },
+    { type: 'ZOOM_OUT', name: 'Fist + Palm', emoji: '🔭', action: 'zoomOut', twoHand: true }
+];
+
+class GestureBindings {
+
+    // storage: localStorage in the browser; null keeps bindings in memory only
+    constructor({ storage = globalThis.localStorage ?? null } = {}) {
+        this.storage = storage;
+        this.defaults = {};
+        BUILTIN_GESTURES.forEach(g => {
+            this.defaults[g.type] = g.action;
+        });
+        this.bindings = { ...this.defaults, ...this.load() };
+        this.listeners = [];
+    }
+
+    actionFor(gesture) {
+        return this.bindings[gesture] || 'none';
+    }
+
+    bind(gesture, action) {
+        if (!ACTIONS[action]) throw new Error(`Unknown action: ${action}`);
+        this.bindings[gesture] = action;
+        this.save();
+        this.notify();
+    }
+
+    // Drop a binding entirely (e.g. a deleted custom gesture)
+    unbind(gesture) {
+        if (!(gesture in this.bindings)) return;
+        delete this.bindings[gesture];
+        this.save();
+        this.notify();
+    }
+
+    reset() {
+        const custom = Object.keys(this.bindings).filter(g => !(g in this.defaults));
+        this.bindings = { ...this.defaults };
+        custom.forEach(g => {
+            this.bindings[g] = 'none';
+        });
+        this.save();
+        this.notify();
+    }
+
+    save() {
+        if (this.storage) this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse((this.storage && this.storage.getItem(STORAGE_KEY)) || '{}');
+            const valid = {};
+            Object.keys(saved).forEach(g => {
+                if (ACTIONS[saved[g]]) valid[g] = saved[g];
+            });
+            return valid;
+        } catch (e) {
+            console.warn('Ignoring unreadable gesture bindings', e);
+            return {};
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+GestureBindings.ACTIONS = ACTIONS;
+GestureBindings.BUILTIN_GESTURES = BUILTIN_GESTURES;
+
+export default GestureBindings;
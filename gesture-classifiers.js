@@ -0,0 +1,244 @@
+// Gesture Classifiers
+// Every classifier implements classify(landmarks) -> { gesture, confidence, scores }
+// where scores maps gesture names to 0..1 and confidence is the winning score, and
+// lists the gestures it can recognize in `gestures`.
+// GestureRecognizer can swap between them or blend several together.
+
+// --- FEATURES ---
+
+const dist = (p1, p2) => Math.sqrt((p1.x - p2.x) ** 2 + (p1.y - p2.y) ** 2 + (p1.z - p2.z) ** 2);
+
+// Wrist-relative landmarks, scaled by palm size (wrist -> middle knuckle) and
+// rotated in the image plane so the palm always points "up". Makes samples
+// comparable across hand size, distance to the camera and wrist roll.
+function extractFeatures(landmarks) {
+    const wrist = landmarks[0];
+    const middleBase = landmarks[9];
+    const scale = dist(wrist, middleBase) || 1;
+
+    const angle = Math.atan2(middleBase.x - wrist.x, -(middleBase.y - wrist.y));
+    const cos = Math.cos(-angle);
+    const sin = Math.sin(-angle);
+
+    const features = [];
+    for (let i = 1; i < landmarks.length; i++) {
+        const dx = (landmarks[i].x - wrist.x) / scale;
+        const dy = (landmarks[i].y - wrist.y) / scale;
+        const dz = (landmarks[i].z - wrist.z) / scale;
+        features.push(dx * cos - dy * sin, dx * sin + dy * cos, dz);
+    }
+
+    // Fingertip-to-thumb distances separate pinch / fist / peace well
+    [8, 12, 16, 20].forEach(tip => features.push(dist(landmarks[4], landmarks[tip]) / scale));
+    return features;
+}
+
+// --- RULE-BASED ---
+
+// Hand-tuned geometric rules. Always available, no training needed.
+class RuleBasedClassifier {
+
+    constructor({ pinchThreshold = 0.05, curlFactor = 1.3, extendFactor = 1.05 } = {}) {
+        this.name = 'rules';
+        this.gestures = ['OPEN_PALM', 'PINCH', 'THUMBS_UP', 'VICTORY', 'CLOSED'];
+        this.pinchThreshold = pinchThreshold;
+        this.curlFactor = curlFactor;
+        this.extendFactor = extendFactor;
+    }
+
+    classify(landmarks) {
+        const thumbTip = landmarks[4];
+        const indexTip = landmarks[8];
+        const middleTip = landmarks[12];
+        const ringTip = landmarks[16];
+        const pinkyTip = landmarks[20];
+        const wrist = landmarks[0];
+        const palmBase = landmarks[0]; // Wrist as palm base
+
+        // PINCH detection - thumb and index close BUT other fingers must be extended
+        const pinchDist = dist(thumbTip, indexTip);
+        const thumbIndexClose = pinchDist < this.pinchThreshold;
+
+        // For a TRUE pinch, middle/ring/pinky should be more extended (not curled)
+        const middleExtended = dist(middleTip, wrist) > dist(landmarks[9], wrist) * 1.1; // Stricter
+        const ringExtended = dist(ringTip, wrist) > dist(landmarks[13], wrist) * 1.1;    // Stricter
+        const pinkyExtended = dist(pinkyTip, wrist) > dist(landmarks[17], wrist) * 1.1;  // Stricter
+
+        // ALL three of the other fingers should be extended for a pinch
+        const otherFingersExtended = middleExtended && ringExtended && pinkyExtended;
+
+        const isPinching = thumbIndexClose && otherFingersExtended;
+
+        // FIST detection - all fingers curled (including thumb)
+        const curlFactor = this.curlFactor;
+        const indexCurled = dist(indexTip, palmBase) < dist(landmarks[5], palmBase) * curlFactor;
+        const middleCurled = dist(middleTip, palmBase) < dist(landmarks[9], palmBase) * curlFactor;
+        const ringCurled = dist(ringTip, palmBase) < dist(landmarks[13], palmBase) * curlFactor;
+        const pinkyCurled = dist(pinkyTip, palmBase) < dist(landmarks[17], palmBase) * curlFactor;
+
+        // For fist, ALL 4 fingers should be curled AND thumb should be close to palm
+        const curledCount = [indexCurled, middleCurled, ringCurled, pinkyCurled].filter(Boolean).length;
+        const thumbCurled = dist(thumbTip, palmBase) < dist(landmarks[2], palmBase) * 1.4;
+        const isFist = curledCount === 4 && thumbCurled; // All fingers must be curled
+
+        // VICTORY (Peace Sign) - Index & Middle Extended, Ring & Pinky Curled
+        const victoryCondition =
+            !indexCurled && !middleCurled && // Index and Middle UP
+            ringCurled && pinkyCurled &&     // Ring and Pinky DOWN
+            !thumbCurled; // Thumb usually loose or crossed
+
+        // THUMBS UP - Thumb Extended UP, All fingers Curled
+        // Check if thumb tip is significantly higher (lower y value) than index knuckle (landmarks[5])
+        // AND thumb is extended away from palm
+        const thumbIsUp = (thumbTip.y < landmarks[5].y) && (dist(thumbTip, palmBase) > dist(landmarks[2], palmBase) * 1.5);
+        const isThumbsUp = thumbIsUp && curledCount === 4;
+
+        // OPEN PALM - at least 3 fingers extended
+        const extendFactor = this.extendFactor;
+        const indexExtended = dist(indexTip, wrist) > dist(landmarks[5], wrist) * extendFactor;
+        const middleExt = dist(middleTip, wrist) > dist(landmarks[9], wrist) * extendFactor;
+        const ringExt = dist(ringTip, wrist) > dist(landmarks[13], wrist) * extendFactor;
+        const pinkyExt = dist(pinkyTip, wrist) > dist(landmarks[17], wrist) * extendFactor;
+
+        const extendedCount = [indexExtended, middleExt, ringExt, pinkyExt].filter(Boolean).length;
+        const isOpen = extendedCount >= 3;
+
+        // Gesture priority: PINCH > THUMBS_UP > VICTORY > FIST > OPEN
+        let gesture = 'OPEN_PALM';
+        if (isPinching) {
+            gesture = 'PINCH';
+        } else if (isThumbsUp) {
+            gesture = 'THUMBS_UP';
+        } else if (victoryCondition) {
+            gesture = 'VICTORY';
+        } else if (isFist) {
+            gesture = 'CLOSED';
+        }
+
+        // Rules are binary; an unclear open hand (fallthrough) gets a lower score
+        const confidence = gesture === 'OPEN_PALM' && !isOpen ? 0.5 : 1;
+
+        // Debug logging every 30 frames
+        if (Math.random() < 0.03) {
+            console.log('Gesture Debug:', {
+                gesture,
+                pinchDist: pinchDist.toFixed(3),
+                thumbIndexClose,
+                otherFingersExtended,
+                isPinching,
+                curledCount,
+                thumbCurled,
+                isFist,
+                isOpen
+            });
+        }
+
+        return { gesture, confidence, scores: { [gesture]: confidence } };
+    }
+}
+
+// --- LEARNED (k-NN) ---
+
+// k-nearest-neighbours over extractFeatures(), trained from GestureTrainer samples.
+// Tiny data (tens of samples per gesture), so brute force is plenty fast.
+class KNNClassifier {
+
+    constructor({ k = 5, maxDistance = 2.5 } = {}) {
+        this.name = 'learned';
+        this.k = k;
+        this.maxDistance = maxDistance; // Farther than this from every sample = not confident
+        this.examples = [];
+    }
+
+    // samplesByType: { GESTURE: [landmarks, ...] }
+    train(samplesByType) {
+        this.examples = [];
+        Object.keys(samplesByType).forEach(gesture => {
+            samplesByType[gesture].forEach(landmarks => {
+                if (landmarks && landmarks.length === 21) {
+                    this.examples.push({ gesture, features: extractFeatures(landmarks) });
+                }
+            });
+        });
+        return this.examples.length;
+    }
+
+    get isTrained() {
+        return this.examples.length > 0;
+    }
+
+    get gestures() {
+        return Array.from(new Set(this.examples.map(e => e.gesture)));
+    }
+
+    classify(landmarks) {
+        if (!this.isTrained) return { gesture: 'UNKNOWN', confidence: 0, scores: {} };
+
+        const features = extractFeatures(landmarks);
+        const neighbours = this.examples
+            .map(example => {
+                let sum = 0;
+                for (let i = 0; i < features.length; i++) {
+                    const d = features[i] - example.features[i];
+                    sum += d * d;
+                }
+                return { gesture: example.gesture, distance: Math.sqrt(sum) };
+            })
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.k);
+
+        // Distance-weighted vote, scaled down when even the nearest sample is far away
+        const votes = {};
+        let total = 0;
+        neighbours.forEach(n => {
+            const weight = 1 / (n.distance + 1e-3);
+            votes[n.gesture] = (votes[n.gesture] || 0) + weight;
+            total += weight;
+        });
+        const proximity = Math.max(0, 1 - neighbours[0].distance / this.maxDistance);
+
+        const scores = {};
+        Object.keys(votes).forEach(g => {
+            scores[g] = (votes[g] / total) * proximity;
+        });
+        const gesture = Object.keys(scores).reduce((a, b) => (scores[a] >= scores[b] ? a : b));
+        return { gesture, confidence: scores[gesture], scores };
+    }
+}
+
+// --- BLEND ---
+
+// Weighted average of several classifiers' scores. Each gesture is averaged only over
+// the classifiers that know it, so a trained custom pose isn't outvoted by the rules
+// simply because they can't recognize it (and vote for their nearest built-in pose).
+class BlendedClassifier {
+
+    constructor(entries) {
+        this.name = 'blend';
+        this.entries = entries; // [{ classifier, weight }]
+    }
+
+    classify(landmarks) {
+        const scores = {};
+        const weights = {};
+        this.entries.forEach(({ classifier, weight }) => {
+            const result = classifier.classify(landmarks);
+            classifier.gestures.forEach(g => {
+                weights[g] = (weights[g] || 0) + weight;
+            });
+            Object.keys(result.scores).forEach(g => {
+                scores[g] = (scores[g] || 0) + result.scores[g] * weight;
+            });
+        });
+        Object.keys(scores).forEach(g => {
+            scores[g] /= weights[g] || 1;
+        });
+
+        const names = Object.keys(scores);
+        if (names.length === 0) return { gesture: 'UNKNOWN', confidence: 0, scores };
+        const gesture = names.reduce((a, b) => (scores[a] >= scores[b] ? a : b));
+        return { gesture, confidence: scores[gesture], scores };
+    }
+}
+
+export { extractFeatures, RuleBasedClassifier, KNNClassifier, BlendedClassifier };
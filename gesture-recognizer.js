@@ -0,0 +1,312 @@
+import { RuleBasedClassifier, KNNClassifier, BlendedClassifier } from './gesture-classifiers.js';
+import MotionGestureEngine from './motion-gestures.js';
+import { OneEuroFilter, OneEuroPointFilter } from './one-euro-filter.js';
+
+// Gesture Recognizer
+// HandLandmarker results in, gestures out: per-hand classification and smoothing,
+// dominant / support hand roles, two-hand gestures and motion gestures. No DOM and
+// no storage - settings come in through the constructor and setters, and onChange
+// tells the app when to persist them. Timestamps are passed in, so recorded or
+// synthetic landmarks replay exactly.
+
+const CLASSIFIER_MODES = ['rules', 'learned', 'blend'];
+const DEFAULT_CURSOR_FILTER = { minCutoff: 1.0, beta: 8.0, dCutoff: 1.0 };
+
+class GestureRecognizer {
+
+    // classifierMode, dominantHand and cursorFilter restore saved settings
+    constructor(trainer = null, { classifierMode = 'blend', dominantHand = 'Right', cursorFilter = {} } = {}) {
+        this.trainer = trainer;
+        this.listeners = [];
+
+        // Pluggable classifiers: hand-tuned rules, k-NN on trained samples, or a blend
+        this.rules = new RuleBasedClassifier();
+        this.learned = new KNNClassifier();
+        this.blended = new BlendedClassifier([
+            { classifier: this.rules, weight: 0.4 },
+            { classifier: this.learned, weight: 0.6 }
+        ]);
+        this.classifierMode = classifierMode;
+        this.classifier = this.rules;
+        this.minClassifierConfidence = 0.35;
+
+        // Gesture stabilization - prevent flickering
+        this.gestureHistorySize = 10; // Increased for better stability
+        this.gestureConfidenceThreshold = 0.6; // 60% of samples must agree
+
+        // One-Euro smoothing for the cursor (pinch center) and palm size (depth mode)
+        this.cursorFilter = { ...DEFAULT_CURSOR_FILTER, ...cursorFilter };
+
+        // Per-hand tracking state, keyed by the user's actual hand. The dominant hand
+        // drives the cursor and building, the support hand does modifiers.
+        this.handStates = { Left: this.createHandState('Left'), Right: this.createHandState('Right') };
+        this.dominantHand = dominantHand === 'Left' ? 'Left' : 'Right';
+
+        // Two-hand pinch survives this many frames of either hand flickering out of PINCH
+        this.twoHandGraceFrames = 4;
+        this.twoHandGrace = 0;
+
+        this.retrain();
+        trainer?.onTrained(() => this.retrain());
+    }
+
+    createHandState(side) {
+        return {
+            side,
+            pinchFilter: new OneEuroPointFilter(this.cursorFilter),
+            palmFilter: new OneEuroFilter({ minCutoff: 0.5, beta: 0.5 }),
+            gestureHistory: [],
+            lastStableGesture: 'NONE',
+            motion: new MotionGestureEngine(), // Swipes / circles / flicks from the palm trajectory
+            lastWrist: null
+        };
+    }
+
+    resetHandState(state) {
+        state.pinchFilter.reset();
+        state.palmFilter.reset();
+        state.gestureHistory = [];
+        state.lastStableGesture = 'NONE';
+        state.motion.reset(); // Hand lost - don't join trajectories across the gap
+    }
+
+    // minCutoff (Hz): lower = less jitter at rest, more lag. beta: how fast fast motion cuts lag.
+    setCursorFilter({ minCutoff, beta }) {
+        if (minCutoff !== undefined) this.cursorFilter.minCutoff = minCutoff;
+        if (beta !== undefined) this.cursorFilter.beta = beta;
+        Object.values(this.handStates).forEach(state => state.pinchFilter.configure(this.cursorFilter));
+        this.notify();
+    }
+
+    setDominantHand(side) {
+        this.dominantHand = side === 'Left' ? 'Left' : 'Right';
+        this.notify();
+    }
+
+    // Pick up new thresholds / samples after a training session
+    retrain() {
+        // Use personalized pinch threshold if available
+        const personalizedPinch = this.trainer?.getPersonalizedThreshold('pinch');
+        this.pinchThreshold = personalizedPinch || 0.05; // Default or personalized
+        this.rules.pinchThreshold = this.pinchThreshold;
+        console.log(`🎯 Pinch threshold: ${this.pinchThreshold.toFixed(3)} ${personalizedPinch ? '(personalized)' : '(default)'}`);
+
+        const count = this.trainer ? this.learned.train(this.trainer.getSamplesByType()) : 0;
+        if (count > 0) console.log(`🧠 Learned classifier trained on ${count} samples (${this.learned.gestures.join(', ')})`);
+        this.setClassifierMode(this.classifierMode);
+    }
+
+    // Trained gestures the rules know nothing about (custom poses)
+    get customGestures() {
+        return this.learned.gestures.filter(g => !this.rules.gestures.includes(g));
+    }
+
+    // 'rules' | 'learned' | 'blend'. Learned modes need training data, otherwise rules are used.
+    // Rules can't recognize custom gestures, so once there are any, 'rules' runs as 'blend'.
+    // The trainer has no thumbs-up samples, so pure 'learned' never reports THUMBS_UP.
+    // Returns the name of the classifier actually in use.
+    setClassifierMode(mode) {
+        this.classifierMode = CLASSIFIER_MODES.includes(mode) ? mode : 'blend';
+
+        if (!this.learned.isTrained) {
+            this.classifier = this.rules;
+        } else if (this.classifierMode === 'rules') {
+            const custom = this.customGestures;
+            this.classifier = custom.length > 0 ? this.blended : this.rules;
+            if (custom.length > 0) console.warn(`⚠️ Rules can't recognize ${custom.join(', ')} - blending in the learned classifier`);
+        } else {
+            this.classifier = this.classifierMode === 'learned' ? this.learned : this.blended;
+        }
+        Object.values(this.handStates).forEach(state => {
+            state.gestureHistory = [];
+        });
+        this.notify();
+        return this.classifier.name;
+    }
+
+    // Forget every hand (tracking lost, or the input source jumped)
+    reset() {
+        Object.values(this.handStates).forEach(state => this.resetHandState(state));
+        this.twoHandGrace = 0;
+    }
+
+    // handednesses: MediaPipe's per-hand [{ categoryName: 'Left' | 'Right', score }] lists
+    update(landmarks, handednesses = [], timestamp = performance.now()) {
+        if (!landmarks || landmarks.length === 0) {
+            this.reset();
+            return { gesture: 'NONE', hand: null };
+        }
+
+        // Track every hand every frame (two-hand frames included) so histories have no gaps
+        const sides = this.assignSides(landmarks, handednesses);
+        const hands = landmarks.map((hand, i) => this.trackHand(this.handStates[sides[i]], hand, timestamp));
+        Object.values(this.handStates).forEach(state => {
+            if (!sides.includes(state.side)) this.resetHandState(state);
+        });
+
+        // A lone hand is primary whichever hand it is; with two, the dominant one leads
+        const dominant = hands.find(h => h.side === this.dominantHand);
+        const primaryHand = dominant || hands[0];
+        const supportHand = hands.find(h => h !== primaryHand) || null;
+        primaryHand.role = 'dominant';
+        if (supportHand) supportHand.role = 'support';
+
+        const modifiers = {
+            erase: !!supportHand && supportHand.stableGesture === 'CLOSED' // Support fist: pinch removes
+        };
+        const base = { hand: primaryHand, hands: supportHand ? [primaryHand, supportHand] : [primaryHand], support: supportHand, modifiers };
+
+        // Two Hand Gestures
+        if (supportHand) {
+            const g1 = primaryHand.gesture;
+            const g2 = supportHand.gesture;
+
+            // Two Pinches: continuous zoom / rotate / pan
+            const bothPinching = g1 === 'PINCH' && g2 === 'PINCH';
+            this.twoHandGrace = bothPinching ? this.twoHandGraceFrames : Math.max(0, this.twoHandGrace - 1);
+            if (bothPinching || (this.twoHandGrace > 0 && (g1 === 'PINCH' || g2 === 'PINCH'))) {
+                return { gesture: 'TWO_HAND_PINCH', ...base };
+            }
+
+            // Zoom In: Two Fists
+            if (g1 === 'CLOSED' && g2 === 'CLOSED') {
+                return { gesture: 'ZOOM_IN', ...base };
+            }
+
+            // Zoom Out: One Fist, One Palm
+            if ((g1 === 'CLOSED' && g2 === 'OPEN_PALM') || (g1 === 'OPEN_PALM' && g2 === 'CLOSED')) {
+                return { gesture: 'ZOOM_OUT', ...base };
+            }
+        } else {
+            this.twoHandGrace = 0;
+        }
+
+        // Motion gestures only count from an open (hovering) hand, not while rotating or pinching.
+        // Either hand can swipe - the support hand can flip colors while the dominant one points.
+        const mover = [primaryHand, supportHand].find(h => h && h.motion && h.stableGesture === 'OPEN_PALM');
+        if (mover) {
+            const { motion } = mover;
+            console.log(`〰️ ${motion.gesture} by ${mover.role} hand (match ${motion.cost.toFixed(3)}, ${motion.duration}ms)`);
+            return { gesture: motion.gesture, motion, ...base };
+        }
+
+        return { gesture: primaryHand.stableGesture, ...base };
+    }
+
+    // MediaPipe labels handedness as if the image were a mirrored selfie. We feed it the raw
+    // camera frame, so its 'Left' is the user's right hand. Missing or duplicate labels fall
+    // back to whichever assignment best continues the previous frame.
+    assignSides(landmarks, handednesses) {
+        const labels = landmarks.map((_, i) => {
+            const category = handednesses && handednesses[i] && handednesses[i][0];
+            if (!category) return null;
+            return category.categoryName === 'Left' ? 'Right' : 'Left';
+        });
+
+        if (landmarks.length === 1) {
+            return [labels[0] || (this.sideDistance('Left', landmarks[0][0]) < this.sideDistance('Right', landmarks[0][0]) ? 'Left' : 'Right')];
+        }
+        if (labels[0] && labels[1] && labels[0] !== labels[1]) return labels.slice(0, 2);
+
+        const a = landmarks[0][0];
+        const b = landmarks[1][0];
+        const straight = this.sideDistance('Left', a) + this.sideDistance('Right', b);
+        const swapped = this.sideDistance('Right', a) + this.sideDistance('Left', b);
+        return straight <= swapped ? ['Left', 'Right'] : ['Right', 'Left'];
+    }
+
+    // How far a wrist is from where this hand was last seen. Unseen hands are expected on
+    // their own side of the (unmirrored) frame: the user's right hand shows up at small x.
+    sideDistance(side, wrist) {
+        const last = this.handStates[side].lastWrist;
+        if (last) return Math.hypot(wrist.x - last.x, wrist.y - last.y);
+        return Math.abs(wrist.x - (side === 'Right' ? 0.25 : 0.75));
+    }
+
+    trackHand(state, landmarks, timestamp) {
+        const hand = this.analyzeHand(landmarks, state, timestamp);
+        state.lastWrist = landmarks[0];
+
+        // Screen space: the preview is mirrored, so flip x to match what the user sees
+        const palm = landmarks[9];
+        const palmLength = Math.hypot(palm.x - landmarks[0].x, palm.y - landmarks[0].y);
+        hand.motion = state.motion.push({ x: 1 - palm.x, y: palm.y }, timestamp, palmLength);
+
+        // Gesture stabilization - reduce flickering
+        state.gestureHistory.push(hand.gesture);
+        if (state.gestureHistory.length > this.gestureHistorySize) {
+            state.gestureHistory.shift();
+        }
+
+        // Find most common gesture in recent history with confidence check
+        const gestureCounts = {};
+        state.gestureHistory.forEach(g => {
+            gestureCounts[g] = (gestureCounts[g] || 0) + 1;
+        });
+
+        // Get the most frequent gesture
+        const stableGesture = Object.keys(gestureCounts).reduce((a, b) =>
+            gestureCounts[a] > gestureCounts[b] ? a : b
+        );
+
+        // Only update if confidence threshold is met
+        const confidence = gestureCounts[stableGesture] / state.gestureHistory.length;
+        if (confidence >= this.gestureConfidenceThreshold) {
+            state.lastStableGesture = stableGesture;
+        }
+
+        hand.side = state.side;
+        hand.stableGesture = state.lastStableGesture;
+        hand.gestureHistory = state.gestureHistory;
+        return hand;
+    }
+
+    analyzeHand(landmarks, state, timestamp = performance.now()) {
+        const thumbTip = landmarks[4];
+        const indexTip = landmarks[8];
+
+        // Low-confidence results fall back to the neutral hover gesture
+        const result = this.classifier.classify(landmarks);
+        const gesture = result.confidence >= this.minClassifierConfidence ? result.gesture : 'OPEN_PALM';
+        const isPinching = gesture === 'PINCH';
+        const isFist = gesture === 'CLOSED';
+
+        // Filter the pinch center to remove jitter without adding lag to fast moves
+        const rawPinchCenter = {
+            x: (thumbTip.x + indexTip.x) / 2,
+            y: (thumbTip.y + indexTip.y) / 2,
+            z: (thumbTip.z + indexTip.z) / 2
+        };
+        const smoothedPinchCenter = state.pinchFilter.filter(rawPinchCenter, timestamp);
+
+        // Apparent palm size tracks distance from the camera (landmark z is only
+        // relative to the wrist, so it can't tell near from far on its own)
+        const span = (a, b) => Math.hypot(landmarks[a].x - landmarks[b].x, landmarks[a].y - landmarks[b].y);
+        const palmSize = state.palmFilter.filter((span(0, 9) + span(5, 17)) / 2, timestamp);
+
+        return {
+            gesture,
+            isPinching,
+            isFist,
+            confidence: result.confidence,
+            scores: result.scores,
+            center: landmarks[9],
+            pinchCenter: smoothedPinchCenter,
+            palmSize,
+            landmarks
+        };
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+GestureRecognizer.CLASSIFIER_MODES = CLASSIFIER_MODES;
+GestureRecognizer.DEFAULT_CURSOR_FILTER = DEFAULT_CURSOR_FILTER;
+
+export default GestureRecognizer;
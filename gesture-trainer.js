@@ -1,20 +1,20 @@
 // Gesture Training System
+// Collects landmark samples per gesture and derives personalized thresholds. No DOM:
+// the training modal renders from onProgress, and storage is injected (localStorage
+// in the browser, nothing - or any getItem/setItem object - elsewhere).
+const STORAGE_KEY = 'volex_gesture_training';
+
 class GestureTrainer {
-    
-    constructor() {        
-        this.gestures = [
+
+    constructor({ storage = globalThis.localStorage ?? null } = {}) {
+        this.storage = storage;
+        this.builtinGestures = [
             {
                 name: 'Open Palm',
                 emoji: '✋',
                 description: 'Show your open hand with all fingers extended',
                 type: 'OPEN_PALM'
             },
-            {
-                name: 'Open Palm22',
-                emoji: '✋',
-                description: 'Show your open hand with fingers extended',
-                type: 'OPEN_PALM'
-            },
             {
                 name: 'Closed Fist',
                 emoji: '✊',
@@ -34,50 +34,72 @@ class GestureTrainer {
                 type: 'PEACE'
             }
         ];
+        this.gestures = this.builtinGestures; // Gestures in the current training session
+        this.pendingCustom = null; // Custom gesture being recorded, saved on finish
 
         this.currentGestureIndex = 0;
         this.samples = [];
         this.samplesPerGesture = 10;
         this.isTraining = false;
         this.trainingData = this.loadTrainingData();
+        this.listeners = [];
+        this.progressListeners = [];
+    }
+
+    get currentGesture() {
+        return this.gestures[this.currentGestureIndex];
     }
 
-    startTraining() {
+    // Last gesture has all its samples: ready to finish
+    get isComplete() {
+        return this.currentGestureIndex === this.gestures.length - 1 && this.samples.length === this.samplesPerGesture;
+    }
+
+    startTraining(gestures = this.builtinGestures) {
+        this.gestures = gestures;
+        this.pendingCustom = null;
         this.isTraining = true;
         this.currentGestureIndex = 0;
         this.samples = [];
-        this.showTrainingModal();
-        this.updateTrainingUI();
-    }
-
-    showTrainingModal() {
-        const modal = document.getElementById('training-modal');
-        modal.style.display = 'flex';
+        this.notifyProgress();
     }
 
-    hideTrainingModal() {
-        const modal = document.getElementById('training-modal');
-        modal.style.display = 'none';
+    // Leave the session without saving the current gesture
+    cancelTraining() {
         this.isTraining = false;
+        this.pendingCustom = null;
+        this.notifyProgress();
     }
 
-    updateTrainingUI() {
-        const currentGesture = this.gestures[this.currentGestureIndex];
+    // --- CUSTOM GESTURES ---
 
-        document.getElementById('training-emoji').innerText = currentGesture.emoji;
-        document.getElementById('training-gesture-name').innerText = currentGesture.name;
-        document.getElementById('training-description').innerText = currentGesture.description;
-        document.getElementById('training-step').innerText = this.currentGestureIndex + 1;
-        document.getElementById('training-samples').innerText = this.samples.length;
+    // Record a new named pose; it becomes recognizable once training finishes
+    recordCustomGesture(name, emoji = '⭐') {
+        const slug = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'GESTURE';
+        let type = `CUSTOM_${slug}`;
+        for (let i = 2; this.getCustomGestures().some(g => g.type === type); i++) {
+            type = `CUSTOM_${slug}_${i}`;
+        }
 
-        const progress = (this.samples.length / this.samplesPerGesture) * 100;
-        document.getElementById('training-progress-bar').style.width = `${progress}%`;
+        const gesture = {
+            name,
+            emoji,
+            description: `Hold your "${name}" pose steady`,
+            type
+        };
+        this.startTraining([gesture]);
+        this.pendingCustom = gesture;
+    }
 
-        // Show finish button on last gesture
-        if (this.currentGestureIndex === this.gestures.length - 1 && this.samples.length === this.samplesPerGesture) {
-            document.getElementById('btn-finish-training').style.display = 'block';
-            document.getElementById('btn-skip-training').style.display = 'none';
-        }
+    getCustomGestures() {
+        return this.trainingData.custom || [];
+    }
+
+    deleteCustomGesture(type) {
+        this.trainingData.custom = this.getCustomGestures().filter(g => g.type !== type);
+        delete this.trainingData[type];
+        this.saveTrainingData();
+        this.notify();
     }
 
     collectSample(landmarks) {
@@ -92,7 +114,7 @@ class GestureTrainer {
                 timestamp: Date.now()
             });
 
-            this.updateTrainingUI();
+            this.notifyProgress();
 
             // Auto-advance to next gesture when samples collected
             if (this.samples.length === this.samplesPerGesture) {
@@ -117,7 +139,7 @@ class GestureTrainer {
         this.samples = [];
 
         if (this.currentGestureIndex < this.gestures.length) {
-            this.updateTrainingUI();
+            this.notifyProgress();
         }
     }
 
@@ -126,14 +148,19 @@ class GestureTrainer {
         const currentGesture = this.gestures[this.currentGestureIndex];
         this.trainingData[currentGesture.type] = this.samples;
 
+        if (this.pendingCustom) {
+            this.trainingData.custom = this.getCustomGestures().concat(this.pendingCustom);
+        }
+
         // Calculate optimal thresholds from training data
         this.calculateThresholds();
 
-        // Save to localStorage
         this.saveTrainingData();
 
-        alert('✅ Training Complete! Your personalized gestures have been saved.');
-        this.hideTrainingModal();
+        this.isTraining = false;
+        this.pendingCustom = null;
+        this.notifyProgress();
+        this.notify();
     }
 
     calculateThresholds() {
@@ -174,19 +201,51 @@ class GestureTrainer {
         return null;
     }
 
+    // Landmark samples grouped by recognizer gesture name, for learned classifiers.
+    // The trainer calls the peace sign PEACE; GestureRecognizer calls it VICTORY.
+    getSamplesByType() {
+        const aliases = { PEACE: 'VICTORY' };
+        const samplesByType = {};
+        Object.keys(this.trainingData).forEach(type => {
+            const samples = this.trainingData[type];
+            if (type === 'thresholds' || type === 'custom' || !Array.isArray(samples)) return;
+            const gesture = aliases[type] || type;
+            samplesByType[gesture] = (samplesByType[gesture] || []).concat(samples.map(s => s.landmarks));
+        });
+        return samplesByType;
+    }
+
     saveTrainingData() {
-        localStorage.setItem('volex_gesture_training', JSON.stringify(this.trainingData));
+        if (!this.storage) return;
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.trainingData));
         console.log('💾 Training data saved!');
     }
 
     loadTrainingData() {
-        const data = localStorage.getItem('volex_gesture_training');
+        const data = this.storage && this.storage.getItem(STORAGE_KEY);
         if (data) {
             console.log('📂 Loaded existing training data');
             return JSON.parse(data);
         }
         return {};
     }
+
+    onTrained(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Session changes (started, sample taken, next gesture, finished / cancelled)
+    onProgress(listener) {
+        this.progressListeners.push(listener);
+    }
+
+    notifyProgress() {
+        this.progressListeners.forEach(listener => listener(this));
+    }
 }
 
 export default GestureTrainer;
@@ -0,0 +1,53 @@
+// Hand Landmarker
+// Where the MediaPipe hand model comes from and how it's set up, shared by the main
+// thread and the tracking worker. Like the libraries (runtime.js), the library, wasm
+// and model are the vendored copies (tools/vendor-assets.mjs) when present, the CDNs
+// otherwise. The worker can't see the page's import map, so it's handed the sources
+// and loads the library from their tasksVision URL.
+
+const vendored = (path) => new URL(`./vendor/${path}`, import.meta.url).href;
+
+const SOURCES = {
+    vendored: {
+        tasksVision: vendored("tasks-vision@0.10.9/vision_bundle.mjs"),
+        wasm: vendored("tasks-vision@0.10.9/wasm"),
+        model: vendored("models/hand_landmarker-float16-1.task")
+    },
+    cdn: {
+        tasksVision: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.9/+esm",
+        wasm: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.9/wasm",
+        model: "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task"
+    }
+};
+
+// The set matching the page's import map (main thread only)
+function pageSources() {
+    return import.meta.resolve('@mediapipe/tasks-vision') === SOURCES.vendored.tasksVision ? SOURCES.vendored : SOURCES.cdn;
+}
+
+const LANDMARKER_OPTIONS = {
+    numHands: 2,
+    minHandDetectionConfidence: 0.7,  // Increased for better accuracy
+    minHandPresenceConfidence: 0.7,   // Increased for better accuracy
+    minTrackingConfidence: 0.7        // Increased for better accuracy
+};
+
+// GPU first; machines without WebGL2 (or with a blocklisted GPU) get the CPU delegate.
+// Resolves { landmarker, delegate }.
+async function createHandLandmarker(HandLandmarker, vision, runningMode, modelUrl) {
+    for (const delegate of ["GPU", "CPU"]) {
+        try {
+            const landmarker = await HandLandmarker.createFromOptions(vision, {
+                baseOptions: { modelAssetPath: modelUrl, delegate },
+                runningMode,
+                ...LANDMARKER_OPTIONS
+            });
+            return { landmarker, delegate };
+        } catch (e) {
+            if (delegate === "CPU") throw e;
+            console.warn("⚠️ GPU delegate unavailable, falling back to CPU:", e);
+        }
+    }
+}
+
+export { SOURCES, LANDMARKER_OPTIONS, pageSources, createHandLandmarker };
@@ -0,0 +1,65 @@
+// Hand Tracker Worker
+// Runs HandLandmarker off the main thread for HandTracker (hand-tracker.js), so slow
+// inference never holds up rendering. MediaPipe draws onto its own OffscreenCanvas here.
+//
+// Messages in:  { type: 'init', runningMode, sources }   (sources: see hand-landmarker.js)
+//               { type: 'detect', id, image: ImageBitmap, timestamp, runningMode }
+// Messages out: { type: 'ready', delegate } | { type: 'error', message }   (answer to init)
+//               { type: 'results', id, results } | { type: 'error', id, message }
+import { createHandLandmarker } from './hand-landmarker.js';
+
+let landmarker = null;
+let runningMode = "VIDEO";
+
+// MediaPipe loads its wasm glue with importScripts(), which module workers don't allow:
+// run the glue in the global scope up front and turn that call into a no-op
+async function loadWasmLoader(vision) {
+    const response = await fetch(vision.wasmLoaderPath);
+    if (!response.ok) throw new Error(`Could not load ${vision.wasmLoaderPath} (${response.status})`);
+    (0, eval)(await response.text());
+    self.importScripts = () => {};
+}
+
+async function init(mode, sources) {
+    const { FilesetResolver, HandLandmarker } = await import(sources.tasksVision);
+    const vision = await FilesetResolver.forVisionTasks(sources.wasm);
+    await loadWasmLoader(vision);
+
+    runningMode = mode;
+    const created = await createHandLandmarker(HandLandmarker, vision, runningMode, sources.model);
+    landmarker = created.landmarker;
+    return created.delegate;
+}
+
+async function detect({ image, timestamp, runningMode: mode }) {
+    try {
+        if (mode !== runningMode) {
+            runningMode = mode;
+            await landmarker.setOptions({ runningMode });
+        }
+        const results = runningMode === "IMAGE"
+            ? landmarker.detect(image)
+            : landmarker.detectForVideo(image, timestamp);
+        // Plain arrays only; the result object itself doesn't need to survive the post
+        return { landmarks: results.landmarks, worldLandmarks: results.worldLandmarks, handedness: results.handedness || results.handednesses };
+    } finally {
+        image.close();
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    if (message.type === 'init') {
+        try {
+            self.postMessage({ type: 'ready', delegate: await init(message.runningMode, message.sources) });
+        } catch (e) {
+            self.postMessage({ type: 'error', message: e.message });
+        }
+    } else if (message.type === 'detect') {
+        try {
+            self.postMessage({ type: 'results', id: message.id, results: await detect(message) });
+        } catch (e) {
+            self.postMessage({ type: 'error', id: message.id, message: e.message });
+        }
+    }
+};
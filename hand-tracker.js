@@ -0,0 +1,142 @@
+import { FilesetResolver, HandLandmarker } from '@mediapipe/tasks-vision';
+import { createHandLandmarker, pageSources } from './hand-landmarker.js';
+
+// Hand Tracker
+// Hand landmark detection for image input sources. Inference runs in a Web Worker
+// (hand-tracker-worker.js) fed ImageBitmap copies of the frames, so the render loop
+// never waits on it. Only one frame is ever in flight: while the worker is busy,
+// detect() drops new frames (isBusy lets callers not even read them), which keeps
+// rendering at display rate and tracking at whatever rate the machine sustains.
+//
+// Browsers without module workers / OffscreenCanvas, or where the worker fails to
+// start, get the same interface running on the main thread.
+
+const WORKER_TIMEOUT = 60000; // Model download + compile
+
+class HandTracker {
+
+    constructor({ useWorker = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' } = {}) {
+        this.useWorker = useWorker;
+        this.worker = null;
+        this.landmarker = null; // Main-thread fallback
+        this.runningMode = "VIDEO";
+        this.delegate = null; // 'GPU' or 'CPU', once ready
+        this.isReady = false;
+        this.pending = null; // { id, resolve } for the frame in flight (worker only)
+        this.nextId = 0;
+        this.sources = null; // Library / wasm / model URLs, vendored or CDN
+    }
+
+    get isBusy() {
+        return this.pending !== null;
+    }
+
+    get inWorker() {
+        return this.worker !== null;
+    }
+
+    // onStatus(text) reports progress for the loading screen. Throws if no way of running the model works.
+    async init(onStatus = () => {}) {
+        this.sources = pageSources();
+        if (this.useWorker) {
+            onStatus("Loading hand tracking model...");
+            try {
+                this.delegate = await this.startWorker();
+            } catch (e) {
+                console.warn("⚠️ Hand tracking worker unavailable, running on the main thread:", e);
+            }
+        }
+
+        if (!this.worker) {
+            onStatus("Loading hand tracking model...");
+            const vision = await FilesetResolver.forVisionTasks(this.sources.wasm);
+            console.log("FilesetResolver loaded");
+            onStatus("Creating hand landmarker...");
+            const { landmarker, delegate } = await createHandLandmarker(HandLandmarker, vision, this.runningMode, this.sources.model);
+            this.landmarker = landmarker;
+            this.delegate = delegate;
+        }
+
+        this.isReady = true;
+        console.log(`✋ Hand tracking ready (${this.inWorker ? 'worker' : 'main thread'}, ${this.delegate})`);
+    }
+
+    // Resolves with the worker's delegate once its model is loaded
+    startWorker() {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('./hand-tracker-worker.js', import.meta.url), { type: 'module' });
+            const fail = (error) => {
+                clearTimeout(timeout);
+                worker.terminate();
+                reject(error);
+            };
+            const timeout = setTimeout(() => fail(new Error("Hand tracking worker timed out")), WORKER_TIMEOUT);
+
+            worker.onerror = (event) => fail(new Error(event.message || "Hand tracking worker failed to load"));
+            worker.onmessage = (event) => {
+                if (event.data.type !== 'ready') {
+                    fail(new Error(event.data.message));
+                    return;
+                }
+                clearTimeout(timeout);
+                worker.onmessage = (e) => this.handleMessage(e.data);
+                worker.onerror = (e) => {
+                    console.error("Hand tracking worker error:", e.message);
+                    if (this.pending) this.settle(this.pending.id, null);
+                };
+                this.worker = worker;
+                resolve(event.data.delegate);
+            };
+            worker.postMessage({ type: 'init', runningMode: this.runningMode, sources: this.sources });
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'results') {
+            this.settle(message.id, message.results);
+        } else if (message.type === 'error') {
+            console.error("Hand tracking error:", message.message);
+            this.settle(message.id, null);
+        }
+    }
+
+    settle(id, results) {
+        if (!this.pending || this.pending.id !== id) return;
+        const { resolve } = this.pending;
+        this.pending = null;
+        resolve(results);
+    }
+
+    // HandLandmarkerResult-shaped results for one frame (<video>, ImageBitmap, canvas, ...),
+    // or null when the frame was dropped because another is still in flight
+    async detect(image, timestamp, runningMode = this.runningMode) {
+        if (!this.isReady || this.pending) return null;
+        if (!this.worker) return this.detectHere(image, timestamp, runningMode);
+
+        const id = ++this.nextId;
+        const request = new Promise(resolve => {
+            this.pending = { id, resolve };
+        });
+        try {
+            // A copy the worker owns; the source keeps its own frame
+            const bitmap = await createImageBitmap(image);
+            this.worker.postMessage({ type: 'detect', id, image: bitmap, timestamp, runningMode }, [bitmap]);
+        } catch (e) {
+            this.settle(id, null);
+            throw e;
+        }
+        return request;
+    }
+
+    async detectHere(image, timestamp, runningMode) {
+        if (runningMode !== this.runningMode) {
+            this.runningMode = runningMode;
+            await this.landmarker.setOptions({ runningMode });
+        }
+        return runningMode === "IMAGE"
+            ? this.landmarker.detect(image)
+            : this.landmarker.detectForVideo(image, timestamp);
+    }
+}
+
+export default HandTracker;
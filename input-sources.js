@@ -0,0 +1,237 @@
+// Input Sources
+// Where hand frames come from. Every source has the same shape:
+//   kind, label, runningMode, isRunning, start() -> Promise<boolean>, stop(),
+//   nextFrame(now) -> Promise<frame | null>
+// runningMode is the HandLandmarker mode the source needs ('VIDEO' for a playing
+// <video>, 'IMAGE' for stills) and its frames are { image, timestamp } to detect on.
+// Sources that already have landmarks (synthetic hands, replays) use runningMode
+// null and return { results, timestamp } instead. null = nothing new this tick.
+
+// --- VIDEO (camera + file) ---
+
+// Shared by the camera and video files: a <video> is a new frame whenever its time moves
+class VideoElementSource {
+
+    constructor(video) {
+        this.video = video;
+        this.runningMode = 'VIDEO';
+        this.isRunning = false;
+        this.lastVideoTime = -1;
+    }
+
+    // Resolves once the element has a frame and is playing
+    play() {
+        return new Promise((resolve) => {
+            const begin = () => {
+                this.video.play().then(() => resolve(true)).catch(err => {
+                    console.error("Error playing video:", err);
+                    resolve(false);
+                });
+            };
+            if (this.video.readyState >= 2) {
+                begin();
+                return;
+            }
+            this.video.addEventListener('loadeddata', begin, { once: true });
+
+            // Some browsers never fire loadeddata for a stream; try anyway
+            setTimeout(() => {
+                if (this.video.readyState < 2) {
+                    console.warn("Video timeout - forcing start anyway");
+                    begin();
+                }
+            }, 2000);
+        });
+    }
+
+    async nextFrame(now) {
+        if (!this.isRunning || this.video.readyState < 2) return null;
+        if (this.video.currentTime === this.lastVideoTime) return null;
+        this.lastVideoTime = this.video.currentTime;
+        return { image: this.video, timestamp: now };
+    }
+}
+
+class WebcamSource extends VideoElementSource {
+
+    constructor(video, { width = 1280, height = 720, facingMode = 'user' } = {}) {
+        super(video);
+        this.kind = 'webcam';
+        this.label = 'Camera';
+        this.constraints = {
+            video: { width: { ideal: width }, height: { ideal: height }, facingMode },
+            audio: false
+        };
+    }
+
+    // Throws the getUserMedia error (NotAllowedError, NotFoundError, ...) so the caller can explain it
+    async start() {
+        console.log("Requesting camera access with constraints:", this.constraints);
+        const stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+        this.video.removeAttribute('src');
+        this.video.srcObject = stream;
+        this.isRunning = await this.play();
+        console.log("Camera resolution:", this.video.videoWidth, "x", this.video.videoHeight);
+        return this.isRunning;
+    }
+
+    stop() {
+        if (this.video.srcObject) {
+            this.video.srcObject.getTracks().forEach(track => track.stop());
+            this.video.srcObject = null;
+        }
+        this.isRunning = false;
+    }
+}
+
+class VideoFileSource extends VideoElementSource {
+
+    constructor(video, file, { loop = true } = {}) {
+        super(video);
+        this.kind = 'video';
+        this.label = file.name;
+        this.file = file;
+        this.loop = loop;
+        this.url = null;
+    }
+
+    async start() {
+        this.url = URL.createObjectURL(this.file);
+        this.video.srcObject = null;
+        this.video.src = this.url;
+        this.video.loop = this.loop;
+        this.video.muted = true; // Autoplay needs a muted video
+        this.isRunning = await this.play();
+        return this.isRunning;
+    }
+
+    stop() {
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        if (this.url) URL.revokeObjectURL(this.url);
+        this.url = null;
+        this.isRunning = false;
+    }
+}
+
+// --- IMAGE SEQUENCE ---
+
+// A folder of frames played at a fixed rate, in natural file name order (frame2 < frame10)
+class ImageSequenceSource {
+
+    constructor(files, { fps = 10, loop = true } = {}) {
+        this.kind = 'images';
+        this.runningMode = 'IMAGE';
+        this.files = Array.from(files)
+            .filter(file => /^image\//.test(file.type))
+            .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, undefined, { numeric: true }));
+        this.label = `${this.files.length} images`;
+        this.fps = fps;
+        this.loop = loop;
+        this.isRunning = false;
+        this.index = -1;
+        this.lastFrameTime = null;
+        this.bitmap = null;
+    }
+
+    async start() {
+        if (this.files.length === 0) throw new Error("No image files in the selection.");
+        this.index = -1;
+        this.lastFrameTime = null;
+        this.isRunning = true;
+        return true;
+    }
+
+    stop() {
+        if (this.bitmap) this.bitmap.close();
+        this.bitmap = null;
+        this.isRunning = false;
+    }
+
+    async nextFrame(now) {
+        if (!this.isRunning) return null;
+        if (this.lastFrameTime !== null && now - this.lastFrameTime < 1000 / this.fps) return null;
+
+        let index = this.index + 1;
+        if (index >= this.files.length) {
+            if (!this.loop) return null;
+            index = 0;
+        }
+        this.index = index;
+        this.lastFrameTime = now;
+
+        // Decode one frame at a time; a long sequence would not fit in memory as bitmaps
+        if (this.bitmap) this.bitmap.close();
+        this.bitmap = await createImageBitmap(this.files[index]);
+        return { image: this.bitmap, timestamp: now };
+    }
+}
+
+// --- LANDMARK SOURCES ---
+
+// Scripted hands (see synthetic-hands.js); no camera or model needed
+class SyntheticSource {
+
+    constructor(hands) {
+        this.kind = 'synthetic';
+        this.label = 'Synthetic Hands';
+        this.runningMode = null;
+        this.hands = hands;
+        this.isRunning = false;
+        this.startTime = null;
+    }
+
+    async start() {
+        this.startTime = null;
+        this.isRunning = true;
+        return true;
+    }
+
+    stop() {
+        this.isRunning = false;
+    }
+
+    async nextFrame(now) {
+        if (!this.isRunning) return null;
+        if (this.startTime === null) this.startTime = now;
+        return { results: this.hands.frameAt(now - this.startTime), timestamp: now };
+    }
+}
+
+// A recorded landmark session (see landmark-session.js). Frames that don't follow the
+// previous one (seek, step back, loop) are flagged `jumped` so held gestures can be dropped.
+class ReplaySource {
+
+    constructor(player) {
+        this.kind = 'replay';
+        this.label = 'Replay';
+        this.runningMode = null;
+        this.player = player;
+        this.lastIndex = -1;
+    }
+
+    get isRunning() {
+        return this.player.isActive;
+    }
+
+    async start() {
+        this.lastIndex = -1;
+        return this.player.isActive;
+    }
+
+    stop() {
+        this.player.unload();
+        this.lastIndex = -1;
+    }
+
+    async nextFrame(now) {
+        const frame = this.player.advance(now);
+        if (!frame) return null;
+        const jumped = frame.index !== this.lastIndex + 1;
+        this.lastIndex = frame.index;
+        return { ...frame, jumped };
+    }
+}
+
+export { WebcamSource, VideoFileSource, ImageSequenceSource, SyntheticSource, ReplaySource };
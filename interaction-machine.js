@@ -0,0 +1,115 @@
+// Interaction State Machine
+// Turns the action bound to each frame's gesture into interaction states without
+// touching the scene or the DOM. handleInteraction() feeds it one frame at a time
+// and carries out what step() reports; timers run on the frame timestamps, so a
+// recorded or synthetic session steps through exactly the same transitions.
+//
+// States: IDLE, HOLD_WAIT, HOLD_COMPLETE, DRAWING, ROTATING, ZOOMING, MANIPULATING
+
+const VIEW_STATES = ['ROTATING', 'ZOOMING', 'MANIPULATING'];
+const HOLDING_STATES = ['HOLD_WAIT', 'HOLD_COMPLETE', 'DRAWING'];
+
+class InteractionMachine {
+
+    constructor({ debounce = 300 } = {}) {
+        this.debounce = debounce; // ms after a view gesture before a hold can start
+        this.reset();
+    }
+
+    reset() {
+        this.state = 'IDLE';
+        this.holdAction = null; // Action being held for (place, undo, ...)
+        this.holdStartTime = 0;
+        this.lastViewTime = 0; // Last frame of rotating / zooming / manipulating
+        this.lastPoint = null; // Cursor (NDC) on the previous frame, for rotation deltas
+    }
+
+    // One frame. action: the bound action id, kind: its GestureBindings kind ('hold',
+    // 'continuous', 'none'), motion: a one-shot motion gesture (swipe), point: cursor
+    // in NDC, twoHands: both hands are tracked, now: frame time in ms.
+    // Returns what to do this frame:
+    //   { type: 'fire' }                      run the motion gesture's action once
+    //   { type: 'ignore' }                    nothing (busy, or debouncing after a view gesture)
+    //   { type: 'manipulate', start }         two-hand view change (start: take a new baseline)
+    //   { type: 'zoom' }
+    //   { type: 'rotate', delta: { x, y } }
+    //   { type: 'hold', action, elapsed }     counting down; call complete() / startDrawing() when it fires
+    //   { type: 'drawing' } / { type: 'complete', action } / { type: 'idle' }
+    step({ action, kind, motion = false, point, twoHands = false, now }) {
+        // Motion gestures fire their action once, only from hover
+        if (motion) {
+            const fire = this.state === 'IDLE' && kind === 'hold';
+            this.lastPoint = point;
+            return { type: fire ? 'fire' : 'ignore' };
+        }
+
+        // View gestures take priority
+        if (action === 'manipulate' && twoHands) {
+            const start = this.state !== 'MANIPULATING';
+            this.state = 'MANIPULATING';
+            this.lastViewTime = now;
+            return { type: 'manipulate', start };
+        }
+        if (action === 'zoomIn' || action === 'zoomOut') {
+            this.state = 'ZOOMING';
+            this.lastViewTime = now;
+            return { type: 'zoom' };
+        }
+
+        // Transitions
+        if (action === 'rotate') {
+            if (this.state !== 'ROTATING') {
+                this.state = 'ROTATING';
+                this.lastPoint = point;
+            }
+        } else if (kind === 'hold') {
+            if (VIEW_STATES.includes(this.state)) {
+                if (now - this.lastViewTime < this.debounce) return { type: 'ignore' };
+                this.state = 'IDLE';
+            }
+            // A different hold action restarts the countdown
+            if (!HOLDING_STATES.includes(this.state) || this.holdAction !== action) {
+                this.state = 'HOLD_WAIT';
+                this.holdAction = action;
+                this.holdStartTime = now;
+            }
+        } else {
+            this.state = 'IDLE';
+            this.holdAction = null;
+        }
+
+        let result;
+        if (this.state === 'ROTATING') {
+            const last = this.lastPoint || point;
+            result = { type: 'rotate', delta: { x: point.x - last.x, y: point.y - last.y } };
+            this.lastViewTime = now;
+        } else if (this.state === 'HOLD_WAIT') {
+            result = { type: 'hold', action: this.holdAction, elapsed: now - this.holdStartTime };
+        } else if (this.state === 'DRAWING') {
+            result = { type: 'drawing' };
+        } else if (this.state === 'HOLD_COMPLETE') {
+            result = { type: 'complete', action: this.holdAction };
+        } else {
+            result = { type: 'idle' };
+        }
+
+        this.lastPoint = point;
+        return result;
+    }
+
+    // The held action fired (HOLD_WAIT -> HOLD_COMPLETE, until the gesture is released)
+    complete() {
+        this.state = 'HOLD_COMPLETE';
+    }
+
+    // The held action turned into a stroke (HOLD_WAIT -> DRAWING)
+    startDrawing() {
+        this.state = 'DRAWING';
+    }
+
+    stopDrawing() {
+        if (this.state === 'DRAWING') this.state = 'IDLE';
+    }
+}
+
+export default InteractionMachine;
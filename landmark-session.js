@@ -0,0 +1,264 @@
+// Landmark Sessions
+// Record the per-frame HandLandmarker results of a live session to a file and
+// play them back later in place of the camera, so a bad recognition or a state
+// machine bug can be reproduced frame for frame.
+//
+// File format (JSON):
+// {
+//   format: 'volex-landmarks', version: 1, createdAt, duration,
+//   frames: [{ t, landmarks, worldLandmarks, handedness }]
+// }
+// t is ms since the first frame; the other fields mirror HandLandmarkerResult.
+
+const SESSION_FORMAT = 'volex-landmarks';
+const SESSION_VERSION = 1;
+const PRECISION = 1e5; // Landmarks are normalized 0..1, five decimals is sub-pixel
+
+class SessionFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionFormatError';
+    }
+}
+
+const round = (value) => Math.round(value * PRECISION) / PRECISION;
+
+const copyPoints = (hands = []) => hands.map(points => points.map(p => ({ x: round(p.x), y: round(p.y), z: round(p.z) })));
+
+const copyHandedness = (hands = []) => hands.map(categories => categories.map(c => ({
+    score: round(c.score),
+    index: c.index,
+    categoryName: c.categoryName,
+    displayName: c.displayName
+})));
+
+// --- RECORDER ---
+
+class SessionRecorder {
+
+    constructor() {
+        this.frames = [];
+        this.startTime = null;
+        this.isRecording = false;
+    }
+
+    start() {
+        this.frames = [];
+        this.startTime = null;
+        this.isRecording = true;
+    }
+
+    // results: HandLandmarkerResult, timestamp: ms (performance.now())
+    push(results, timestamp) {
+        if (!this.isRecording || !results) return;
+        if (this.startTime === null) this.startTime = timestamp;
+
+        this.frames.push({
+            t: Math.round(timestamp - this.startTime),
+            landmarks: copyPoints(results.landmarks),
+            worldLandmarks: copyPoints(results.worldLandmarks),
+            handedness: copyHandedness(results.handedness || results.handednesses)
+        });
+    }
+
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    // Stop and return the session document (null when nothing was captured)
+    stop() {
+        this.isRecording = false;
+        if (this.frames.length === 0) return null;
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            createdAt: new Date().toISOString(),
+            duration: this.frames[this.frames.length - 1].t,
+            frames: this.frames
+        };
+    }
+}
+
+// --- PARSING ---
+
+function parseSession(json) {
+    let doc = json;
+    if (typeof json === 'string') {
+        try {
+            doc = JSON.parse(json);
+        } catch (e) {
+            throw new SessionFormatError(`Session file is not valid JSON: ${e.message}`);
+        }
+    }
+    if (!doc || doc.format !== SESSION_FORMAT) {
+        throw new SessionFormatError(`Not a landmark session: expected format "${SESSION_FORMAT}".`);
+    }
+    if (doc.version > SESSION_VERSION) {
+        throw new SessionFormatError(`Session version ${doc.version} is newer than this app supports (${SESSION_VERSION}).`);
+    }
+    if (!Array.isArray(doc.frames) || doc.frames.length === 0) {
+        throw new SessionFormatError('Session has no frames.');
+    }
+
+    let last = -Infinity;
+    doc.frames.forEach((frame, i) => {
+        if (!frame || !Number.isFinite(frame.t) || frame.t < last) {
+            throw new SessionFormatError(`frames[${i}].t: timestamps must be numbers in increasing order`);
+        }
+        if (!Array.isArray(frame.landmarks) || !frame.landmarks.every(hand => Array.isArray(hand) && hand.length === 21)) {
+            throw new SessionFormatError(`frames[${i}].landmarks: expected 21 landmarks per hand`);
+        }
+        last = frame.t;
+    });
+    return doc;
+}
+
+// --- PLAYER ---
+
+// Feeds a session's frames out on a virtual clock. Emitted timestamps always move
+// forward (even across seeks and loops) so time-based filters never see time reverse.
+class SessionPlayer {
+
+    constructor() {
+        this.session = null;
+        this.speed = 1;
+        this.loop = false;
+        this.listeners = [];
+        this.unload();
+    }
+
+    get isActive() {
+        return this.session !== null;
+    }
+
+    get frames() {
+        return this.session ? this.session.frames : [];
+    }
+
+    get duration() {
+        const frames = this.frames;
+        return frames.length ? frames[frames.length - 1].t : 0;
+    }
+
+    load(session) {
+        this.session = session;
+        this.playhead = 0;
+        this.frameIndex = -1;
+        this.pending = 0; // Frame index to emit on the next advance() (seek / step)
+        this.playing = false;
+        this.lastTick = null;
+        this.clockOffset = (this.lastEmitted ?? 0) + 1000;
+        this.notify();
+    }
+
+    unload() {
+        this.session = null;
+        this.playhead = 0;
+        this.frameIndex = -1;
+        this.pending = null;
+        this.playing = false;
+        this.lastTick = null;
+        this.clockOffset = 0;
+        this.lastEmitted = null;
+        this.notify();
+    }
+
+    play() {
+        if (!this.session) return;
+        if (this.frameIndex >= this.frames.length - 1) this.seek(0); // Replay from the start
+        this.playing = true;
+        this.lastTick = null;
+        this.notify();
+    }
+
+    pause() {
+        this.playing = false;
+        this.notify();
+    }
+
+    toggle() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.notify();
+    }
+
+    // Jump to the frame at (or just before) `time` ms; it's emitted on the next advance()
+    seek(time) {
+        if (!this.session) return;
+        const frames = this.frames;
+        let index = 0;
+        while (index + 1 < frames.length && frames[index + 1].t <= time) index++;
+        this.pending = index;
+        this.playhead = frames[index].t;
+        this.notify();
+    }
+
+    // Pause and move `delta` frames
+    step(delta = 1) {
+        if (!this.session) return;
+        this.playing = false;
+        const index = Math.min(this.frames.length - 1, Math.max(0, this.frameIndex + delta));
+        this.pending = index;
+        this.playhead = this.frames[index].t;
+        this.notify();
+    }
+
+    // Call once per render tick with the wall clock (ms). Returns { results, timestamp, index }
+    // when a new frame is due, otherwise null.
+    advance(now) {
+        if (!this.session) return null;
+        const frames = this.frames;
+
+        let index = null;
+        if (this.pending !== null) {
+            index = this.pending;
+            this.pending = null;
+        } else if (this.playing) {
+            if (this.lastTick !== null) this.playhead += (now - this.lastTick) * this.speed;
+            let next = this.frameIndex;
+            while (next + 1 < frames.length && frames[next + 1].t <= this.playhead) next++;
+            if (next !== this.frameIndex) index = next;
+
+            if (next >= frames.length - 1) {
+                if (this.loop) {
+                    this.seek(0);
+                } else {
+                    this.playing = false;
+                    this.notify();
+                }
+            }
+        }
+        this.lastTick = now;
+        if (index === null) return null;
+
+        // Going backwards restarts the virtual clock after the last emitted time
+        if (index <= this.frameIndex && this.lastEmitted !== null) {
+            this.clockOffset = this.lastEmitted + 100 - frames[index].t;
+        }
+        this.frameIndex = index;
+        const frame = frames[index];
+        const timestamp = frame.t + this.clockOffset;
+        this.lastEmitted = timestamp;
+        this.notify();
+
+        return {
+            index,
+            timestamp,
+            results: { landmarks: frame.landmarks, worldLandmarks: frame.worldLandmarks || [], handedness: frame.handedness || [] }
+        };
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+export { SessionRecorder, SessionPlayer, parseSession, SessionFormatError, SESSION_FORMAT };
@@ -0,0 +1,314 @@
+// 3D Mesh Export (GLB, OBJ + MTL, binary STL)
+// Voxels are merged into one surface: faces shared by two solid voxels are
+// culled, the rest are emitted as unit quads grouped by (color, material).
+// Exports use full-size cubes (no render gap) so prints come out watertight.
+
+const FACES = [
+    { normal: [1, 0, 0], corners: [[1, 0, 0], [1, 1, 0], [1, 1, 1], [1, 0, 1]] },
+    { normal: [-1, 0, 0], corners: [[0, 0, 1], [0, 1, 1], [0, 1, 0], [0, 0, 0]] },
+    { normal: [0, 1, 0], corners: [[0, 1, 1], [1, 1, 1], [1, 1, 0], [0, 1, 0]] },
+    { normal: [0, -1, 0], corners: [[0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1]] },
+    { normal: [0, 0, 1], corners: [[1, 0, 1], [1, 1, 1], [0, 1, 1], [0, 0, 1]] },
+    { normal: [0, 0, -1], corners: [[0, 0, 0], [0, 1, 0], [1, 1, 0], [1, 0, 0]] }
+];
+
+const DEFAULT_OPTIONS = {
+    voxelSize: 1, // World units per voxel in the scene
+    scale: 1, // Output units per voxel (e.g. millimetres for printing)
+    center: true, // Move the bounding box center to the origin
+    upAxis: 'y' // 'y' (glTF/OBJ convention) or 'z' (most slicers/CAD)
+};
+
+// --- MESH BUILDING ---
+
+function isTransparent(palette, voxel) {
+    return palette ? (palette.getMaterial(voxel.material).opacity ?? 1) < 1 : false;
+}
+
+// voxels: Map or array of { x, y, z, color, material } (cell centers)
+function buildVoxelMesh(voxels, palette, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const list = Array.from(voxels.values ? voxels.values() : voxels);
+    const size = opts.voxelSize;
+
+    // Integer cell lookup so neighbour tests don't depend on float keys
+    const cells = new Map();
+    list.forEach(v => {
+        cells.set(`${Math.floor(v.x / size)},${Math.floor(v.y / size)},${Math.floor(v.z / size)}`, v);
+    });
+
+    // Bounds in cells, used for centering
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    cells.forEach((v, key) => {
+        key.split(',').map(Number).forEach((c, axis) => {
+            min[axis] = Math.min(min[axis], c);
+            max[axis] = Math.max(max[axis], c + 1);
+        });
+    });
+    const offset = opts.center && cells.size > 0
+        ? min.map((m, axis) => -(m + max[axis]) / 2)
+        : [0, 0, 0];
+
+    const toOutput = (p) => {
+        const x = (p[0] + offset[0]) * opts.scale;
+        const y = (p[1] + offset[1]) * opts.scale;
+        const z = (p[2] + offset[2]) * opts.scale;
+        // Y-up -> Z-up keeps handedness: (x, y, z) -> (x, -z, y)
+        return opts.upAxis === 'z' ? [x, -z, y] : [x, y, z];
+    };
+    const normalToOutput = (n) => (opts.upAxis === 'z' ? [n[0], -n[2], n[1]] : n);
+
+    const groups = new Map();
+    cells.forEach((voxel, key) => {
+        const [ix, iy, iz] = key.split(',').map(Number);
+        const transparent = isTransparent(palette, voxel);
+
+        FACES.forEach(face => {
+            const [nx, ny, nz] = face.normal;
+            const neighbour = cells.get(`${ix + nx},${iy + ny},${iz + nz}`);
+            // Hidden when covered by a voxel of the same opacity class
+            if (neighbour && isTransparent(palette, neighbour) === transparent) return;
+
+            const groupKey = `${voxel.material || ''}:${voxel.color}`;
+            let group = groups.get(groupKey);
+            if (!group) {
+                group = { key: groupKey, color: voxel.color, material: voxel.material, positions: [], normals: [], indices: [] };
+                groups.set(groupKey, group);
+            }
+
+            const base = group.positions.length / 3;
+            face.corners.forEach(corner => {
+                group.positions.push(...toOutput([ix + corner[0], iy + corner[1], iz + corner[2]]));
+                group.normals.push(...normalToOutput(face.normal));
+            });
+            group.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        });
+    });
+
+    return Array.from(groups.values()).map(g => ({
+        ...g,
+        positions: new Float32Array(g.positions),
+        normals: new Float32Array(g.normals),
+        indices: new Uint32Array(g.indices)
+    }));
+}
+
+// --- COLOR HELPERS ---
+
+const hexToRgb = (hex) => [((hex >> 16) & 0xff) / 255, ((hex >> 8) & 0xff) / 255, (hex & 0xff) / 255];
+const srgbToLinear = (c) => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+
+function materialInfo(palette, group) {
+    const preset = palette ? palette.getMaterial(group.material) : {};
+    const emissive = preset.emissive === 'self' ? group.color : preset.emissive;
+    return {
+        name: `${group.material || 'default'}_${group.color.toString(16).padStart(6, '0')}`,
+        rgb: hexToRgb(group.color),
+        roughness: preset.roughness ?? 0.5,
+        metalness: preset.metalness ?? 0,
+        opacity: preset.opacity ?? 1,
+        emissive: emissive == null ? [0, 0, 0] : hexToRgb(emissive).map(c => c * (preset.emissiveIntensity ?? 1))
+    };
+}
+
+// --- GLB ---
+
+function exportGLB(voxels, palette, options = {}) {
+    const groups = buildVoxelMesh(voxels, palette, options);
+
+    const gltf = {
+        asset: { version: '2.0', generator: 'VOLEX' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ name: 'volex', mesh: 0 }],
+        meshes: [{ name: 'voxels', primitives: [] }],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: [{ byteLength: 0 }]
+    };
+
+    const chunks = [];
+    let byteOffset = 0;
+    const addView = (typedArray, target) => {
+        const bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+        chunks.push(bytes);
+        gltf.bufferViews.push({ buffer: 0, byteOffset, byteLength: bytes.byteLength, target });
+        byteOffset += bytes.byteLength; // Float32/Uint32 data keeps 4-byte alignment
+        return gltf.bufferViews.length - 1;
+    };
+
+    groups.forEach(group => {
+        const info = materialInfo(palette, group);
+        gltf.materials.push({
+            name: info.name,
+            pbrMetallicRoughness: {
+                baseColorFactor: [...info.rgb.map(srgbToLinear), info.opacity],
+                metallicFactor: info.metalness,
+                roughnessFactor: info.roughness
+            },
+            emissiveFactor: info.emissive.map(c => Math.min(1, srgbToLinear(c))),
+            alphaMode: info.opacity < 1 ? 'BLEND' : 'OPAQUE'
+        });
+
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < group.positions.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], group.positions[i]);
+            max[i % 3] = Math.max(max[i % 3], group.positions[i]);
+        }
+
+        const vertexCount = group.positions.length / 3;
+        gltf.accessors.push({ bufferView: addView(group.positions, 34962), componentType: 5126, count: vertexCount, type: 'VEC3', min, max });
+        const position = gltf.accessors.length - 1;
+        gltf.accessors.push({ bufferView: addView(group.normals, 34962), componentType: 5126, count: vertexCount, type: 'VEC3' });
+        const normal = gltf.accessors.length - 1;
+        gltf.accessors.push({ bufferView: addView(group.indices, 34963), componentType: 5125, count: group.indices.length, type: 'SCALAR' });
+        const indices = gltf.accessors.length - 1;
+
+        gltf.meshes[0].primitives.push({
+            attributes: { POSITION: position, NORMAL: normal },
+            indices,
+            material: gltf.materials.length - 1
+        });
+    });
+
+    if (groups.length === 0) {
+        // glTF requires at least one primitive per mesh
+        delete gltf.nodes[0].mesh;
+        delete gltf.meshes;
+    }
+    gltf.buffers[0].byteLength = byteOffset;
+    if (byteOffset === 0) delete gltf.buffers;
+    if (gltf.bufferViews.length === 0) delete gltf.bufferViews;
+    if (gltf.accessors.length === 0) delete gltf.accessors;
+    if (gltf.materials.length === 0) delete gltf.materials;
+
+    // JSON chunk padded with spaces, BIN chunk with zeros (both to 4 bytes)
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(gltf));
+    const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    const binLength = Math.ceil(byteOffset / 4) * 4;
+    const total = 12 + 8 + jsonLength + (binLength > 0 ? 8 + binLength : 0);
+
+    const out = new ArrayBuffer(total);
+    const view = new DataView(out);
+    const bytes = new Uint8Array(out);
+
+    view.setUint32(0, 0x46546c67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4e4f534a, true); // 'JSON'
+    bytes.fill(0x20, 20, 20 + jsonLength);
+    bytes.set(jsonBytes, 20);
+
+    if (binLength > 0) {
+        const binStart = 20 + jsonLength;
+        view.setUint32(binStart, binLength, true);
+        view.setUint32(binStart + 4, 0x004e4942, true); // 'BIN\0'
+        let cursor = binStart + 8;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, cursor);
+            cursor += chunk.byteLength;
+        });
+    }
+    return out;
+}
+
+// --- OBJ + MTL ---
+
+function exportOBJ(voxels, palette, options = {}) {
+    const groups = buildVoxelMesh(voxels, palette, options);
+    const mtlName = options.mtlName || 'volex.mtl';
+    const fmt = (n) => Number(n.toFixed(6)).toString();
+
+    const obj = ['# VOLEX voxel export', `mtllib ${mtlName}`, 'o volex'];
+    const mtl = ['# VOLEX voxel materials'];
+    const normalIndex = new Map();
+    let vertexBase = 0;
+
+    groups.forEach(group => {
+        const info = materialInfo(palette, group);
+        mtl.push(
+            '',
+            `newmtl ${info.name}`,
+            `Kd ${info.rgb.map(fmt).join(' ')}`,
+            'Ka 0 0 0',
+            `Ks ${fmt(info.metalness)} ${fmt(info.metalness)} ${fmt(info.metalness)}`,
+            `Ns ${fmt((1 - info.roughness) * 1000)}`,
+            `Ke ${info.emissive.map(fmt).join(' ')}`,
+            `d ${fmt(info.opacity)}`,
+            `Pr ${fmt(info.roughness)}`,
+            `Pm ${fmt(info.metalness)}`,
+            'illum 2'
+        );
+
+        for (let i = 0; i < group.positions.length; i += 3) {
+            obj.push(`v ${fmt(group.positions[i])} ${fmt(group.positions[i + 1])} ${fmt(group.positions[i + 2])}`);
+        }
+
+        // Normals are one of six axis directions - share them across the file
+        const vn = [];
+        for (let i = 0; i < group.normals.length; i += 3) {
+            const key = `${group.normals[i]} ${group.normals[i + 1]} ${group.normals[i + 2]}`;
+            if (!normalIndex.has(key)) {
+                normalIndex.set(key, normalIndex.size + 1);
+                obj.push(`vn ${key}`);
+            }
+            vn.push(normalIndex.get(key));
+        }
+
+        obj.push(`usemtl ${info.name}`);
+        for (let i = 0; i < group.indices.length; i += 3) {
+            const a = group.indices[i], b = group.indices[i + 1], c = group.indices[i + 2];
+            obj.push(`f ${vertexBase + a + 1}//${vn[a]} ${vertexBase + b + 1}//${vn[b]} ${vertexBase + c + 1}//${vn[c]}`);
+        }
+        vertexBase += group.positions.length / 3;
+    });
+
+    return { obj: obj.join('\n') + '\n', mtl: mtl.join('\n') + '\n' };
+}
+
+// --- STL (binary) ---
+
+// Colors use the VisCAM/SolidView convention: bit 15 set, then 5-bit R, G, B. The header
+// must not contain "COLOR=": Materialise readers would take that as their own convention,
+// where bit 15 means "use the default color" and the channels run B, G, R.
+function exportSTL(voxels, palette, options = {}) {
+    const groups = buildVoxelMesh(voxels, palette, { upAxis: 'z', ...options });
+    const triangleCount = groups.reduce((sum, g) => sum + g.indices.length / 3, 0);
+
+    const out = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(out);
+    const header = new TextEncoder().encode('VOLEX binary STL');
+    new Uint8Array(out).set(header, 0);
+    view.setUint32(80, triangleCount, true);
+
+    let offset = 84;
+    groups.forEach(group => {
+        const [r, g, b] = hexToRgb(group.color).map(c => Math.round(c * 31));
+        const attribute = 0x8000 | (r << 10) | (g << 5) | b;
+
+        for (let i = 0; i < group.indices.length; i += 3) {
+            const a = group.indices[i] * 3;
+            view.setFloat32(offset, group.normals[a], true);
+            view.setFloat32(offset + 4, group.normals[a + 1], true);
+            view.setFloat32(offset + 8, group.normals[a + 2], true);
+            offset += 12;
+            for (let k = 0; k < 3; k++) {
+                const v = group.indices[i + k] * 3;
+                view.setFloat32(offset, group.positions[v], true);
+                view.setFloat32(offset + 4, group.positions[v + 1], true);
+                view.setFloat32(offset + 8, group.positions[v + 2], true);
+                offset += 12;
+            }
+            view.setUint16(offset, attribute, true);
+            offset += 2;
+        }
+    });
+    return out;
+}
+
+export { buildVoxelMesh, exportGLB, exportOBJ, exportSTL };
@@ -0,0 +1,228 @@
+// Motion Gesture Engine
+// Recognizes swipes, circles and flicks from a hand's trajectory over time.
+// A motion segment starts when the hand speeds up and ends when it settles;
+// the segment is resampled by arc length (so slow and fast strokes look the
+// same), normalized for position and size, then matched against templates
+// with dynamic time warping.
+//
+// Points are in screen space (x mirrored like the preview, y down) and speeds
+// in palm lengths per second, so thresholds don't depend on camera distance.
+
+const RESAMPLE_POINTS = 24;
+
+// --- TRAJECTORY MATH ---
+
+const dist2D = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+function pathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += dist2D(points[i - 1], points[i]);
+    return length;
+}
+
+// Evenly spaced points along the path
+function resample(points, n = RESAMPLE_POINTS) {
+    const interval = pathLength(points) / (n - 1);
+    const source = points.map(p => ({ x: p.x, y: p.y }));
+    const out = [source[0]];
+    let carried = 0;
+
+    for (let i = 1; i < source.length; i++) {
+        const d = dist2D(source[i - 1], source[i]);
+        if (interval > 0 && carried + d >= interval) {
+            const t = (interval - carried) / d;
+            const q = {
+                x: source[i - 1].x + t * (source[i].x - source[i - 1].x),
+                y: source[i - 1].y + t * (source[i].y - source[i - 1].y)
+            };
+            out.push(q);
+            source.splice(i, 0, q); // q becomes the next segment start
+            carried = 0;
+        } else {
+            carried += d;
+        }
+    }
+    while (out.length < n) out.push({ ...source[source.length - 1] });
+    return out.slice(0, n);
+}
+
+// Centroid at the origin, largest extent = 1 (aspect ratio is kept so lines stay lines)
+function normalize(points) {
+    const cx = points.reduce((s, p) => s + p.x, 0) / points.length;
+    const cy = points.reduce((s, p) => s + p.y, 0) / points.length;
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    points.forEach(p => {
+        minX = Math.min(minX, p.x);
+        maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y);
+        maxY = Math.max(maxY, p.y);
+    });
+    const size = Math.max(maxX - minX, maxY - minY) || 1;
+    return points.map(p => ({ x: (p.x - cx) / size, y: (p.y - cy) / size }));
+}
+
+// Average per-step cost of the best alignment between two equal-length paths
+function dtw(a, b) {
+    const n = a.length;
+    const m = b.length;
+    let prev = new Array(m + 1).fill(Infinity);
+    prev[0] = 0;
+    const steps = new Array(m + 1).fill(0);
+    let prevSteps = steps.slice();
+
+    for (let i = 1; i <= n; i++) {
+        const row = new Array(m + 1).fill(Infinity);
+        const rowSteps = new Array(m + 1).fill(0);
+        for (let j = 1; j <= m; j++) {
+            const cost = dist2D(a[i - 1], b[j - 1]);
+            let best = prev[j - 1];
+            let bestSteps = prevSteps[j - 1];
+            if (prev[j] < best) {
+                best = prev[j];
+                bestSteps = prevSteps[j];
+            }
+            if (row[j - 1] < best) {
+                best = row[j - 1];
+                bestSteps = rowSteps[j - 1];
+            }
+            row[j] = cost + best;
+            rowSteps[j] = bestSteps + 1;
+        }
+        prev = row;
+        prevSteps = rowSteps;
+    }
+    return prev[m] / prevSteps[m];
+}
+
+// --- TEMPLATES ---
+
+const line = (dx, dy) => {
+    const points = [];
+    for (let i = 0; i < RESAMPLE_POINTS; i++) {
+        const t = i / (RESAMPLE_POINTS - 1) - 0.5;
+        points.push({ x: dx * t, y: dy * t });
+    }
+    return points;
+};
+
+// direction 1 = clockwise on screen (y points down), -1 = counter-clockwise
+const circle = (direction, phase) => {
+    const points = [];
+    for (let i = 0; i < RESAMPLE_POINTS; i++) {
+        const angle = phase + direction * (i / (RESAMPLE_POINTS - 1)) * Math.PI * 2;
+        points.push({ x: Math.cos(angle), y: Math.sin(angle) });
+    }
+    return points;
+};
+
+// Circles can start anywhere, so each direction gets one template per quadrant
+const PHASES = [0, Math.PI / 2, Math.PI, Math.PI * 1.5];
+const TEMPLATES = [
+    { gesture: 'SWIPE_LEFT', points: line(-1, 0) },
+    { gesture: 'SWIPE_RIGHT', points: line(1, 0) },
+    { gesture: 'SWIPE_UP', points: line(0, -1) },
+    { gesture: 'SWIPE_DOWN', points: line(0, 1) },
+    ...PHASES.map(phase => ({ gesture: 'CIRCLE_CW', points: circle(1, phase) })),
+    ...PHASES.map(phase => ({ gesture: 'CIRCLE_CCW', points: circle(-1, phase) }))
+].map(t => ({ gesture: t.gesture, points: normalize(t.points) }));
+
+// --- ENGINE ---
+
+class MotionGestureEngine {
+
+    constructor({
+        startSpeed = 1.5,      // palm lengths/s to begin a motion segment
+        stopSpeed = 0.8,       // below this the hand counts as settled
+        stopFrames = 3,        // settled frames that end a segment
+        maxDuration = 1500,    // ms - longer motions are dropped
+        minPath = 1.2,         // palm lengths - shorter motions are jitter
+        maxCost = 0.14,        // worst acceptable DTW match
+        flickMaxBurst = 220,   // ms above half peak speed - a swipe this sharp is a flick...
+        flickMinSpeed = 8,     // ...if it also peaks above this speed
+        cooldown = 500         // ms after a gesture (ignores the hand returning)
+    } = {}) {
+        Object.assign(this, { startSpeed, stopSpeed, stopFrames, maxDuration, minPath, maxCost, flickMaxBurst, flickMinSpeed, cooldown });
+        this.reset();
+    }
+
+    reset() {
+        this.last = null;
+        this.speed = 0;
+        this.segment = null;
+        this.settledFrames = 0;
+        this.cooldownUntil = 0;
+    }
+
+    // point: { x, y } screen-space, t: ms, scale: palm length in the same units.
+    // Returns { gesture, cost, duration, peakSpeed } when a motion completes, else null.
+    push(point, t, scale) {
+        const sample = { x: point.x, y: point.y, t, scale: scale || 1 };
+        const previous = this.last;
+        this.last = sample;
+        if (!previous || t <= previous.t) return null;
+
+        // Smoothed speed in palm lengths per second
+        const instant = dist2D(previous, sample) / sample.scale / ((t - previous.t) / 1000);
+        this.speed = this.speed * 0.5 + instant * 0.5;
+        sample.speed = this.speed;
+
+        if (!this.segment) {
+            if (this.speed > this.startSpeed && t >= this.cooldownUntil) {
+                this.segment = { points: [previous, sample], peakSpeed: this.speed, lastMoving: 1 };
+                this.settledFrames = 0;
+            }
+            return null;
+        }
+
+        const segment = this.segment;
+        segment.points.push(sample);
+        segment.peakSpeed = Math.max(segment.peakSpeed, this.speed);
+        if (this.speed < this.stopSpeed) {
+            this.settledFrames++;
+        } else {
+            this.settledFrames = 0;
+            segment.lastMoving = segment.points.length - 1;
+        }
+
+        const duration = t - segment.points[0].t;
+        if (duration > this.maxDuration) {
+            this.segment = null; // Too slow / too long to be a deliberate gesture
+            return null;
+        }
+        if (this.settledFrames < this.stopFrames) return null;
+
+        this.segment = null;
+        const result = this.classify(segment);
+        if (result) this.cooldownUntil = t + this.cooldown;
+        return result;
+    }
+
+    classify(segment) {
+        // Trim the settling tail so it doesn't add a hook to the shape (or time to a flick)
+        const points = segment.points.slice(0, segment.lastMoving + 1);
+        if (points.length < 3) return null;
+
+        const scale = points.reduce((s, p) => s + p.scale, 0) / points.length;
+        if (pathLength(points) / scale < this.minPath) return null;
+
+        const shape = normalize(resample(points));
+        let best = null;
+        TEMPLATES.forEach(template => {
+            const cost = dtw(shape, template.points);
+            if (!best || cost < best.cost) best = { gesture: template.gesture, cost };
+        });
+        if (!best || best.cost > this.maxCost) return null;
+
+        const duration = points[points.length - 1].t - points[0].t;
+        const fast = points.filter(p => p.speed >= segment.peakSpeed / 2);
+        const burst = fast.length ? fast[fast.length - 1].t - fast[0].t : duration;
+
+        let gesture = best.gesture;
+        if (gesture.startsWith('SWIPE_') && burst <= this.flickMaxBurst && segment.peakSpeed >= this.flickMinSpeed) {
+            gesture = gesture.replace('SWIPE_', 'FLICK_');
+        }
+        return { gesture, cost: best.cost, duration, peakSpeed: segment.peakSpeed };
+    }
+}
+
+export default MotionGestureEngine;
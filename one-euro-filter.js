@@ -0,0 +1,78 @@
+// One-Euro Filter
+// Casiez, Roussel & Vogel, "1€ Filter: A Simple Speed-based Low-pass Filter for
+// Noisy Input in Interactive Systems" (CHI 2012).
+// Heavy smoothing while the hand is still (kills jitter), light smoothing when
+// it moves fast (kills lag). minCutoff trades jitter for lag at rest; beta sets
+// how quickly the filter opens up with speed.
+//
+// Values are in whatever units you feed it; timestamps are in milliseconds.
+
+const smoothingFactor = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+};
+
+class OneEuroFilter {
+
+    constructor({ minCutoff = 1.0, beta = 0.0, dCutoff = 1.0 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.lastTime = null;
+    }
+
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTime = timestamp;
+            return value;
+        }
+
+        // Same-timestamp frames (or clock hiccups) reuse a nominal 60 Hz step
+        const dt = timestamp > this.lastTime ? (timestamp - this.lastTime) / 1000 : 1 / 60;
+        this.lastTime = timestamp;
+
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += smoothingFactor(this.dCutoff, dt) * (rawDerivative - this.derivative);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += smoothingFactor(cutoff, dt) * (value - this.value);
+        return this.value;
+    }
+}
+
+// x / y / z filtered independently with shared settings
+class OneEuroPointFilter {
+
+    constructor(options = {}) {
+        this.axes = { x: new OneEuroFilter(options), y: new OneEuroFilter(options), z: new OneEuroFilter(options) };
+    }
+
+    configure({ minCutoff, beta, dCutoff }) {
+        Object.values(this.axes).forEach(f => {
+            if (minCutoff !== undefined) f.minCutoff = minCutoff;
+            if (beta !== undefined) f.beta = beta;
+            if (dCutoff !== undefined) f.dCutoff = dCutoff;
+        });
+    }
+
+    reset() {
+        Object.values(this.axes).forEach(f => f.reset());
+    }
+
+    filter(point, timestamp) {
+        return {
+            x: this.axes.x.filter(point.x, timestamp),
+            y: this.axes.y.filter(point.y, timestamp),
+            z: this.axes.z.filter(point.z || 0, timestamp)
+        };
+    }
+}
+
+export { OneEuroFilter, OneEuroPointFilter };
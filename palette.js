@@ -0,0 +1,105 @@
+// Color Palette + Material Presets
+// Swatches pair a color with a material preset. Voxels store both the color and
+// the preset id, and the whole palette is written into the scene file so a
+// reloaded scene renders exactly like the one that was saved.
+
+// emissive: hex color, 'self' (glow in the voxel's own color) or null
+const DEFAULT_MATERIALS = {
+    neon: { name: 'Neon', roughness: 0.2, metalness: 0.8, emissive: 0x0044ff, emissiveIntensity: 0.6, opacity: 1 },
+    matte: { name: 'Matte', roughness: 0.9, metalness: 0.0, emissive: null, emissiveIntensity: 0, opacity: 1 },
+    metal: { name: 'Metal', roughness: 0.25, metalness: 1.0, emissive: null, emissiveIntensity: 0, opacity: 1 },
+    glow: { name: 'Glow', roughness: 0.5, metalness: 0.0, emissive: 'self', emissiveIntensity: 1.0, opacity: 1 },
+    glass: { name: 'Glass', roughness: 0.05, metalness: 0.0, emissive: null, emissiveIntensity: 0, opacity: 0.35 }
+};
+
+const DEFAULT_SWATCHES = [
+    { name: 'Cyan', color: 0x00ffff, material: 'neon' },
+    { name: 'White', color: 0xf2f2f2, material: 'matte' },
+    { name: 'Charcoal', color: 0x333333, material: 'matte' },
+    { name: 'Red', color: 0xef4444, material: 'matte' },
+    { name: 'Orange', color: 0xf97316, material: 'matte' },
+    { name: 'Yellow', color: 0xfacc15, material: 'matte' },
+    { name: 'Green', color: 0x22c55e, material: 'matte' },
+    { name: 'Blue', color: 0x3b82f6, material: 'matte' },
+    { name: 'Purple', color: 0xa855f7, material: 'matte' },
+    { name: 'Gold', color: 0xd4a017, material: 'metal' },
+    { name: 'Steel', color: 0xb0b8c0, material: 'metal' },
+    { name: 'Lava', color: 0xff5500, material: 'glow' },
+    { name: 'Glass', color: 0x9fe8ff, material: 'glass' }
+];
+
+const DEFAULT_MATERIAL = 'neon';
+
+class Palette {
+
+    constructor(swatches = DEFAULT_SWATCHES, materials = DEFAULT_MATERIALS) {
+        this.swatches = swatches.map(s => ({ ...s }));
+        this.materials = {};
+        Object.keys(materials).forEach(id => {
+            this.materials[id] = { ...materials[id] };
+        });
+        this.currentIndex = 0;
+        this.listeners = [];
+    }
+
+    get current() {
+        return this.swatches[this.currentIndex];
+    }
+
+    select(index) {
+        if (this.swatches.length === 0) return;
+        const count = this.swatches.length;
+        this.currentIndex = ((index % count) + count) % count;
+        this.notify();
+    }
+
+    next() {
+        this.select(this.currentIndex + 1);
+    }
+
+    prev() {
+        this.select(this.currentIndex - 1);
+    }
+
+    getMaterial(id) {
+        return this.materials[id] || this.materials[DEFAULT_MATERIAL] || DEFAULT_MATERIALS[DEFAULT_MATERIAL];
+    }
+
+    // Voxel paint for the current swatch
+    paint() {
+        const swatch = this.current;
+        return { color: swatch.color, material: swatch.material };
+    }
+
+    toJSON() {
+        return {
+            current: this.currentIndex,
+            swatches: this.swatches.map(s => ({ ...s })),
+            materials: JSON.parse(JSON.stringify(this.materials))
+        };
+    }
+
+    // Replace the palette contents in place so existing listeners stay attached
+    loadJSON(data) {
+        if (!data) return;
+        if (Array.isArray(data.swatches) && data.swatches.length > 0) {
+            this.swatches = data.swatches.map(s => ({ ...s }));
+        }
+        if (data.materials && typeof data.materials === 'object') {
+            this.materials = JSON.parse(JSON.stringify(data.materials));
+        }
+        this.select(Number.isInteger(data.current) ? data.current : 0);
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+Palette.DEFAULT_MATERIAL = DEFAULT_MATERIAL;
+
+export default Palette;
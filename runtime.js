@@ -0,0 +1,60 @@
+// Runtime Loader
+// Decides where the libraries and fonts come from before any app module loads: the
+// vendored copies (tools/vendor-assets.mjs) when asset-manifest.json is there, the CDNs
+// otherwise, so a checkout without vendor/ still runs online. It then adds the import
+// map and starts script.js. A classic script on purpose: import maps have to be in
+// place before the first module loads.
+//
+// hand-landmarker.js keeps the matching tasks-vision / wasm / model URLs.
+
+(() => {
+    const RUNTIMES = {
+        vendored: {
+            fonts: "./vendor/fonts/fonts.css",
+            imports: {
+                "three": "./vendor/three@0.160.0/three.module.js",
+                "three/examples/jsm/controls/OrbitControls.js": "./vendor/three@0.160.0/OrbitControls.js",
+                "@mediapipe/tasks-vision": "./vendor/tasks-vision@0.10.9/vision_bundle.mjs"
+            }
+        },
+        cdn: {
+            fonts: "https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600;800&family=JetBrains+Mono:wght@400;700&display=swap",
+            imports: {
+                "three": "https://unpkg.com/three@0.160.0/build/three.module.js",
+                "three/examples/jsm/controls/OrbitControls.js": "https://unpkg.com/three@0.160.0/examples/jsm/controls/OrbitControls.js",
+                "@mediapipe/tasks-vision": "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.9/+esm"
+            }
+        }
+    };
+
+    function start(name) {
+        const runtime = RUNTIMES[name];
+        console.log(`📦 Runtime: ${name}`);
+
+        const fonts = document.createElement('link');
+        fonts.rel = 'stylesheet';
+        fonts.href = runtime.fonts;
+        document.head.appendChild(fonts);
+
+        const importMap = document.createElement('script');
+        importMap.type = 'importmap';
+        importMap.textContent = JSON.stringify({ imports: runtime.imports });
+        document.head.appendChild(importMap);
+
+        const app = document.createElement('script');
+        app.type = 'module';
+        app.src = './script.js';
+        document.body.appendChild(app);
+    }
+
+    // A GET, so the service worker can answer it from its cache when offline
+    fetch('./asset-manifest.json', { cache: 'no-cache' })
+        .then(response => response.ok ? 'vendored' : 'cdn', () => 'cdn')
+        .then(name => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => start(name));
+            } else {
+                start(name);
+            }
+        });
+})();
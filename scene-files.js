@@ -0,0 +1,54 @@
+// Scene File I/O (browser)
+// Download to disk, read picked/dropped files. Parsing stays in VoxelWorld / scene-format.js.
+
+const SCENE_EXTENSION = '.volex.json';
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a tick to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadText(text, filename, mimeType = 'application/json') {
+    downloadBlob(new Blob([text], { type: mimeType }), filename);
+}
+
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+        reader.readAsText(file);
+    });
+}
+
+function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+// "My Castle" -> "my-castle.volex.json"
+function sceneFileName(name, extension = SCENE_EXTENSION) {
+    const slug = (name || 'volex-scene')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return (slug || 'volex-scene') + extension;
+}
+
+// "my-castle.volex.json" -> "my-castle"
+function sceneNameFromFile(filename) {
+    return filename.replace(/(\.volex)?\.[^.]+$/i, '');
+}
+
+export { downloadBlob, downloadText, readFileAsText, readFileAsArrayBuffer, sceneFileName, sceneNameFromFile };
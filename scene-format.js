@@ -0,0 +1,245 @@
+// Scene File Format
+// Versioned JSON document:
+// {
+//   format: 'volex-scene', version: 2,
+//   voxelSize, palette, camera: { position, target }, sceneRotation,
+//   metadata: { name, createdAt, modifiedAt, generator, groups? },  (groups: [{ name, cells: [[x, y, z]] }])
+//   voxels: [{ x, y, z, color, material }],
+//   clipboard: { voxels: [{ x, y, z, color, material }] } | null  (optional, cell offsets)
+// }
+// parseScene() validates strictly and migrates older files, so callers can
+// check a file completely before touching the current scene.
+
+const SCENE_FORMAT = 'volex-scene';
+const SCENE_VERSION = 2;
+const GENERATOR = 'VOLEX v0.1';
+const MAX_REPORTED_ISSUES = 8;
+
+class SceneFormatError extends Error {
+    constructor(message, issues = []) {
+        super(message);
+        this.name = 'SceneFormatError';
+        this.issues = issues;
+    }
+}
+
+// --- MIGRATIONS ---
+// Each entry upgrades a document from version N to N + 1
+
+const MIGRATIONS = {
+    // v0: bare array of { x, y, z, color } (original localStorage saves)
+    0: (voxels) => ({ version: 1, palette: null, voxels }),
+
+    // v1: { palette, voxels } without a header
+    1: (doc) => ({
+        format: SCENE_FORMAT,
+        version: 2,
+        voxelSize: 1,
+        palette: doc.palette || null,
+        camera: null,
+        sceneRotation: [0, 0, 0],
+        metadata: {},
+        voxels: doc.voxels
+    })
+};
+
+function detectVersion(data) {
+    if (Array.isArray(data)) return 0;
+    if (data && typeof data === 'object') {
+        if (data.format === undefined && data.version === undefined && Array.isArray(data.voxels)) return 1;
+        return data.version;
+    }
+    return undefined;
+}
+
+function migrate(data) {
+    let version = detectVersion(data);
+    if (version === undefined) {
+        throw new SceneFormatError('Not a VOLEX scene: expected a scene object or voxel array.');
+    }
+    if (!Number.isInteger(version) || version < 0) {
+        throw new SceneFormatError(`Invalid scene version "${version}".`);
+    }
+    if (version > SCENE_VERSION) {
+        throw new SceneFormatError(`Scene version ${version} is newer than this app supports (${SCENE_VERSION}).`);
+    }
+
+    let doc = data;
+    while (version < SCENE_VERSION) {
+        doc = MIGRATIONS[version](doc);
+        version = detectVersion(doc);
+    }
+    return doc;
+}
+
+// --- VALIDATION ---
+
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isColor = (v) => Number.isInteger(v) && v >= 0 && v <= 0xffffff;
+const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(isFiniteNumber);
+const isCell = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isInteger);
+
+function validatePalette(palette, issues) {
+    if (palette === null) return;
+    if (typeof palette !== 'object') {
+        issues.push('palette: must be an object or null');
+        return;
+    }
+    if (!Array.isArray(palette.swatches) || palette.swatches.length === 0) {
+        issues.push('palette.swatches: must be a non-empty array');
+    } else {
+        palette.swatches.forEach((s, i) => {
+            if (!s || typeof s.name !== 'string') issues.push(`palette.swatches[${i}].name: must be a string`);
+            if (!s || !isColor(s.color)) issues.push(`palette.swatches[${i}].color: must be an RGB integer (0-16777215)`);
+            if (!s || typeof s.material !== 'string') issues.push(`palette.swatches[${i}].material: must be a material id`);
+            else if (palette.materials && !palette.materials[s.material]) {
+                issues.push(`palette.swatches[${i}].material: unknown material "${s.material}"`);
+            }
+        });
+    }
+    if (!palette.materials || typeof palette.materials !== 'object') {
+        issues.push('palette.materials: must be an object of material presets');
+        return;
+    }
+    Object.keys(palette.materials).forEach(id => {
+        const m = palette.materials[id];
+        ['roughness', 'metalness', 'emissiveIntensity', 'opacity'].forEach(field => {
+            if (!m || !isFiniteNumber(m[field]) || m[field] < 0) {
+                issues.push(`palette.materials.${id}.${field}: must be a non-negative number`);
+            }
+        });
+        if (m && m.emissive !== null && m.emissive !== 'self' && !isColor(m.emissive)) {
+            issues.push(`palette.materials.${id}.emissive: must be a color, "self" or null`);
+        }
+    });
+}
+
+// metadata.groups: [{ name, cells: [[x, y, z], ...] }] in integer cell indices
+function validateGroups(groups, issues) {
+    if (!Array.isArray(groups)) {
+        issues.push('metadata.groups: must be an array');
+        return;
+    }
+    groups.forEach((group, i) => {
+        if (!group || typeof group !== 'object') {
+            issues.push(`metadata.groups[${i}]: must be an object`);
+            return;
+        }
+        if (typeof group.name !== 'string') issues.push(`metadata.groups[${i}].name: must be a string`);
+        if (!Array.isArray(group.cells) || !group.cells.every(isCell)) {
+            issues.push(`metadata.groups[${i}].cells: must be an array of [x, y, z] integer cells`);
+        }
+    });
+}
+
+function validateDocument(doc) {
+    const issues = [];
+
+    if (doc.format !== SCENE_FORMAT) issues.push(`format: expected "${SCENE_FORMAT}"`);
+    if (!isFiniteNumber(doc.voxelSize) || doc.voxelSize <= 0) issues.push('voxelSize: must be a positive number');
+    validatePalette(doc.palette, issues);
+
+    if (doc.camera !== null && doc.camera !== undefined) {
+        if (!isVec3(doc.camera.position)) issues.push('camera.position: must be [x, y, z]');
+        if (!isVec3(doc.camera.target)) issues.push('camera.target: must be [x, y, z]');
+    }
+    if (!isVec3(doc.sceneRotation)) issues.push('sceneRotation: must be [x, y, z]');
+    if (doc.metadata !== undefined && (doc.metadata === null || typeof doc.metadata !== 'object')) {
+        issues.push('metadata: must be an object');
+    } else if (doc.metadata && doc.metadata.groups !== undefined) {
+        validateGroups(doc.metadata.groups, issues);
+    }
+
+    if (doc.clipboard !== undefined && doc.clipboard !== null) {
+        if (typeof doc.clipboard !== 'object' || !Array.isArray(doc.clipboard.voxels)) {
+            issues.push('clipboard: must be { voxels: [...] } or null');
+        } else {
+            doc.clipboard.voxels.forEach((v, i) => {
+                if (!v || ![v.x, v.y, v.z].every(Number.isInteger)) {
+                    issues.push(`clipboard.voxels[${i}]: x, y and z must be integer cell offsets`);
+                } else if (!isColor(v.color) || typeof v.material !== 'string') {
+                    issues.push(`clipboard.voxels[${i}]: needs a color and a material`);
+                }
+            });
+        }
+    }
+
+    if (!Array.isArray(doc.voxels)) {
+        issues.push('voxels: must be an array');
+    } else {
+        const materials = doc.palette ? doc.palette.materials : null;
+        const seen = new Set();
+        doc.voxels.forEach((v, i) => {
+            if (!v || typeof v !== 'object') {
+                issues.push(`voxels[${i}]: must be an object`);
+                return;
+            }
+            if (!isFiniteNumber(v.x) || !isFiniteNumber(v.y) || !isFiniteNumber(v.z)) {
+                issues.push(`voxels[${i}]: x, y and z must be numbers`);
+                return;
+            }
+            // Legacy saves may omit color/material - defaults are filled in on load
+            if (v.color !== undefined && !isColor(v.color)) {
+                issues.push(`voxels[${i}].color: must be an RGB integer (0-16777215)`);
+            }
+            if (v.material !== undefined && (typeof v.material !== 'string' || (materials && !materials[v.material]))) {
+                issues.push(`voxels[${i}].material: unknown material "${v.material}"`);
+            }
+            const key = `${v.x},${v.y},${v.z}`;
+            if (seen.has(key)) issues.push(`voxels[${i}]: duplicate voxel at (${key})`);
+            seen.add(key);
+        });
+    }
+
+    if (issues.length > 0) {
+        const shown = issues.slice(0, MAX_REPORTED_ISSUES);
+        const more = issues.length > shown.length ? `\n...and ${issues.length - shown.length} more` : '';
+        throw new SceneFormatError(`Invalid scene file:\n- ${shown.join('\n- ')}${more}`, issues);
+    }
+}
+
+// --- PUBLIC API ---
+
+// Parse, migrate and validate. Throws SceneFormatError with a readable message.
+function parseScene(json) {
+    let data = json;
+    if (typeof json === 'string') {
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            throw new SceneFormatError(`Scene file is not valid JSON: ${e.message}`);
+        }
+    }
+
+    const doc = migrate(data);
+    validateDocument(doc);
+    return {
+        ...doc,
+        camera: doc.camera || null,
+        metadata: doc.metadata || {},
+        clipboard: doc.clipboard || null
+    };
+}
+
+function serializeScene({ voxelSize, palette, camera, sceneRotation, metadata, voxels, clipboard = null }) {
+    const now = new Date().toISOString();
+    const doc = {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        voxelSize,
+        palette,
+        camera,
+        sceneRotation,
+        metadata: {
+            ...metadata,
+            createdAt: (metadata && metadata.createdAt) || now,
+            modifiedAt: now,
+            generator: GENERATOR
+        },
+        voxels,
+        clipboard
+    };
+    return JSON.stringify(doc);
+}
+
+export { parseScene, serializeScene, SceneFormatError, SCENE_FORMAT, SCENE_VERSION };
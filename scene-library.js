@@ -0,0 +1,190 @@
+import { parseScene } from './scene-format.js';
+
+// Scene Library (IndexedDB)
+// Named scenes with thumbnails and timestamps, plus a single autosave slot
+// for the working scene so an unsaved session can be recovered after a crash.
+//
+// scenes:  { id, name, createdAt, modifiedAt, voxelCount, thumbnail, json }
+// session: { id: 'autosave', sceneId, name, savedAt, json }
+
+const DB_NAME = 'volex';
+const DB_VERSION = 1;
+const SCENES = 'scenes';
+const SESSION = 'session';
+const AUTOSAVE_ID = 'autosave';
+const LEGACY_KEY = 'volex_scene'; // Old single localStorage slot
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+class SceneLibrary {
+
+    constructor() {
+        this.db = null;
+        this.opening = null;
+        this.listeners = [];
+    }
+
+    // Shared by every caller so the database is only opened (and migrated) once.
+    // A failed open isn't cached, so the next call tries again.
+    open() {
+        if (!this.opening) {
+            this.opening = this.connect().catch(e => {
+                this.opening = null;
+                throw e;
+            });
+        }
+        return this.opening;
+    }
+
+    async connect() {
+        if (!window.indexedDB) throw new Error('IndexedDB is not available in this browser.');
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SCENES)) {
+                const scenes = db.createObjectStore(SCENES, { keyPath: 'id' });
+                scenes.createIndex('modifiedAt', 'modifiedAt');
+            }
+            if (!db.objectStoreNames.contains(SESSION)) {
+                db.createObjectStore(SESSION, { keyPath: 'id' });
+            }
+        };
+        this.db = await promisify(request);
+        await this.migrateLegacySlot();
+        return this.db;
+    }
+
+    async tx(storeName, mode, fn) {
+        const db = await this.open();
+        const tx = db.transaction(storeName, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+        const result = await fn(tx.objectStore(storeName));
+        await done;
+        return result;
+    }
+
+    // --- SCENES ---
+
+    // Newest first. Records include the scene JSON, so this is fine for a
+    // personal library but not meant for thousands of scenes.
+    async list() {
+        const scenes = await this.tx(SCENES, 'readonly', store => promisify(store.getAll()));
+        return scenes.sort((a, b) => b.modifiedAt - a.modifiedAt);
+    }
+
+    async get(id) {
+        return this.tx(SCENES, 'readonly', store => promisify(store.get(id)));
+    }
+
+    // Create (no id) or overwrite (existing id)
+    async save({ id, name, json, thumbnail, voxelCount }) {
+        const now = Date.now();
+        const existing = id ? await this.get(id) : null;
+        const record = {
+            id: existing ? existing.id : createId(),
+            name: name || (existing && existing.name) || 'Untitled',
+            createdAt: existing ? existing.createdAt : now,
+            modifiedAt: now,
+            voxelCount: voxelCount ?? 0,
+            thumbnail: thumbnail || (existing && existing.thumbnail) || null,
+            json
+        };
+        await this.tx(SCENES, 'readwrite', store => promisify(store.put(record)));
+        this.notify();
+        return record;
+    }
+
+    async rename(id, name) {
+        const record = await this.get(id);
+        if (!record) throw new Error('Scene not found.');
+        record.name = name;
+        record.modifiedAt = Date.now();
+        await this.tx(SCENES, 'readwrite', store => promisify(store.put(record)));
+        this.notify();
+        return record;
+    }
+
+    async duplicate(id) {
+        const record = await this.get(id);
+        if (!record) throw new Error('Scene not found.');
+        const now = Date.now();
+        const copy = { ...record, id: createId(), name: `${record.name} (copy)`, createdAt: now, modifiedAt: now };
+        await this.tx(SCENES, 'readwrite', store => promisify(store.put(copy)));
+        this.notify();
+        return copy;
+    }
+
+    async delete(id) {
+        await this.tx(SCENES, 'readwrite', store => promisify(store.delete(id)));
+        this.notify();
+    }
+
+    // --- AUTOSAVE ---
+
+    async putAutosave({ sceneId, name, json }) {
+        const record = { id: AUTOSAVE_ID, sceneId: sceneId || null, name: name || null, savedAt: Date.now(), json };
+        await this.tx(SESSION, 'readwrite', store => promisify(store.put(record)));
+        return record;
+    }
+
+    async getAutosave() {
+        return this.tx(SESSION, 'readonly', store => promisify(store.get(AUTOSAVE_ID)));
+    }
+
+    async clearAutosave() {
+        await this.tx(SESSION, 'readwrite', store => promisify(store.delete(AUTOSAVE_ID)));
+    }
+
+    // --- LEGACY ---
+
+    // Move the old single localStorage save into the library once
+    async migrateLegacySlot() {
+        const json = localStorage.getItem(LEGACY_KEY);
+        if (!json) return;
+
+        const now = Date.now();
+        const record = { id: createId(), name: 'Saved Scene', createdAt: now, modifiedAt: now, voxelCount: countVoxels(json), thumbnail: null, json };
+        // Raw transaction: tx() waits on open(), which is still running
+        const tx = this.db.transaction(SCENES, 'readwrite');
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        tx.objectStore(SCENES).put(record);
+        await done;
+        localStorage.removeItem(LEGACY_KEY);
+        console.log('📦 Moved legacy saved scene into the library');
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Voxels in a scene file, or 0 if it doesn't parse (it still loads, or explains why, when opened)
+function countVoxels(json) {
+    try {
+        return parseScene(json).voxels.length;
+    } catch (e) {
+        return 0;
+    }
+}
+
+function createId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `scene-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export default SceneLibrary;
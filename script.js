@@ -1,15 +1,27 @@
-import { FilesetResolver, HandLandmarker } from '@mediapipe/tasks-vision';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import HandTracker from './hand-tracker.js';
 import GestureTrainer from './gesture-trainer.js';
+import GestureRecognizer from './gesture-recognizer.js';
+import GestureBindings from './gesture-bindings.js';
+import InteractionMachine from './interaction-machine.js';
+import { lineCells } from './voxel-shapes.js';
+import ShapeTools from './voxel-tools.js';
+import { SessionRecorder, SessionPlayer, parseSession } from './landmark-session.js';
+import { WebcamSource, VideoFileSource, ImageSequenceSource, SyntheticSource, ReplaySource } from './input-sources.js';
+import SyntheticHands from './synthetic-hands.js';
+import VoxelModel from './voxel-model.js';
+import VoxelChunks from './voxel-chunks.js';
+import Palette from './palette.js';
+import { downloadBlob, downloadText, readFileAsArrayBuffer, readFileAsText, sceneFileName, sceneNameFromFile } from './scene-files.js';
+import SceneLibrary from './scene-library.js';
+import { exportGLB, exportOBJ, exportSTL } from './mesh-export.js';
 
 
 // --- HAND TRACKING SETUP ---
-let handLandmarker = undefined;
-let runningMode = "VIDEO";
-let webcamRunning = false;
-let lastVideoTimeInternal = -1;
-let results = undefined;
+const handTracker = new HandTracker(); // Inference in a worker, off the render loop
+let inputSource = null; // Live hand input: camera, video file, image folder or synthetic hands
+let results = undefined; // Latest detection, reported again until the source has a new frame
 
 // --- STATE MANAGEMENT ---
 let lastGesture = 'NONE';
@@ -17,236 +29,49 @@ let isPreviewMode = false;
 let isMouseFallback = false;
 let lastPinchTime = 0;
 let lastPinchDist = -1;
-let lastPoint = null;
-let lastClosedTime = 0; // Guard against rapid Pinch after Closed
-let pinchStartTime = 0; // Timer for hold-to-build
-let undoStartTime = 0; // Timer for hold-to-undo
-let interactionState = 'IDLE'; // IDLE, DRAW_WAIT, BLOCK_PLACED, UNDO_WAIT, UNDO_COMPLETE, ROTATING, ZOOMING
-let blockPlacedThisPinch = false; // Track if block was placed during current pinch
+const interaction = new InteractionMachine(); // IDLE, HOLD_WAIT, HOLD_COMPLETE, DRAWING, ROTATING, ZOOMING, MANIPULATING
+let manipulation = null; // Hand span/angle/midpoint and view snapshot at the start of a two-hand grab
 
 // --- GESTURE RECOGNIZER ---
-class GestureRecognizer {
-    constructor(trainer = null) {
-        this.trainer = trainer;
-        this.history = []; // Store last N positions for swipe detection
-        this.historySize = 15;
-        this.swipeThreshold = 0.05; // Movement threshold
+// The recognizer itself is DOM-free (gesture-recognizer.js); its settings persist here
+const CLASSIFIER_MODE_KEY = 'volex_classifier_mode';
+const DOMINANT_HAND_KEY = 'volex_dominant_hand';
+const CURSOR_FILTER_KEY = 'volex_cursor_filter';
 
-        // Use personalized pinch threshold if available
-        const personalizedPinch = trainer?.getPersonalizedThreshold('pinch');
-        this.pinchThreshold = personalizedPinch || 0.05; // Default or personalized
-
-        // Gesture stabilization - prevent flickering
-        this.gestureHistory = [];
-        this.gestureHistorySize = 10; // Increased for better stability
-        this.lastStableGesture = 'NONE';
-        this.gestureConfidenceThreshold = 0.6; // 60% of samples must agree
-
-        // Smoothing for hand position
-        this.positionBuffer = [];
-        this.positionBufferSize = 5; // Increased for smoother tracking
-
-        console.log(`🎯 Pinch threshold: ${this.pinchThreshold.toFixed(3)} ${personalizedPinch ? '(personalized)' : '(default)'}`);
+function loadCursorFilter() {
+    try {
+        return JSON.parse(localStorage.getItem(CURSOR_FILTER_KEY) || '{}');
+    } catch (e) {
+        return {};
     }
+}
 
-    update(landmarks) {
-        if (!landmarks || landmarks.length === 0) return { gesture: 'NONE', hand: null };
-
-        const hands = landmarks.map(hand => this.analyzeHand(hand));
-
-        // Two Hand Gestures
-        if (hands.length === 2) {
-            const g1 = hands[0].gesture;
-            const g2 = hands[1].gesture;
-
-            // Zoom In: Two Fists
-            if (g1 === 'CLOSED' && g2 === 'CLOSED') {
-                return { gesture: 'ZOOM_IN', hands: hands };
-            }
-
-            // Zoom Out: One Fist, One Palm
-            if ((g1 === 'CLOSED' && g2 === 'OPEN_PALM') || (g1 === 'OPEN_PALM' && g2 === 'CLOSED')) {
-                return { gesture: 'ZOOM_OUT', hands: hands };
-            }
-        }
-
-        // Single hand priority
-        const primaryHand = hands[0];
-
-        // Swipe detection (simplified - using palm center movement)
-        const palmCenter = primaryHand.center;
-        this.history.push(palmCenter);
-        if (this.history.length > this.historySize) this.history.shift();
-
-        let swipe = null;
-        if (this.history.length === this.historySize) {
-            const start = this.history[0];
-            const end = this.history[this.history.length - 1];
-            const dx = end.x - start.x;
-
-            if (Math.abs(dx) > this.swipeThreshold && Math.abs(dx) > Math.abs(end.y - start.y) * 2) {
-                if (primaryHand.gesture === 'OPEN_PALM') {
-                    swipe = dx > 0 ? 'SWIPE_RIGHT' : 'SWIPE_LEFT';
-                }
-            }
-        }
-
-        if (swipe) {
-            return { gesture: swipe, hand: primaryHand };
-        }
-
-        // Gesture stabilization - reduce flickering
-        const currentGesture = primaryHand.gesture;
-        this.gestureHistory.push(currentGesture);
-        if (this.gestureHistory.length > this.gestureHistorySize) {
-            this.gestureHistory.shift();
-        }
-
-        // Find most common gesture in recent history with confidence check
-        const gestureCounts = {};
-        this.gestureHistory.forEach(g => {
-            gestureCounts[g] = (gestureCounts[g] || 0) + 1;
-        });
-
-        // Get the most frequent gesture
-        const stableGesture = Object.keys(gestureCounts).reduce((a, b) =>
-            gestureCounts[a] > gestureCounts[b] ? a : b
-        );
-
-        // Only update if confidence threshold is met
-        const confidence = gestureCounts[stableGesture] / this.gestureHistory.length;
-        if (confidence >= this.gestureConfidenceThreshold) {
-            this.lastStableGesture = stableGesture;
-        }
-
-        return { gesture: this.lastStableGesture, hand: primaryHand };
-    }
-
-    analyzeHand(landmarks) {
-        const thumbTip = landmarks[4];
-        const indexTip = landmarks[8];
-        const middleTip = landmarks[12];
-        const ringTip = landmarks[16];
-        const pinkyTip = landmarks[20];
-        const wrist = landmarks[0];
-        const palmBase = landmarks[0]; // Wrist as palm base
-
-        // Euclidean distance
-        const dist = (p1, p2) => Math.sqrt((p1.x - p2.x) ** 2 + (p1.y - p2.y) ** 2 + (p1.z - p2.z) ** 2);
-
-        // PINCH detection - thumb and index close BUT other fingers must be extended
-        const pinchDist = dist(thumbTip, indexTip);
-        const thumbIndexClose = pinchDist < this.pinchThreshold;
-
-        // For a TRUE pinch, middle/ring/pinky should be more extended (not curled)
-        const middleExtended = dist(middleTip, wrist) > dist(landmarks[9], wrist) * 1.1; // Stricter
-        const ringExtended = dist(ringTip, wrist) > dist(landmarks[13], wrist) * 1.1;    // Stricter
-        const pinkyExtended = dist(pinkyTip, wrist) > dist(landmarks[17], wrist) * 1.1;  // Stricter
-
-        // ALL three of the other fingers should be extended for a pinch
-        const otherFingersExtended = middleExtended && ringExtended && pinkyExtended;
-
-        const isPinching = thumbIndexClose && otherFingersExtended;
-
-        // FIST detection - all fingers curled (including thumb)
-        const curlFactor = 1.3;
-        const indexCurled = dist(indexTip, palmBase) < dist(landmarks[5], palmBase) * curlFactor;
-        const middleCurled = dist(middleTip, palmBase) < dist(landmarks[9], palmBase) * curlFactor;
-        const ringCurled = dist(ringTip, palmBase) < dist(landmarks[13], palmBase) * curlFactor;
-        const pinkyCurled = dist(pinkyTip, palmBase) < dist(landmarks[17], palmBase) * curlFactor;
-
-        // For fist, ALL 4 fingers should be curled AND thumb should be close to palm
-        const curledCount = [indexCurled, middleCurled, ringCurled, pinkyCurled].filter(Boolean).length;
-        const thumbCurled = dist(thumbTip, palmBase) < dist(landmarks[2], palmBase) * 1.4;
-        const isFist = curledCount === 4 && thumbCurled; // All fingers must be curled
-
-        // VICTORY (Peace Sign) - Index & Middle Extended, Ring & Pinky Curled
-        const victoryCondition =
-            !indexCurled && !middleCurled && // Index and Middle UP
-            ringCurled && pinkyCurled &&     // Ring and Pinky DOWN
-            !thumbCurled; // Thumb usually loose or crossed
-
-        // THUMBS UP - Thumb Extended UP, All fingers Curled
-        // Check if thumb tip is significantly higher (lower y value) than index knuckle (landmarks[5])
-        // AND thumb is extended away from palm
-        const thumbIsUp = (thumbTip.y < landmarks[5].y) && (dist(thumbTip, palmBase) > dist(landmarks[2], palmBase) * 1.5);
-        const isThumbsUp = thumbIsUp && curledCount === 4;
-
-        // OPEN PALM - at least 3 fingers extended
-        const extendFactor = 1.05;
-        const indexExtended = dist(indexTip, wrist) > dist(landmarks[5], wrist) * extendFactor;
-        const middleExt = dist(middleTip, wrist) > dist(landmarks[9], wrist) * extendFactor;
-        const ringExt = dist(ringTip, wrist) > dist(landmarks[13], wrist) * extendFactor;
-        const pinkyExt = dist(pinkyTip, wrist) > dist(landmarks[17], wrist) * extendFactor;
-
-        const extendedCount = [indexExtended, middleExt, ringExt, pinkyExt].filter(Boolean).length;
-        const isOpen = extendedCount >= 3;
-
-        // Gesture priority: PINCH > THUMBS_UP > VICTORY > FIST > OPEN
-        let gesture = 'UNKNOWN';
-        if (isPinching) {
-            gesture = 'PINCH';
-        } else if (isThumbsUp) {
-            gesture = 'THUMBS_UP';
-        } else if (victoryCondition) {
-            gesture = 'VICTORY';
-        } else if (isFist) {
-            gesture = 'CLOSED';
-        } else if (isOpen) {
-            gesture = 'OPEN_PALM';
-        } else {
-            gesture = 'OPEN_PALM';
-        }
-
-        // Debug logging every 30 frames
-        if (Math.random() < 0.03) {
-            console.log('Gesture Debug:', {
-                gesture,
-                pinchDist: pinchDist.toFixed(3),
-                thumbIndexClose,
-                otherFingersExtended,
-                isPinching,
-                curledCount,
-                thumbCurled,
-                isFist,
-                isOpen
-            });
-        }
-
-        // Smooth the pinch center position to reduce jitter
-        const rawPinchCenter = {
-            x: (thumbTip.x + indexTip.x) / 2,
-            y: (thumbTip.y + indexTip.y) / 2,
-            z: (thumbTip.z + indexTip.z) / 2
-        };
-
-        this.positionBuffer.push(rawPinchCenter);
-        if (this.positionBuffer.length > this.positionBufferSize) {
-            this.positionBuffer.shift();
-        }
-
-        // Average the buffered positions
-        const smoothedPinchCenter = {
-            x: this.positionBuffer.reduce((sum, p) => sum + p.x, 0) / this.positionBuffer.length,
-            y: this.positionBuffer.reduce((sum, p) => sum + p.y, 0) / this.positionBuffer.length,
-            z: this.positionBuffer.reduce((sum, p) => sum + p.z, 0) / this.positionBuffer.length
-        };
+function loadRecognizerSettings() {
+    return {
+        classifierMode: localStorage.getItem(CLASSIFIER_MODE_KEY) || 'blend',
+        dominantHand: localStorage.getItem(DOMINANT_HAND_KEY) || 'Right',
+        cursorFilter: loadCursorFilter()
+    };
+}
 
-        return {
-            gesture,
-            isPinching,
-            isFist,
-            center: landmarks[9],
-            pinchCenter: smoothedPinchCenter
-        };
-    }
+function saveRecognizerSettings(recognizer) {
+    localStorage.setItem(CLASSIFIER_MODE_KEY, recognizer.classifierMode);
+    localStorage.setItem(DOMINANT_HAND_KEY, recognizer.dominantHand);
+    localStorage.setItem(CURSOR_FILTER_KEY, JSON.stringify(recognizer.cursorFilter));
 }
 
 // --- VOXEL WORLD MODULE ---
-class VoxelWorld {
+const MIN_VIEW_DISTANCE = 2;
+const MAX_VIEW_DISTANCE = 40;
+class VoxelWorld extends VoxelModel {
     constructor(canvas) {
+        // Voxel data (chunked, instanced) renders straight into the scene
+        const scene = new THREE.Scene();
+        const palette = new Palette();
+        super({ palette, store: new VoxelChunks(scene, palette, 1) });
+
         this.canvas = canvas;
-        this.scene = new THREE.Scene();
+        this.scene = scene;
         this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
         this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, antialias: true, alpha: true });
 
@@ -282,9 +107,7 @@ class VoxelWorld {
         this.plane.rotation.x = -Math.PI / 2;
         this.scene.add(this.plane);
 
-        // Voxel Data
-        this.voxels = new Map(); // "x,y,z" -> Mesh
-        this.voxelSize = 1;
+        this.hoveredVoxelKey = null; // Voxel under the pointer ray (not the placement cell)
 
         // Cursor
         const cursorGeo = new THREE.BoxGeometry(1, 1, 1);
@@ -299,9 +122,22 @@ class VoxelWorld {
         this.cursorVisible = false;
         this.cursor.visible = false;
 
+        // Overlays: ghost preview of what a tool would build, highlight on the selection
+        this.ghost = this.createOverlay(0xffffff, 0.9, 0.3);
+        this.selectionOverlay = this.createOverlay(0xfacc15, 1.04, 0.25);
+
+        // 'build' targets the empty cell in front of the hit face, 'erase' the hit voxel itself
+        this.cursorMode = 'build';
+
+        // Tint the build cursor with the active swatch
+        this.palette.onChange(() => this.refreshCursorStyle());
+        this.refreshCursorStyle();
+
         // Raycaster
         this.raycaster = new THREE.Raycaster();
         this.pointer = new THREE.Vector2();
+        this.localRay = new THREE.Ray();
+        this.inverseSceneMatrix = new THREE.Matrix4();
 
         // Controls (Fallback)
         this.controls = new OrbitControls(this.camera, this.canvas);
@@ -310,8 +146,12 @@ class VoxelWorld {
         // Resize Listener
         window.addEventListener('resize', this.onWindowResize.bind(this));
 
-        // Undo History
-        this.history = [];
+        // Scene-space plane the cursor is pinned to during a stroke (null = normal raycast)
+        this.drawPlane = null;
+
+        // Planes / spokes showing the active symmetry
+        this.symmetryGizmo = null;
+        this.symmetry.onChange(() => this.updateSymmetryGizmo());
     }
 
     onWindowResize() {
@@ -320,29 +160,81 @@ class VoxelWorld {
         this.renderer.setSize(window.innerWidth, window.innerHeight);
     }
 
-    updateCursorFromHand(ndcX, ndcY) {
+    // --- VIEW MANIPULATION ---
+
+    // Dolly toward / away from the orbit target (factor < 1 zooms in)
+    zoomCamera(factor) {
+        const offset = this.camera.position.clone().sub(this.controls.target);
+        const distance = THREE.MathUtils.clamp(offset.length() * factor, MIN_VIEW_DISTANCE, MAX_VIEW_DISTANCE);
+        this.camera.position.copy(this.controls.target).add(offset.setLength(distance));
+        this.camera.lookAt(this.controls.target);
+    }
+
+    // Snapshot for manipulateView(); gestures are applied relative to where they started
+    captureView() {
+        const offset = this.camera.position.clone().sub(this.controls.target);
+        return {
+            target: this.controls.target.clone(),
+            direction: offset.clone().normalize(),
+            distance: offset.length(),
+            rotationY: this.scene.rotation.y,
+            right: new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0),
+            up: new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1)
+        };
+    }
+
+    // Multitouch-style view change: scale > 1 zooms in, rotation (radians) turns the
+    // scene around the vertical axis, pan (NDC) drags the scene with the hands.
+    manipulateView(view, { scale = 1, rotation = 0, panX = 0, panY = 0 }) {
+        const distance = THREE.MathUtils.clamp(view.distance / scale, MIN_VIEW_DISTANCE, MAX_VIEW_DISTANCE);
+
+        // NDC -> world units on the plane through the target
+        const halfHeight = view.distance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        const halfWidth = halfHeight * this.camera.aspect;
+        const target = view.target.clone()
+            .addScaledVector(view.right, -panX * halfWidth)
+            .addScaledVector(view.up, -panY * halfHeight);
+
+        this.controls.target.copy(target);
+        this.camera.position.copy(target).addScaledVector(view.direction, distance);
+        this.camera.lookAt(target);
+        this.scene.rotation.y = view.rotationY + rotation;
+    }
+
+    // depth: optional distance along the ray (depth mode). The cursor then sits in
+    // whatever cell is at that depth - empty or not - so it can reach inside structures.
+    updateCursorFromHand(ndcX, ndcY, depth = null) {
         this.pointer.set(ndcX, ndcY);
         this.raycaster.setFromCamera(this.pointer, this.camera);
 
-        // First raycast against existing voxels to allow stacking
-        const voxelMeshes = Array.from(this.voxels.values());
-        const voxelIntersects = this.raycaster.intersectObjects(voxelMeshes);
+        // Voxels live in scene space, which the fist gesture rotates - bring the ray into it
+        this.scene.updateMatrixWorld();
+        this.inverseSceneMatrix.copy(this.scene.matrixWorld).invert();
+        this.localRay.copy(this.raycaster.ray).applyMatrix4(this.inverseSceneMatrix);
+
+        this.hoveredVoxelKey = null;
 
-        if (voxelIntersects.length > 0) {
-            // Hit an existing voxel - place cursor on top of it
-            const hit = voxelIntersects[0];
-            const hitPos = hit.object.position;
+        if (depth !== null) {
+            return this.placeCursorInCell(this.localRay.at(depth, new THREE.Vector3()));
+        }
 
-            // Determine which face was hit and position cursor accordingly
-            const normal = hit.face.normal;
-            const offset = normal.clone().multiplyScalar(this.voxelSize);
+        // While drawing a stroke the cursor slides on a fixed plane, so the voxels
+        // the stroke just laid down don't catch the ray and pull it toward the camera
+        if (this.drawPlane) {
+            const point = this.localRay.intersectPlane(this.drawPlane, new THREE.Vector3());
+            if (point) return this.placeCursorInCell(point);
+        }
 
-            const targetPos = hitPos.clone().add(offset);
+        // First walk the voxel grid to allow stacking
+        const hit = this.store.raycast(this.localRay.origin, this.localRay.direction);
+        if (hit) {
+            this.hoveredVoxelKey = hit.key;
 
-            // Snap to grid
-            const x = Math.round(targetPos.x / this.voxelSize) * this.voxelSize;
-            const y = Math.round(targetPos.y / this.voxelSize) * this.voxelSize;
-            const z = Math.round(targetPos.z / this.voxelSize) * this.voxelSize;
+            // Build: the empty cell on the face that was hit. Erase: the hit voxel.
+            const offset = this.cursorMode === 'erase' ? { x: 0, y: 0, z: 0 } : hit.normal;
+            const x = this.store.cellCenter(hit.cell.x + offset.x);
+            const y = this.store.cellCenter(hit.cell.y + offset.y);
+            const z = this.store.cellCenter(hit.cell.z + offset.z);
 
             this.cursor.position.set(x, y, z);
             this.cursorVisible = true;
@@ -350,33 +242,23 @@ class VoxelWorld {
             return { x, y, z };
         }
 
-        // If no voxel hit, raycast against the floor plane
-        const intersects = this.raycaster.intersectObject(this.plane);
+        // If no voxel hit, raycast against the floor plane (nothing there to erase)
+        const intersects = this.cursorMode === 'erase' ? [] : this.raycaster.intersectObject(this.plane);
 
         if (intersects.length > 0) {
-            const intersect = intersects[0];
-            // Snap to grid
-            const x = Math.floor(intersect.point.x / this.voxelSize) * this.voxelSize + this.voxelSize / 2;
-            const z = Math.floor(intersect.point.z / this.voxelSize) * this.voxelSize + this.voxelSize / 2;
-
-            // Check if there's already a voxel at this X,Z position and find the highest one
-            let maxY = this.voxelSize / 2; // Start at ground level
-
-            this.voxels.forEach((mesh, key) => {
-                const pos = mesh.position;
-                // Check if this voxel is in the same X,Z column
-                if (Math.abs(pos.x - x) < 0.01 && Math.abs(pos.z - z) < 0.01) {
-                    // Found a voxel in this column, update maxY if it's higher
-                    if (pos.y >= maxY) {
-                        maxY = pos.y + this.voxelSize;
-                    }
-                }
-            });
+            const point = this.scene.worldToLocal(intersects[0].point.clone());
+            const ix = this.store.cellIndex(point.x);
+            const iz = this.store.cellIndex(point.z);
 
-            this.cursor.position.set(x, maxY, z);
+            // Stack on top of whatever is already in this column
+            const x = this.store.cellCenter(ix);
+            const y = this.store.cellCenter(this.store.columnTop(ix, iz));
+            const z = this.store.cellCenter(iz);
+
+            this.cursor.position.set(x, y, z);
             this.cursorVisible = true;
             this.cursor.visible = true;
-            return { x, y: maxY, z };
+            return { x, y, z };
         } else {
             this.cursorVisible = false;
             this.cursor.visible = false;
@@ -384,152 +266,240 @@ class VoxelWorld {
         }
     }
 
-    createVoxelAtCursor() {
-        if (!this.cursorVisible) return false;
+    setCursorMode(mode) {
+        if (mode === this.cursorMode) return;
+        this.cursorMode = mode;
+        this.refreshCursorStyle();
+    }
+
+    // Build: swatch-colored wireframe over the empty cell. Erase: brighter red box
+    // slightly larger than the voxel it will remove.
+    refreshCursorStyle() {
+        const erase = this.cursorMode === 'erase';
+        this.cursor.material.color.setHex(erase ? 0xef4444 : this.palette.current.color);
+        this.cursor.material.opacity = erase ? 0.9 : 0.5;
+        this.cursor.scale.setScalar(erase ? 1.08 : 1);
+    }
+
+    // Cursor in the cell containing a scene-space point, occupied or not
+    placeCursorInCell(point) {
+        const ix = this.store.cellIndex(point.x);
+        const iy = Math.max(0, this.store.cellIndex(point.y)); // Never below the floor
+        const iz = this.store.cellIndex(point.z);
+        if (this.store.hasCell(ix, iy, iz)) this.hoveredVoxelKey = this.store.keyForCell(ix, iy, iz);
+
+        const x = this.store.cellCenter(ix);
+        const y = this.store.cellCenter(iy);
+        const z = this.store.cellCenter(iz);
+        this.cursor.position.set(x, y, z);
+        this.cursorVisible = true;
+        this.cursor.visible = true;
+        return { x, y, z };
+    }
+
+    // Camera-facing plane through the cursor, in scene space
+    lockCursorPlane() {
+        const normal = this.localRay.direction.clone().negate();
+        this.drawPlane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, this.cursor.position);
+    }
+
+    unlockCursorPlane() {
+        this.drawPlane = null;
+    }
 
+    // Cell of the voxel under the pointer, or null
+    hoveredCell() {
+        const voxel = this.hoveredVoxelKey && this.store.get(this.hoveredVoxelKey);
+        if (!voxel) return null;
+        return { x: this.store.cellIndex(voxel.x), y: this.store.cellIndex(voxel.y), z: this.store.cellIndex(voxel.z) };
+    }
+
+    // Cursor as integer cell indices, or null when it's not on anything
+    cursorCell() {
+        if (!this.cursorVisible) return null;
         const pos = this.cursor.position;
-        const key = `${pos.x},${pos.y},${pos.z}`;
+        return { x: this.store.cellIndex(pos.x), y: this.store.cellIndex(pos.y), z: this.store.cellIndex(pos.z) };
+    }
 
-        if (this.voxels.has(key)) return false;
+    // --- OVERLAYS ---
 
-        const geometry = new THREE.BoxGeometry(0.95, 0.95, 0.95);
-        const material = new THREE.MeshStandardMaterial({
-            color: 0x00ffff,
-            emissive: 0x0044ff,
-            emissiveIntensity: 0.6,
-            roughness: 0.2,
-            metalness: 0.8
-        });
-        const cube = new THREE.Mesh(geometry, material);
-        cube.position.copy(pos);
-        cube.castShadow = true;
-        cube.receiveShadow = true;
-
-        // Pop animation
-        cube.scale.set(0, 0, 0);
-
-        this.scene.add(cube);
-        this.voxels.set(key, cube);
-
-        // History
-        this.history.push({ type: 'ADD', key: key, position: pos.clone(), color: 0x00ffff });
-
-        // Simple animation
-        let s = 0;
-        const animateIn = () => {
-            s += 0.1;
-            cube.scale.set(s, s, s);
-            if (s < 1) requestAnimationFrame(animateIn);
+    // Translucent boxes drawn over a set of cells (instanced, grown on demand)
+    createOverlay(color, size, opacity) {
+        return {
+            mesh: null,
+            geometry: new THREE.BoxGeometry(size, size, size),
+            material: new THREE.MeshBasicMaterial({ color, transparent: true, opacity, depthWrite: false })
         };
-        animateIn();
-        return true;
     }
 
-    removeVoxelAtCursor() {
-        if (!this.cursorVisible) return;
+    // colors: optional per-cell hex colors (multiplied with the overlay color)
+    setOverlayCells(overlay, cells, colors = null) {
+        if (!overlay.mesh || overlay.mesh.instanceMatrix.count < cells.length) {
+            if (overlay.mesh) {
+                this.scene.remove(overlay.mesh);
+                overlay.mesh.dispose();
+            }
+            const capacity = Math.max(64, 2 ** Math.ceil(Math.log2(cells.length)));
+            overlay.mesh = new THREE.InstancedMesh(overlay.geometry, overlay.material, capacity);
+            overlay.mesh.frustumCulled = false;
+            this.scene.add(overlay.mesh);
+        }
 
-        const pos = this.cursor.position;
-        const key = `${pos.x},${pos.y},${pos.z}`;
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color();
+        cells.forEach((cell, i) => {
+            matrix.makeTranslation(this.store.cellCenter(cell.x), this.store.cellCenter(cell.y), this.store.cellCenter(cell.z));
+            overlay.mesh.setMatrixAt(i, matrix);
+            if (colors) overlay.mesh.setColorAt(i, color.setHex(colors[i]));
+        });
+        overlay.mesh.count = cells.length;
+        overlay.mesh.instanceMatrix.needsUpdate = true;
+        if (overlay.mesh.instanceColor) overlay.mesh.instanceColor.needsUpdate = true;
+        overlay.mesh.visible = cells.length > 0;
+    }
+
+    // Preview of cells a tool is about to build, in their own colors or the current swatch
+    showGhost(cells) {
+        const paint = this.palette.current.color;
+        this.setOverlayCells(this.ghost, cells, cells.map(cell => cell.color ?? paint));
+    }
+
+    hideGhost() {
+        if (this.ghost.mesh) this.ghost.mesh.visible = false;
+    }
+
+    showSelection() {
+        this.setOverlayCells(this.selectionOverlay, this.selection.entries().map(e => e.cell));
+    }
+
+    // --- SYMMETRY ---
 
-        if (this.voxels.has(key)) {
-            const trash = this.voxels.get(key);
-            this.scene.remove(trash);
-            this.voxels.delete(key);
-
-            // History
-            this.history.push({
-                type: 'REMOVE',
-                key: key,
-                position: pos.clone(),
-                color: trash.material.color.getHex()
+    // Translucent planes for each mirror axis, spokes for radial symmetry
+    updateSymmetryGizmo() {
+        if (this.symmetryGizmo) {
+            this.scene.remove(this.symmetryGizmo);
+            this.symmetryGizmo.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) object.material.dispose();
             });
-            if (trash.geometry) trash.geometry.dispose();
-            if (trash.material) trash.material.dispose();
         }
-    }
+        this.symmetryGizmo = new THREE.Group();
+
+        const size = 20; // Matches the grid
+        const { mirror, radial, center } = this.symmetry;
+        const addPlane = (color, width, height, position, rotation) => {
+            const geometry = new THREE.PlaneGeometry(width, height);
+            const plane = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                color, transparent: true, opacity: 0.1, side: THREE.DoubleSide, depthWrite: false
+            }));
+            const edges = new THREE.LineSegments(
+                new THREE.EdgesGeometry(geometry),
+                new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.6 })
+            );
+            [plane, edges].forEach(object => {
+                object.position.copy(position);
+                object.rotation.copy(rotation);
+                this.symmetryGizmo.add(object);
+            });
+        };
 
-    undo() {
-        console.log("Undoing last action. History size:", this.history.length);
-        if (this.history.length === 0) return;
-        const action = this.history.pop();
-
-        if (action.type === 'ADD') {
-            if (this.voxels.has(action.key)) {
-                const mesh = this.voxels.get(action.key);
-                this.scene.remove(mesh);
-                if (mesh.geometry) mesh.geometry.dispose();
-                if (mesh.material) mesh.material.dispose();
-                this.voxels.delete(action.key);
+        if (mirror.x) addPlane(0xef4444, size, size / 2, new THREE.Vector3(center.x, size / 4, 0), new THREE.Euler(0, Math.PI / 2, 0));
+        if (mirror.y) addPlane(0x22c55e, size, size, new THREE.Vector3(0, center.y, 0), new THREE.Euler(-Math.PI / 2, 0, 0));
+        if (mirror.z) addPlane(0x3b82f6, size, size / 2, new THREE.Vector3(0, size / 4, center.z), new THREE.Euler(0, 0, 0));
+        if (radial > 1) {
+            for (let k = 0; k < radial; k++) {
+                const angle = (Math.PI * 2 * k) / radial;
+                const position = new THREE.Vector3(
+                    center.x + Math.cos(angle) * size / 4,
+                    size / 4,
+                    center.z + Math.sin(angle) * size / 4
+                );
+                addPlane(0xa855f7, size / 2, size / 2, position, new THREE.Euler(0, -angle, 0));
             }
-        } else if (action.type === 'REMOVE') {
-            const geometry = new THREE.BoxGeometry(0.95, 0.95, 0.95);
-            const material = new THREE.MeshStandardMaterial({
-                color: action.color,
-                emissive: 0x0044ff,
-                emissiveIntensity: 0.6,
-                roughness: 0.2,
-                metalness: 0.8
-            });
-            const cube = new THREE.Mesh(geometry, material);
-            cube.position.copy(action.position);
-            cube.castShadow = true;
-            cube.receiveShadow = true;
-            this.scene.add(cube);
-            this.voxels.set(action.key, cube);
         }
+        this.scene.add(this.symmetryGizmo);
+    }
+
+    // Clear the hover when the hovered voxel goes away (undo, erase, load)
+    setVoxel(key, voxel) {
+        if (!voxel && this.hoveredVoxelKey === key) this.hoveredVoxelKey = null;
+        return super.setVoxel(key, voxel);
+    }
+
+    createVoxelAtCursor() {
+        if (!this.cursorVisible) return false;
+
+        const pos = this.cursor.position;
+        const key = `${pos.x},${pos.y},${pos.z}`;
+
+        if (this.voxels.has(key)) return false;
+
+        // Goes through fillCells so symmetric copies land in the same undo step
+        return this.fillCells([this.cursorCell()], 'Add voxel') > 0;
+    }
+
+    removeVoxelAtCursor() {
+        if (!this.cursorVisible) return false;
+
+        const pos = this.cursor.position;
+        return this.removeVoxelByKey(`${pos.x},${pos.y},${pos.z}`);
     }
 
     reset() {
-        console.log("Resetting world...");
-        Array.from(this.voxels.values()).forEach(mesh => {
-            this.scene.remove(mesh);
-            if (mesh.geometry) mesh.geometry.dispose();
-            if (mesh.material) mesh.material.dispose();
-        });
-        this.voxels.clear();
-        this.history = [];
+        super.reset();
         this.scene.rotation.set(0, 0, 0);
-        console.log("World reset complete.");
     }
 
-    exportToJSON() {
-        const data = [];
-        this.voxels.forEach((mesh) => {
-            data.push({
-                x: mesh.position.x,
-                y: mesh.position.y,
-                z: mesh.position.z,
-                color: mesh.material.color.getHex()
-            });
-        });
-        return JSON.stringify(data);
+    // --- VIEW STATE (saved in scene files) ---
+
+    viewState() {
+        return {
+            camera: {
+                position: this.camera.position.toArray(),
+                target: this.controls.target.toArray()
+            },
+            sceneRotation: [this.scene.rotation.x, this.scene.rotation.y, this.scene.rotation.z]
+        };
     }
 
-    loadFromJSON(jsonString) {
-        try {
-            const data = JSON.parse(jsonString);
-            this.reset(); // Use reset instead of manual clear
-
-            data.forEach(v => {
-                const geometry = new THREE.BoxGeometry(0.95, 0.95, 0.95);
-                const material = new THREE.MeshStandardMaterial({
-                    color: v.color || 0x00ffff,
-                    emissive: 0x0044ff,
-                    emissiveIntensity: 0.6
-                });
-                const cube = new THREE.Mesh(geometry, material);
-                cube.position.set(v.x, v.y, v.z);
-                cube.castShadow = true;
-                this.scene.add(cube);
-                this.voxels.set(`${v.x},${v.y},${v.z}`, cube);
-            });
-        } catch (e) {
-            console.error("Failed to load JSON", e);
+    applyView(doc) {
+        this.scene.rotation.set(...doc.sceneRotation);
+        if (doc.camera) {
+            this.camera.position.fromArray(doc.camera.position);
+            this.controls.target.fromArray(doc.camera.target);
+            this.camera.lookAt(this.controls.target);
         }
     }
 
+    // Small JPEG of the current view for the scene library
+    renderThumbnail(width = 192, height = 108) {
+        const cursorWasVisible = this.cursor.visible;
+        this.cursor.visible = false;
+        this.store.update();
+        this.renderer.render(this.scene, this.camera);
+
+        const thumb = document.createElement('canvas');
+        thumb.width = width;
+        thumb.height = height;
+        const ctx = thumb.getContext('2d');
+        ctx.fillStyle = '#0a0a0a';
+        ctx.fillRect(0, 0, width, height);
+
+        // Center-crop the viewport to the thumbnail aspect. Must run right after
+        // render() - the drawing buffer is not preserved between frames.
+        const src = this.renderer.domElement;
+        const scale = Math.min(src.width / width, src.height / height);
+        const sw = width * scale;
+        const sh = height * scale;
+        ctx.drawImage(src, (src.width - sw) / 2, (src.height - sh) / 2, sw, sh, 0, 0, width, height);
+
+        this.cursor.visible = cursorWasVisible;
+        return thumb.toDataURL('image/jpeg', 0.8);
+    }
+
     render() {
         this.controls.update();
+        this.store.update();
         this.renderer.render(this.scene, this.camera);
     }
 }
@@ -554,8 +524,13 @@ let showHandTracking = true;
 
 // Modules
 const gestureTrainer = new GestureTrainer();
-const gestureRecognizer = new GestureRecognizer(gestureTrainer);
+const gestureRecognizer = new GestureRecognizer(gestureTrainer, loadRecognizerSettings());
+gestureRecognizer.onChange(saveRecognizerSettings);
+const gestureBindings = new GestureBindings();
 const world = new VoxelWorld(canvas);
+const sessionRecorder = new SessionRecorder();
+const sessionPlayer = new SessionPlayer();
+const replaySource = new ReplaySource(sessionPlayer);
 
 // --- FUNCTIONS ---
 
@@ -567,9 +542,7 @@ async function enableCamera() {
     btnStart.disabled = true;
 
     try {
-        console.log("Calling startWebcam...");
-        const success = await startWebcam(video);
-        console.log("startWebcam returned:", success);
+        const success = await startInputSource(new WebcamSource(video));
 
         if (success) {
             console.log("Webcam started successfully!");
@@ -577,10 +550,10 @@ async function enableCamera() {
             startScreen.classList.add('hidden');
             startScreen.style.display = 'none';
             console.log("Starting render loop...");
-            loop();
+            startLoop();
             console.log("=== Camera Enabled Successfully ===");
         } else {
-            console.error("startWebcam returned false");
+            console.error("Camera did not start");
             btnStart.disabled = false;
             btnStart.innerText = "Start Camera";
             loader.innerText = "Failed to start camera. Please check permissions.";
@@ -597,23 +570,7 @@ async function enableCamera() {
 async function initializeHandLandmarker() {
     try {
         console.log("Initializing Vision Tasks...");
-        loader.innerText = "Loading hand tracking model...";
-        const vision = await FilesetResolver.forVisionTasks(
-            "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.9/wasm"
-        );
-        console.log("FilesetResolver loaded");
-        loader.innerText = "Creating hand landmarker...";
-        handLandmarker = await HandLandmarker.createFromOptions(vision, {
-            baseOptions: {
-                modelAssetPath: "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
-                delegate: "GPU"
-            },
-            runningMode: runningMode,
-            numHands: 2,
-            minHandDetectionConfidence: 0.7,  // Increased for better accuracy
-            minHandPresenceConfidence: 0.7,   // Increased for better accuracy
-            minTrackingConfidence: 0.7        // Increased for better accuracy
-        });
+        await handTracker.init(status => loader.innerText = status);
         console.log("HandLandmarker initialized successfully!");
         loader.innerText = "Ready to start";
         btnStart.disabled = false;
@@ -715,263 +672,350 @@ function drawHandLandmarks(landmarks, currentGesture) {
 resizeHandCanvas();
 window.addEventListener('resize', resizeHandCanvas);
 
-async function startWebcam(video) {
-    console.log("=== startWebcam called ===");
-    console.log("handLandmarker status:", handLandmarker ? "initialized" : "NOT initialized");
-    console.log("video element:", video);
-
-    if (!handLandmarker) {
+// Switch the live input to `source`, stopping the previous one. Failures are explained with an alert.
+async function startInputSource(source) {
+    if (source.runningMode && !handTracker.isReady) {
         console.error("HandLandmarker not initialized!");
         alert("Hand tracking not ready. Please refresh the page.");
         return false;
     }
 
-    const constraints = {
-        video: {
-            width: { ideal: 1280 },
-            height: { ideal: 720 },
-            facingMode: "user"
-        },
-        audio: false
-    };
-
-    console.log("Requesting camera access with constraints:", constraints);
+    if (inputSource) inputSource.stop();
+    inputSource = null;
+    results = undefined;
 
     try {
-        const stream = await navigator.mediaDevices.getUserMedia(constraints);
-        console.log("Got media stream:", stream);
-        console.log("Video tracks:", stream.getVideoTracks());
-
-        video.srcObject = stream;
-
-        return new Promise((resolve) => {
-            video.addEventListener("loadeddata", () => {
-                console.log("Video loaded! Resolution:", video.videoWidth, "x", video.videoHeight);
-                webcamRunning = true;
-                video.play().then(() => {
-                    console.log("Video playing successfully");
-                    resolve(true);
-                }).catch(err => {
-                    console.error("Error playing video:", err);
-                    resolve(false);
-                });
-            }, { once: true });
-
-            // Timeout fallback
-            setTimeout(() => {
-                if (!webcamRunning) {
-                    console.warn("Webcam timeout - forcing start anyway");
-                    video.play().catch(console.error);
-                    resolve(true);
-                }
-            }, 2000);
-        });
+        if (!(await source.start())) return false;
     } catch (e) {
-        console.error("Error accessing webcam:", e);
-        console.error("Error name:", e.name);
-        console.error("Error message:", e.message);
-
-        let errorMsg = "Camera Error: ";
-        if (e.name === "NotAllowedError") {
-            errorMsg += "Please allow camera access in your browser settings.";
-        } else if (e.name === "NotFoundError") {
-            errorMsg += "No camera found on this device.";
-        } else {
-            errorMsg += e.message;
-        }
-
-        alert(errorMsg);
+        console.error(`Error starting ${source.label}:`, e);
+        alert(inputErrorMessage(source, e));
         return false;
     }
+
+    inputSource = source;
+    resetInteraction();
+    renderInput();
+    console.log(`📷 Input: ${source.label}`);
+    return true;
 }
 
-async function getHandData(video) {
-    if (!webcamRunning || video.readyState < 2) return null;
-    if (runningMode === "IMAGE") {
-        runningMode = "VIDEO";
-        await handLandmarker.setOptions({ runningMode: "VIDEO" });
+function inputErrorMessage(source, e) {
+    if (source.kind !== 'webcam') return `Could not open ${source.label}: ${e.message}`;
+
+    let errorMsg = "Camera Error: ";
+    if (e.name === "NotAllowedError") {
+        errorMsg += "Please allow camera access in your browser settings.";
+    } else if (e.name === "NotFoundError") {
+        errorMsg += "No camera found on this device.";
+    } else {
+        errorMsg += e.message;
     }
+    return errorMsg;
+}
 
-    if (video.currentTime !== lastVideoTimeInternal) {
-        lastVideoTimeInternal = video.currentTime;
-        results = handLandmarker.detectForVideo(video, performance.now());
+// Next hand frame from `source` as { results, timestamp }, or null when a landmark source
+// (synthetic, replay) has nothing new. Image sources report their latest detection every
+// frame; a new frame is only read from them once the tracker is free, so a slow model
+// skips video frames (and holds image sequences back) instead of stalling rendering.
+async function getHandData(source, now) {
+    if (!source || !source.isRunning) return { results: null, timestamp: now };
+    if (!source.runningMode) return source.nextFrame(now);
+
+    if (!handTracker.isBusy) {
+        const frame = await source.nextFrame(now);
+        if (frame) {
+            const tracking = trackFrame(source, frame);
+            if (!handTracker.inWorker) await tracking; // Main-thread fallback: results are ready this frame
+        }
     }
+    return { results, timestamp: now };
+}
 
-    return results;
+// Detect on one source frame; the results land whenever the tracker is done with it
+async function trackFrame(source, frame) {
+    try {
+        const detected = await handTracker.detect(frame.image, frame.timestamp, source.runningMode);
+        if (!detected || source !== inputSource) return; // Dropped, or the input changed meanwhile
+        results = detected;
+        sessionRecorder.push(results, frame.timestamp);
+    } catch (e) {
+        console.error("Tracking Error:", e);
+    }
 }
 
 // --- INTERACTION HANDLING ---
 
-const handleInteraction = (gesture, handState, landmarks) => {
+// Depth mode: the palm size when the hand appeared maps to the orbit target distance
+const DEPTH_MODE_KEY = 'volex_depth_mode';
+const DEPTH_GAIN = 2.5; // 10% bigger palm -> 25% deeper
+let depthMode = localStorage.getItem(DEPTH_MODE_KEY) === 'true';
+let depthCalibration = null;
+
+// Build settings: a held place pinch either drops one block or draws a stroke until released
+const BUILD_SETTINGS_KEY = 'volex_build_settings';
+const DEFAULT_BUILD_SETTINGS = { stroke: true, delay: 1000 };
+
+function loadBuildSettings() {
+    try {
+        return { ...DEFAULT_BUILD_SETTINGS, ...JSON.parse(localStorage.getItem(BUILD_SETTINGS_KEY) || '{}') };
+    } catch (e) {
+        return { ...DEFAULT_BUILD_SETTINGS };
+    }
+}
+
+const buildSettings = loadBuildSettings();
+let activeStroke = null; // { action, lastCell, count } while a pinch is drawing or erasing
+let eraseMode = false; // Place presses erase the hovered voxel instead
+
+function setBuildSettings(settings) {
+    Object.assign(buildSettings, settings);
+    localStorage.setItem(BUILD_SETTINGS_KEY, JSON.stringify(buildSettings));
+}
+
+// Paint or clear cells for a stroke of the given action ('place' or 'remove')
+function strokeCells(action, cells) {
+    return action === 'remove' ? world.clearCells(cells, 'Erase stroke') : world.fillCells(cells, 'Draw stroke');
+}
+
+// Start drawing (or erasing) at the cursor. Everything until finishStroke() is one undo step.
+function startStroke(action) {
+    const cell = world.cursorCell();
+    if (!cell) return false;
+
+    world.beginStroke(action === 'remove' ? 'Erase stroke' : 'Draw stroke');
+    world.lockCursorPlane();
+    activeStroke = { action, lastCell: cell, count: strokeCells(action, [cell]) };
+    interaction.startDrawing();
+    triggerHapticFeedback();
+    return true;
+}
+
+// Every cell between the last stroke cell and the cursor, so fast moves leave no gaps
+function continueStroke() {
+    const cell = world.cursorCell();
+    if (!cell) return;
+
+    const last = activeStroke.lastCell;
+    if (cell.x === last.x && cell.y === last.y && cell.z === last.z) return;
+    activeStroke.count += strokeCells(activeStroke.action, lineCells(last, cell));
+    activeStroke.lastCell = cell;
+}
+
+function finishStroke() {
+    if (!activeStroke) return;
+    world.unlockCursorPlane();
+    world.endStroke();
+    console.log(`✏️ Stroke finished: ${activeStroke.count} blocks ${activeStroke.action === 'remove' ? 'erased' : 'drawn'}`);
+    activeStroke = null;
+    interaction.stopDrawing();
+}
+
+function setEraseMode(enabled) {
+    eraseMode = enabled;
+    finishStroke();
+    world.setCursorMode(enabled ? 'erase' : 'build');
+    if (eraseModeToggle) eraseModeToggle.checked = enabled;
+    updateToolPreview();
+    console.log(enabled ? '🧽 Erase mode' : '🧱 Build mode');
+}
+
+const eraseModeToggle = document.getElementById('erase-mode');
+if (eraseModeToggle) eraseModeToggle.onchange = () => setEraseMode(eraseModeToggle.checked);
+
+// Gestures that are a movement rather than a held pose - they fire once
+const MOTION_GESTURES = new Set(GestureBindings.BUILTIN_GESTURES.filter(g => g.motion).map(g => g.type));
+
+// On-screen feedback while a hold action is counting down / after it fired
+const ACTION_FEEDBACK = {
+    place: { wait: 'Hold to Build', color: 'yellow', done: () => placeFeedback(), doneColor: '#00ff00' },
+    remove: { wait: 'Hold to Remove', color: '#ff4444', done: () => 'Removed! 🗑️', doneColor: '#ff4444' },
+    undo: { wait: 'Hold to Undo', color: '#ff4444', done: () => 'Undone! ↩️', doneColor: '#ff4444' },
+    redo: { wait: 'Hold to Redo', color: '#00ff00', done: () => 'Redone! ↪️', doneColor: '#00ff00' },
+    colorNext: { wait: 'Hold for Next Color', color: 'white', done: () => `Color: ${world.palette.current.name} 🎨`, doneColor: 'white' },
+    colorPrev: { wait: 'Hold for Previous Color', color: 'white', done: () => `Color: ${world.palette.current.name} 🎨`, doneColor: 'white' },
+    toggleErase: { wait: 'Hold to Toggle Erase', color: '#ff4444', done: () => (eraseMode ? 'Erase Mode 🧽' : 'Build Mode 🧱'), doneColor: 'white' },
+    copy: { wait: 'Hold to Copy', color: 'white', done: () => `Copied ${world.selection.size} 📋`, doneColor: 'white' },
+    cut: { wait: 'Hold to Cut', color: '#ff4444', done: () => 'Cut! ✂️', doneColor: '#ff4444' },
+    paste: { wait: 'Hold to Paste', color: 'white', done: () => 'Pinch to Stamp 📋', doneColor: '#00ff00' },
+    moveSelection: { wait: 'Hold to Pick Up', color: 'white', done: () => 'Pinch to Drop ✋', doneColor: '#00ff00' },
+    rotateSelection: { wait: 'Hold to Rotate', color: 'white', done: () => 'Rotated 90° 🔁', doneColor: 'white' },
+    mirrorSelection: { wait: 'Hold to Mirror', color: 'white', done: () => 'Mirrored ↔️', doneColor: 'white' },
+    deleteSelection: { wait: 'Hold to Delete', color: '#ff4444', done: () => 'Deleted! 🗑️', doneColor: '#ff4444' },
+    cancel: { wait: 'Hold to Cancel', color: 'white', done: () => 'Cancelled ✖️', doneColor: 'white' }
+};
+
+// handState: the dominant hand, hands: [dominant, support?], modifiers: from the support hand,
+// now: frame time in ms (the replay clock when a session is playing back)
+const handleInteraction = (gesture, handState, hands = null, modifiers = {}, now = performance.now()) => {
     // 1. Calculate Cursor Position (NDC)
     let point = { x: 0.5, y: 0.5 };
     if (handState && handState.pinchCenter) {
         point = handState.pinchCenter;
-    } else if (landmarks) {
-        point = landmarks[8];
+    } else if (handState && handState.landmarks) {
+        point = handState.landmarks[8];
     }
 
     const ndcX = (1 - point.x) * 2 - 1;
     const ndcY = 1 - (point.y * 2);
 
-    // Update 3D Cursor (Palm/Hover is default behavior when cursor moves)
-    world.updateCursorFromHand(ndcX, ndcY);
+    // Depth mode: pushing the hand toward the screen (palm looks bigger) reaches deeper
+    let depth = null;
+    if (depthMode && handState && handState.palmSize) {
+        if (!depthCalibration) {
+            depthCalibration = {
+                palmSize: handState.palmSize,
+                distance: world.camera.position.distanceTo(world.controls.target)
+            };
+        }
+        const ratio = handState.palmSize / depthCalibration.palmSize;
+        const { distance } = depthCalibration;
+        depth = THREE.MathUtils.clamp(distance * (1 + DEPTH_GAIN * (ratio - 1)), 0.5, distance * 3);
+    }
 
-    const now = Date.now();
+    const boundAction = gestureBindings.actionFor(gesture);
+    // Erase mode and the support-hand fist turn building into erasing
+    const action = (eraseMode || modifiers.erase) && boundAction === 'place' ? 'remove' : boundAction;
+    const actionInfo = GestureBindings.ACTIONS[action];
+
+    // Releasing the pinch (or switching to anything else) ends a stroke
+    if (activeStroke && action !== activeStroke.action) finishStroke();
+
+    // Update 3D Cursor (Palm/Hover is default behavior when cursor moves).
+    // Anything that erases aims the cursor at the voxel itself.
+    world.setCursorMode(eraseMode || action === 'remove' ? 'erase' : 'build');
+    world.updateCursorFromHand(ndcX, ndcY, depth);
+    updateToolPreview();
+
+    // 2. Step the state machine
+    const step = interaction.step({
+        action,
+        kind: actionInfo.kind,
+        motion: MOTION_GESTURES.has(gesture),
+        point: { x: ndcX, y: ndcY },
+        twoHands: !!hands && hands.length === 2,
+        now
+    });
 
-    // 2. ZOOM Logic (High Priority)
-    if (gesture === 'ZOOM_IN') {
-        world.camera.position.z = Math.max(2, world.camera.position.z - 0.2);
-        gestureName.innerText = "Zoom In 🔍";
-        interactionState = 'ZOOMING';
-        return;
-    }
-    if (gesture === 'ZOOM_OUT') {
-        world.camera.position.z = Math.min(20, world.camera.position.z + 0.2);
-        gestureName.innerText = "Zoom Out 🔭";
-        interactionState = 'ZOOMING';
+    // 3. Motion gestures (swipes) fire their action once, only from hover
+    if (step.type === 'fire') {
+        editorActions[action]();
+        const feedback = ACTION_FEEDBACK[action];
+        gestureName.innerText = feedback.done();
+        gestureName.style.color = feedback.doneColor;
         return;
     }
-
-    // 3. State Machine Transitions
-    if (gesture === 'CLOSED') {
-        // FIST -> ROTATE
-        if (interactionState !== 'ROTATING') {
-            interactionState = 'ROTATING';
-            lastPoint = { x: ndcX, y: ndcY };
-        }
-        world.cursorVisible = false;
-        world.cursor.visible = false;
-
-    } else if (gesture === 'PINCH') {
-        // PINCH -> BUILD (after delay)
-        if (interactionState === 'ROTATING' || interactionState === 'ZOOMING') {
-            if (now - lastClosedTime < 300) return; // Debounce
-            interactionState = 'IDLE';
-        }
-
-        if (interactionState !== 'DRAW_WAIT' && interactionState !== 'BLOCK_PLACED') {
-            interactionState = 'DRAW_WAIT';
-            pinchStartTime = now;
-            blockPlacedThisPinch = false;
+    if (step.type === 'ignore') return;
+
+    // 4. Carry out the state
+    if (action !== 'manipulate') manipulation = null;
+
+    // --- TWO-HAND VIEW MANIPULATION ---
+    if (step.type === 'manipulate') {
+        // Screen space (mirrored preview), hands ordered left to right so the angle can't flip
+        const [a, b] = hands
+            .map(h => ({ x: 1 - h.pinchCenter.x, y: h.pinchCenter.y }))
+            .sort((p, q) => p.x - q.x);
+        const span = Math.max(Math.hypot(b.x - a.x, b.y - a.y), 0.01);
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+        if (step.start || !manipulation) {
+            manipulation = { view: world.captureView(), span, angle, mid };
         }
 
-    } else if (gesture === 'VICTORY') {
-        // VICTORY (2 Fingers) -> UNDO (after delay)
-        if (interactionState !== 'UNDO_WAIT' && interactionState !== 'UNDO_COMPLETE') {
-            interactionState = 'UNDO_WAIT';
-            undoStartTime = now;
-        }
+        world.manipulateView(manipulation.view, {
+            scale: span / manipulation.span,
+            rotation: angle - manipulation.angle,
+            panX: (mid.x - manipulation.mid.x) * 2,
+            panY: -(mid.y - manipulation.mid.y) * 2
+        });
 
-    } else {
-        // IDLE / OPEN PALM (Hover)
-        interactionState = 'IDLE';
-        blockPlacedThisPinch = false;
+        world.cursorVisible = false;
+        world.cursor.visible = false;
+        gestureName.innerText = "Two Hands: Zoom / Turn / Pan 🙌";
+        gestureName.style.color = "cyan";
     }
 
-    // 4. State Actions execution
+    // --- ZOOM ---
+    else if (step.type === 'zoom') {
+        world.zoomCamera(action === 'zoomIn' ? 0.97 : 1 / 0.97);
+        gestureName.innerText = action === 'zoomIn' ? "Zoom In 🔍" : "Zoom Out 🔭";
+    }
 
     // --- ROTATING ---
-    if (interactionState === 'ROTATING') {
-        gestureName.innerText = "Fist: Rotating 🔄";
+    else if (step.type === 'rotate') {
+        world.cursorVisible = false;
+        world.cursor.visible = false;
+        gestureName.innerText = "Rotating 🔄";
         gestureName.style.color = "cyan";
 
-        if (lastPoint) {
-            const deltaX = ndcX - lastPoint.x;
-            const deltaY = ndcY - lastPoint.y;
-            const sensitivity = 3.5;
-
-            world.scene.rotation.y += deltaX * sensitivity;
-            world.scene.rotation.x += deltaY * sensitivity;
-
-            // Limit vertical rotation to avoid flipping
-            // world.scene.rotation.x = Math.max(-Math.PI/2, Math.min(Math.PI/2, world.scene.rotation.x));
-        }
-        lastClosedTime = now;
+        const sensitivity = 3.5;
+        world.scene.rotation.y += step.delta.x * sensitivity;
+        world.scene.rotation.x += step.delta.y * sensitivity;
     }
 
-    // --- DRAWING (BUILD) ---
-    else if (interactionState === 'DRAW_WAIT') {
-        const elapsed = now - pinchStartTime;
-        const BUILD_DELAY = 2000; // 2 Seconds
-
-        if (elapsed > BUILD_DELAY && !blockPlacedThisPinch) {
-            if (world.createVoxelAtCursor()) {
-                triggerHapticFeedback();
-                blockPlacedThisPinch = true;
-                interactionState = 'BLOCK_PLACED';
-                console.log("✅ Block placed!");
+    // --- HOLDING (place / undo / redo / ...) ---
+    else if (step.type === 'hold') {
+        const holdAction = step.action;
+        const holdInfo = GestureBindings.ACTIONS[holdAction];
+        const feedback = ACTION_FEEDBACK[holdAction];
+        const building = holdAction === 'place' || holdAction === 'remove';
+        const delay = building ? buildSettings.delay : holdInfo.delay;
+        const stroke = building && buildSettings.stroke && !(holdAction === 'place' && toolHandlesPress());
+
+        // Place/remove keep trying until the cursor is somewhere valid
+        if (step.elapsed > delay) {
+            if (stroke) {
+                if (startStroke(holdAction)) console.log('✏️ Stroke started');
+            } else if (editorActions[holdAction]() || !holdInfo.retry) {
+                interaction.complete();
+                console.log(`✅ ${holdInfo.name} triggered!`);
             }
-        } else if (!blockPlacedThisPinch) {
-            const timeLeft = ((BUILD_DELAY - elapsed) / 1000).toFixed(1);
-            gestureName.innerText = `Hold to Build: ${timeLeft}s`;
-            gestureName.style.color = "yellow";
-        }
-    }
-    else if (interactionState === 'BLOCK_PLACED') {
-        gestureName.innerText = "Block Placed! ✅ Release Pinch";
-        gestureName.style.color = "#00ff00";
-    }
-
-    // --- UNDOING ---
-    else if (interactionState === 'UNDO_WAIT') {
-        const elapsed = now - undoStartTime;
-        const UNDO_DELAY = 2000; // 2 Seconds
-
-        if (elapsed > UNDO_DELAY) {
-            world.undo();
-            triggerHapticFeedback();
-            interactionState = 'UNDO_COMPLETE';
-            console.log("↩️ Undo triggered!");
         } else {
-            const timeLeft = ((UNDO_DELAY - elapsed) / 1000).toFixed(1);
-            gestureName.innerText = `Hold to Delete: ${timeLeft}s`;
-            gestureName.style.color = "#ff4444"; // Red for delete
+            const timeLeft = ((delay - step.elapsed) / 1000).toFixed(1);
+            const wait = holdAction === 'place' ? placeWaitText(feedback)
+                : stroke ? 'Hold to Erase' : feedback.wait;
+            gestureName.innerText = `${wait}: ${timeLeft}s`;
+            gestureName.style.color = feedback.color;
         }
     }
-    else if (interactionState === 'UNDO_COMPLETE') {
-        gestureName.innerText = "Deleted! 🗑️ Release Fingers";
-        gestureName.style.color = "#ff4444";
+    else if (step.type === 'drawing') {
+        continueStroke();
+        const erasing = activeStroke.action === 'remove';
+        gestureName.innerText = `${erasing ? 'Erasing 🧽' : 'Drawing ✏️'} ${activeStroke.count} blocks - Release to finish`;
+        gestureName.style.color = erasing ? '#ff4444' : '#00ff00';
+    }
+    else if (step.type === 'complete') {
+        const feedback = ACTION_FEEDBACK[step.action];
+        gestureName.innerText = `${feedback.done()} Release`;
+        gestureName.style.color = feedback.doneColor;
     }
 
     // --- IDLE (HOVER) ---
-    else if (interactionState === 'IDLE') {
+    else if (step.type === 'idle') {
         gestureName.innerText = "Palm: Hover ✋";
-        if (gesture === 'THUMBS_UP') {
-            gestureName.innerText = "Thumbs Up! 👍";
-            gestureName.style.color = "#00ff00";
-        } else {
-            gestureName.style.color = "white";
-        }
+        gestureName.style.color = "white";
     }
 
-    lastPoint = { x: ndcX, y: ndcY };
     lastGesture = gesture;
 };
 
+// Built-in and recorded gestures, for labels and the bindings editor
+const gestureDefinitions = () => GestureBindings.BUILTIN_GESTURES.concat(
+    gestureTrainer.getCustomGestures().map(g => ({ type: g.type, name: g.name, emoji: g.emoji, custom: true }))
+);
+
 // UI Updates
 const updateUI = (gesture) => {
-    let displayText = gesture;
-    if (gesture === 'CLOSED') displayText = "Fist: Rotate 🔄";
-    if (gesture === 'PINCH') displayText = "Pinch: Draw ✏️";
-    if (gesture === 'OPEN_PALM') displayText = "Palm: Hover ✋";
-    if (gesture === 'ZOOM_IN') displayText = "Zoom In 🔍";
-    if (gesture === 'ZOOM_OUT') displayText = "Zoom Out 🔭";
+    const definition = gestureDefinitions().find(g => g.type === gesture);
 
+    let displayText = gesture;
+    if (definition) {
+        const action = gestureBindings.actionFor(gesture);
+        displayText = `${definition.name}: ${GestureBindings.ACTIONS[action].name} ${definition.emoji}`;
+    }
     gestureName.innerText = displayText;
-
-    // Icon mapping
-    const icons = {
-        'PINCH': '👌',
-        'OPEN_PALM': '✋',
-        'CLOSED': '✊',
-        'SWIPE_LEFT': '👈',
-        'SWIPE_RIGHT': '👉',
-        'ZOOM_IN': '🔍',
-        'ZOOM_OUT': '🔭',
-        'NONE': '❌'
-    };
-    statusIcon.innerText = icons[gesture] || '✋';
+    statusIcon.innerText = gesture === 'NONE' ? '❌' : (definition ? definition.emoji : '✋');
 };
 
 const triggerHapticFeedback = () => {
@@ -982,85 +1026,1197 @@ const triggerHapticFeedback = () => {
     }, 200);
 };
 
-// --- INITIALIZATION ---
+// --- SHAPE TOOLS + SELECTION ---
 
-const initApp = async () => {
-    await initializeHandLandmarker();
-}
-// Start immediate init of non-webcam stuff? 
-// Actually we wait for user to click button.
-initApp();
+const shapeTools = new ShapeTools();
+let lastPreviewKey = null; // Cursor cell + tool state the ghost was last built for
+let toolFeedback = null; // What the last tool press did, for the hold feedback
 
-// Main Loop
-async function loop() {
-    try {
-        const now = performance.now();
+// A piece following the cursor: 'move' carries the selection, 'paste' stamps the clipboard
+let floating = null;
 
-        if (!isMouseFallback) {
-            const results = await getHandData(video);
-
-            if (results && results.landmarks.length > 0) {
-                statusHand.classList.add('connected');
-
-                const { gesture, hand } = gestureRecognizer.update(results.landmarks);
-
-                // Calculate and display tracking accuracy
-                const confidence = gestureRecognizer.gestureHistory.length > 0
-                    ? (gestureRecognizer.gestureHistory.filter(g => g === gesture).length /
-                        gestureRecognizer.gestureHistory.length * 100).toFixed(0)
-                    : 0;
-
-                trackingAccuracy.innerText = `${confidence}%`;
-                // Color code based on confidence
-                if (confidence >= 70) {
-                    trackingAccuracy.style.color = '#00ff00'; // Green
-                } else if (confidence >= 50) {
-                    trackingAccuracy.style.color = '#ffff00'; // Yellow
-                } else {
-                    trackingAccuracy.style.color = '#ff6b6b'; // Red
-                }
+const isSolidCell = (cell) => world.store.hasCell(cell.x, cell.y, cell.z);
 
-                updateUI(gesture);
+// Presses go to the floating piece or the active tool instead of placing one block
+const toolHandlesPress = () => floating !== null || shapeTools.isShape;
 
-                if (!isPreviewMode) {
-                    handleInteraction(gesture, hand, results.landmarks[0]);
-                }
+// Selection tools aim at the voxel under the pointer, building tools at the empty cell in front
+function toolCell() {
+    return shapeTools.tool.target === 'voxel' ? world.hoveredCell() : world.cursorCell();
+}
 
-                // Draw hand landmarks visualization
-                drawHandLandmarks(results.landmarks);
+function setFloating(mode) {
+    floating = mode ? { mode } : null;
+    lastPreviewKey = null;
+    updateToolPreview();
+}
 
-                // Collect training samples if in training mode
-                if (gestureTrainer.isTraining && results.landmarks[0]) {
-                    gestureTrainer.collectSample(results.landmarks[0]);
-                }
-            } else {
-                statusHand.classList.remove('connected');
-                updateUI('NONE');
-                trackingAccuracy.innerText = '--';
-                trackingAccuracy.style.color = 'white';
-                drawHandLandmarks(null); // Clear visualization
-            }
-        }
-        world.render();
-    } catch (e) {
-        console.error("Loop Error:", e);
+// Rebuild the ghost when the cursor enters a new cell (shapes can be thousands of cells)
+function updateToolPreview() {
+    let cell = null;
+    if (world.cursorMode !== 'erase') cell = floating ? world.cursorCell() : shapeTools.isShape ? toolCell() : null;
+    if (!cell) {
+        world.hideGhost();
+        lastPreviewKey = null;
+        return;
     }
-    requestAnimationFrame(loop);
-}
 
-// Button Listeners
-document.getElementById('btn-minimize').onclick = () => {
-    document.getElementById('controls-panel').classList.toggle('minimized');
-};
+    const anchor = shapeTools.anchor;
+    const key = [floating && floating.mode, cell.x, cell.y, cell.z, anchor && [anchor.x, anchor.y, anchor.z]].join();
+    if (key === lastPreviewKey) return;
+    lastPreviewKey = key;
 
-const btnCheckCam = document.getElementById('btn-toggle-camera');
-let isCameraOn = true;
+    let cells;
+    if (floating) {
+        cells = floating.mode === 'move' ? world.selection.movedCells(cell) : world.selection.clipboardCells(cell);
+    } else {
+        cells = shapeTools.preview(cell, isSolidCell);
+        if (!shapeTools.tool.select) cells = world.withSymmetry(cells);
+    }
+    world.showGhost(cells.length <= shapeTools.maxCells ? cells : []);
+}
+
+// First press anchors a two-point tool; the next one builds the whole shape as one undo step
+function useTool() {
+    if (floating) return dropFloating();
+
+    const cell = toolCell();
+    if (!cell) return false;
+
+    const tool = shapeTools.tool;
+    if (tool.select) return selectWithTool(tool, cell);
+
+    const cells = shapeTools.press(cell, isSolidCell);
+    if (cells === null) {
+        toolFeedback = `${tool.name}: Corner Set 📍`;
+        triggerHapticFeedback();
+        return true;
+    }
+
+    // The press is used up either way - retrying would anchor a new shape
+    const count = world.fillCells(cells, tool.name);
+    if (count === 0) {
+        console.warn(`${tool.emoji} ${tool.name}: nothing to build here`);
+        toolFeedback = `${tool.name}: Nothing to Build`;
+        return true;
+    }
+    console.log(`${tool.emoji} ${tool.name}: ${count} blocks`);
+    toolFeedback = `${tool.name} Built! ${tool.emoji}`;
+    triggerHapticFeedback();
+    return true;
+}
+
+function selectWithTool(tool, cell) {
+    const span = shapeTools.span(cell);
+    if (!span) {
+        toolFeedback = `${tool.name}: Corner Set 📍`;
+        triggerHapticFeedback();
+        return true;
+    }
+
+    const { selection } = world;
+    const key = world.store.keyForCell(cell.x, cell.y, cell.z);
+    let count;
+    if (tool.select === 'box') count = selection.selectBox(span.from, span.to);
+    else if (tool.select === 'connected') count = selection.selectConnected(key);
+    else count = selection.selectByColor(key);
+
+    console.log(`${tool.emoji} Selected ${count} blocks`);
+    toolFeedback = `Selected ${count} ${tool.emoji}`;
+    if (count > 0) triggerHapticFeedback();
+    return true;
+}
+
+// Moves end after one drop; pastes keep stamping until cancelled
+function dropFloating() {
+    const cell = world.cursorCell();
+    if (!cell) return false;
+
+    const { selection } = world;
+    if (floating.mode === 'move') {
+        world.applySelectionEdit('Move selection', selection.moveTo(cell));
+        setFloating(null);
+        toolFeedback = 'Moved! ✋';
+    } else {
+        world.applySelectionEdit('Paste', selection.paste(cell));
+        lastPreviewKey = null;
+        toolFeedback = 'Pasted! 📋';
+    }
+    triggerHapticFeedback();
+    return true;
+}
+
+function placeFeedback() {
+    return toolFeedback || 'Block Placed! ✅';
+}
+
+// Hold countdown label for the place action
+function placeWaitText(feedback) {
+    if (floating) return floating.mode === 'move' ? 'Hold to Drop' : 'Hold to Stamp';
+    if (shapeTools.isShape) return `Hold for ${shapeTools.tool.name}`;
+    return buildSettings.stroke ? 'Hold to Draw' : feedback.wait;
+}
+
+// Symmetry settings persist per user
+const SYMMETRY_KEY = 'volex_symmetry';
+const RADIAL_FOLDS = [1, 2, 3, 4, 6, 8];
+
+try {
+    world.symmetry.load(JSON.parse(localStorage.getItem(SYMMETRY_KEY) || 'null'));
+} catch (e) {
+    console.warn('Ignoring unreadable symmetry settings', e);
+}
+world.symmetry.onChange(symmetry => {
+    localStorage.setItem(SYMMETRY_KEY, JSON.stringify(symmetry.toJSON()));
+    lastPreviewKey = null;
+    updateToolPreview();
+});
+
+// Ghost and highlight follow every edit, undo and selection change
+world.history.onChange(() => {
+    lastPreviewKey = null;
+});
+world.selection.onChange(() => {
+    lastPreviewKey = null;
+    world.showSelection();
+    if (floating && floating.mode === 'move' && world.selection.isEmpty) setFloating(null);
+});
+
+// --- EDITOR ACTIONS ---
+// Every input path (gestures, buttons, mouse/keys fallback) goes through these
+
+const editorActions = {
+    place() {
+        if (eraseMode) return editorActions.remove();
+        if (toolHandlesPress()) return useTool();
+        toolFeedback = null;
+        if (world.createVoxelAtCursor()) {
+            triggerHapticFeedback();
+            return true;
+        }
+        return false;
+    },
+
+    // The erase cursor sits on the voxel itself; the build cursor only knows what the ray hit
+    remove() {
+        const removed = world.cursorMode === 'erase'
+            ? world.removeVoxelAtCursor()
+            : world.removeVoxelByKey(world.hoveredVoxelKey);
+        if (removed) {
+            triggerHapticFeedback();
+            return true;
+        }
+        return false;
+    },
+
+    undo() {
+        finishStroke();
+        const command = world.undo();
+        if (command) triggerHapticFeedback();
+        return !!command;
+    },
+
+    redo() {
+        finishStroke();
+        const command = world.redo();
+        if (command) triggerHapticFeedback();
+        return !!command;
+    },
+
+    toggleErase() {
+        setEraseMode(!eraseMode);
+        return true;
+    },
+
+    selectTool(id) {
+        shapeTools.select(id);
+        return true;
+    },
+
+    toggleHollow() {
+        shapeTools.setHollow(!shapeTools.hollow);
+        return true;
+    },
+
+    // Drop the floating piece, then a half-finished shape, then the selection
+    cancel() {
+        if (floating) {
+            setFloating(null);
+            return true;
+        }
+        return shapeTools.cancel() || world.selection.clear();
+    },
+
+    selectAll() {
+        return world.selection.selectAll() > 0;
+    },
+
+    copy() {
+        const count = world.selection.copy();
+        if (count === 0) return false;
+        console.log(`📋 Copied ${count} blocks`);
+        triggerHapticFeedback();
+        return true;
+    },
+
+    cut() {
+        if (!editorActions.copy()) return false;
+        return world.applySelectionEdit('Cut', world.selection.remove());
+    },
+
+    // Stamp the clipboard at the cursor with every place press until cancelled
+    paste() {
+        if (!world.selection.clipboard) return false;
+        setFloating('paste');
+        return true;
+    },
+
+    // Pick the selection up; the next place press puts it down at the cursor
+    moveSelection() {
+        if (world.selection.isEmpty) return false;
+        setFloating('move');
+        return true;
+    },
+
+    nudgeSelection(dx = 0, dy = 0, dz = 0) {
+        if (world.selection.isEmpty) return false;
+        return world.applySelectionEdit('Move selection', world.selection.moveBy({ x: dx, y: dy, z: dz }));
+    },
+
+    rotateSelection(axis = 'y') {
+        return world.applySelectionEdit('Rotate selection', world.selection.rotate(axis));
+    },
+
+    mirrorSelection(axis = 'x') {
+        return world.applySelectionEdit('Mirror selection', world.selection.mirror(axis));
+    },
+
+    deleteSelection() {
+        return world.applySelectionEdit('Delete selection', world.selection.remove());
+    },
+
+    toggleMirror(axis = 'x') {
+        world.symmetry.setMirror(axis, !world.symmetry.mirror[axis]);
+        return true;
+    },
+
+    cycleRadial() {
+        const index = RADIAL_FOLDS.indexOf(world.symmetry.radial);
+        world.symmetry.setRadial(RADIAL_FOLDS[(index + 1) % RADIAL_FOLDS.length]);
+        return true;
+    },
+
+    // Planes through the middle of the cursor cell
+    centerSymmetry() {
+        const cell = world.cursorCell();
+        if (!cell) return false;
+        world.symmetry.setCenter({ x: cell.x + 0.5, y: cell.y + 0.5, z: cell.z + 0.5 });
+        return true;
+    },
+
+    colorNext() {
+        world.palette.next();
+        triggerHapticFeedback();
+        return true;
+    },
+
+    colorPrev() {
+        world.palette.prev();
+        triggerHapticFeedback();
+        return true;
+    },
+
+    clear() {
+        if (confirm("Clear all blocks?")) {
+            world.reset();
+            return true;
+        }
+        return false;
+    },
+
+    save() {
+        saveToLibrary(false);
+        return true;
+    },
+
+    load() {
+        showLibrary();
+        return true;
+    },
+
+    exportFile() {
+        const json = world.exportToJSON();
+        downloadText(json, sceneFileName(world.sceneMetadata.name));
+        return true;
+    },
+
+    importFile() {
+        fileInput.value = ''; // Allow re-importing the same file
+        fileInput.click();
+        return true;
+    },
+
+    export3D() {
+        exportModal.style.display = 'flex';
+        return true;
+    }
+};
+
+// --- 3D EXPORT (GLB / OBJ / STL) ---
+
+const exportModal = document.getElementById('export-modal');
+
+function export3DModel(format, { scale, center }) {
+    if (world.voxels.size === 0) {
+        alert("Nothing to export - the scene is empty.");
+        return false;
+    }
+
+    const options = { voxelSize: world.voxelSize, scale, center };
+    const baseName = sceneFileName(world.sceneMetadata.name, '');
+
+    if (format === 'glb') {
+        const glb = exportGLB(world.voxels, world.palette, options);
+        downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), `${baseName}.glb`);
+    } else if (format === 'obj') {
+        const { obj, mtl } = exportOBJ(world.voxels, world.palette, { ...options, mtlName: `${baseName}.mtl` });
+        downloadText(obj, `${baseName}.obj`, 'text/plain');
+        downloadText(mtl, `${baseName}.mtl`, 'text/plain');
+    } else if (format === 'stl') {
+        const stl = exportSTL(world.voxels, world.palette, options);
+        downloadBlob(new Blob([stl], { type: 'model/stl' }), `${baseName}.stl`);
+    } else if (format === 'vox') {
+        let buffer;
+        try {
+            buffer = world.exportToVox();
+        } catch (e) {
+            console.error("Failed to export .vox", e);
+            alert(`Could not export .vox: ${e.message}`);
+            return false;
+        }
+        downloadBlob(new Blob([buffer], { type: 'application/octet-stream' }), `${baseName}.vox`);
+    } else {
+        return false;
+    }
+    console.log(`📦 Exported ${world.voxels.size} voxels as ${format.toUpperCase()}`);
+    return true;
+}
+
+document.getElementById('btn-export-3d-confirm').onclick = () => {
+    const format = document.getElementById('export-format').value;
+    const scale = parseFloat(document.getElementById('export-scale').value);
+    const center = document.getElementById('export-center').checked;
+    if (!(scale > 0)) {
+        alert("Scale must be a positive number.");
+        return;
+    }
+    if (export3DModel(format, { scale, center })) {
+        exportModal.style.display = 'none';
+    }
+};
+
+document.getElementById('btn-export-3d-cancel').onclick = () => {
+    exportModal.style.display = 'none';
+};
+
+// --- FILE IMPORT (picker + drag-and-drop) ---
+
+const fileInput = document.getElementById('file-input');
+
+async function importSceneFile(file) {
+    try {
+        const isVox = /\.vox$/i.test(file.name);
+        const options = { defaultName: sceneNameFromFile(file.name) };
+        const doc = isVox
+            ? world.loadFromVox(await readFileAsArrayBuffer(file), options)
+            : world.loadFromJSON(await readFileAsText(file), options);
+        currentSceneId = null; // A file is a new scene until it is saved to the library
+        triggerHapticFeedback();
+        console.log(`📂 Imported ${file.name} (${doc.voxels.length} voxels)`);
+        return true;
+    } catch (e) {
+        console.error("Failed to import scene file", e);
+        alert(`Could not import "${file.name}" - your current scene was left unchanged.\n\n${e.message}`);
+        return false;
+    }
+}
+
+fileInput.onchange = () => {
+    const file = fileInput.files[0];
+    if (file) importSceneFile(file);
+};
+
+// --- SCENE LIBRARY ---
+
+const sceneLibrary = new SceneLibrary();
+const libraryModal = document.getElementById('library-modal');
+const libraryList = document.getElementById('library-list');
+const AUTOSAVE_DELAY = 3000; // ms after the last edit
+
+let currentSceneId = null; // Library record the working scene was opened from / saved to
+let sceneDirty = false;
+let autosaveTimer = null;
+
+function confirmDiscardChanges() {
+    return !sceneDirty || confirm("You have unsaved changes. Discard them?");
+}
+
+async function saveToLibrary(saveAsNew) {
+    try {
+        let name = world.sceneMetadata.name;
+        if (saveAsNew || !currentSceneId) {
+            name = prompt("Scene name:", name || "Untitled");
+            if (name === null) return false;
+            name = name.trim() || "Untitled";
+        }
+        world.sceneMetadata.name = name;
+
+        const record = await sceneLibrary.save({
+            id: saveAsNew ? null : currentSceneId,
+            name,
+            json: world.exportToJSON(),
+            thumbnail: world.renderThumbnail(),
+            voxelCount: world.voxels.size
+        });
+        currentSceneId = record.id;
+        sceneDirty = false;
+        clearTimeout(autosaveTimer);
+        await sceneLibrary.clearAutosave();
+        triggerHapticFeedback();
+        console.log(`💾 Saved "${record.name}" to library`);
+        return true;
+    } catch (e) {
+        console.error("Failed to save scene", e);
+        alert(`Could not save scene: ${e.message}`);
+        return false;
+    }
+}
+
+async function openFromLibrary(id) {
+    if (!confirmDiscardChanges()) return false;
+    try {
+        const record = await sceneLibrary.get(id);
+        if (!record) throw new Error("Scene not found.");
+        world.loadFromJSON(record.json, { name: record.name });
+        currentSceneId = record.id;
+        sceneDirty = false;
+        clearTimeout(autosaveTimer);
+        await sceneLibrary.clearAutosave();
+        hideLibrary();
+        return true;
+    } catch (e) {
+        console.error("Failed to open scene", e);
+        alert(`Could not open scene - your current scene was left unchanged.\n\n${e.message}`);
+        return false;
+    }
+}
+
+function newScene() {
+    if (!confirmDiscardChanges()) return;
+    world.reset();
+    world.sceneMetadata = {};
+    renderGroups();
+    currentSceneId = null;
+    sceneDirty = false;
+    clearTimeout(autosaveTimer);
+    sceneLibrary.clearAutosave().catch(e => console.error("Could not clear autosave", e));
+    hideLibrary();
+}
+
+function formatTimestamp(ms) {
+    return new Date(ms).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+async function renderLibrary() {
+    let scenes = [];
+    try {
+        scenes = await sceneLibrary.list();
+    } catch (e) {
+        const message = document.createElement('p');
+        message.className = 'library-empty';
+        message.textContent = `Library unavailable: ${e.message}`;
+        libraryList.replaceChildren(message);
+        return;
+    }
+
+    libraryList.innerHTML = '';
+    if (scenes.length === 0) {
+        libraryList.innerHTML = '<p class="library-empty">No saved scenes yet.</p>';
+        return;
+    }
+
+    scenes.forEach(record => {
+        const card = document.createElement('div');
+        card.className = 'library-card' + (record.id === currentSceneId ? ' current' : '');
+
+        const thumb = document.createElement(record.thumbnail ? 'img' : 'div');
+        thumb.className = 'library-thumb';
+        if (record.thumbnail) thumb.src = record.thumbnail;
+        thumb.onclick = () => openFromLibrary(record.id);
+
+        const name = document.createElement('span');
+        name.className = 'library-name';
+        name.innerText = record.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'library-meta';
+        meta.innerText = `Modified ${formatTimestamp(record.modifiedAt)} · Created ${formatTimestamp(record.createdAt)} · ${record.voxelCount} voxels`;
+
+        const actions = document.createElement('div');
+        actions.className = 'library-card-actions';
+        const addAction = (label, handler) => {
+            const button = document.createElement('button');
+            button.className = 'btn-secondary';
+            button.innerText = label;
+            // IndexedDB can fail at any point (quota, blocked or closed database)
+            button.onclick = async () => {
+                try {
+                    await handler();
+                } catch (e) {
+                    console.error(`Failed to ${label.toLowerCase()} scene`, e);
+                    alert(`Could not ${label.toLowerCase()} scene: ${e.message}`);
+                }
+            };
+            actions.appendChild(button);
+        };
+        addAction('Open', () => openFromLibrary(record.id));
+        addAction('Rename', async () => {
+            const newName = prompt("Rename scene:", record.name);
+            if (!newName || !newName.trim()) return;
+            await sceneLibrary.rename(record.id, newName.trim());
+            if (record.id === currentSceneId) world.sceneMetadata.name = newName.trim();
+        });
+        addAction('Duplicate', () => sceneLibrary.duplicate(record.id));
+        addAction('Delete', async () => {
+            if (!confirm(`Delete "${record.name}"? This cannot be undone.`)) return;
+            await sceneLibrary.delete(record.id);
+            if (record.id === currentSceneId) currentSceneId = null;
+        });
+
+        card.append(thumb, name, meta, actions);
+        libraryList.appendChild(card);
+    });
+}
+
+function showLibrary() {
+    libraryModal.style.display = 'flex';
+    renderLibrary();
+}
+
+function hideLibrary() {
+    libraryModal.style.display = 'none';
+}
+
+sceneLibrary.onChange(() => {
+    if (libraryModal.style.display !== 'none') renderLibrary();
+});
+
+document.getElementById('btn-library-save-as').onclick = () => saveToLibrary(true);
+document.getElementById('btn-library-new').onclick = () => newScene();
+document.getElementById('btn-library-close').onclick = () => hideLibrary();
+
+// Autosave the working scene shortly after each edit
+world.history.onChange(() => {
+    sceneDirty = true;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+        sceneLibrary.putAutosave({
+            sceneId: currentSceneId,
+            name: world.sceneMetadata.name,
+            json: world.exportToJSON()
+        }).catch(e => console.error("Autosave failed", e));
+    }, AUTOSAVE_DELAY);
+});
+
+// Crash recovery - an autosave left behind means the last session ended with unsaved edits
+async function recoverAutosave() {
+    try {
+        const autosave = await sceneLibrary.getAutosave();
+        if (!autosave) return;
+
+        const label = autosave.name ? `"${autosave.name}"` : "an unsaved scene";
+        if (confirm(`Recover ${label} from ${formatTimestamp(autosave.savedAt)}?`)) {
+            world.loadFromJSON(autosave.json, { name: autosave.name || undefined });
+            currentSceneId = autosave.sceneId;
+            console.log("♻️ Recovered autosaved scene");
+        } else {
+            await sceneLibrary.clearAutosave();
+            sceneDirty = false;
+        }
+    } catch (e) {
+        console.error("Could not recover autosave", e);
+    }
+}
+
+recoverAutosave();
+
+// Drop target is the whole app so it works whether or not the canvas takes pointer events
+const appRoot = document.getElementById('app');
+let dragDepth = 0;
+
+const isFileDrag = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+appRoot.addEventListener('dragenter', (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth++;
+    appRoot.classList.add('drop-active');
+});
+
+appRoot.addEventListener('dragover', (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+});
+
+appRoot.addEventListener('dragleave', (event) => {
+    if (!isFileDrag(event)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) appRoot.classList.remove('drop-active');
+});
+
+appRoot.addEventListener('drop', (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    appRoot.classList.remove('drop-active');
+
+    const file = event.dataTransfer.files[0];
+    if (file) importSceneFile(file);
+});
+
+// --- GESTURE BINDINGS EDITOR ---
+
+const bindingsModal = document.getElementById('bindings-modal');
+const bindingsList = document.getElementById('bindings-list');
+const gestureHelpList = document.getElementById('gesture-help-list');
+
+function renderBindings() {
+    bindingsList.innerHTML = '';
+    gestureDefinitions().forEach(definition => {
+        const label = document.createElement('span');
+        label.textContent = `${definition.emoji} ${definition.name}`;
+
+        // Motion gestures are one-shot, so continuous actions (rotate/zoom) don't apply;
+        // two-hand view manipulation needs both hands' positions
+        const select = document.createElement('select');
+        Object.keys(GestureBindings.ACTIONS).forEach(action => {
+            const info = GestureBindings.ACTIONS[action];
+            if (definition.motion && info.kind === 'continuous') return;
+            if (info.twoHand && !definition.twoHand) return;
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = GestureBindings.ACTIONS[action].name;
+            select.appendChild(option);
+        });
+        select.value = gestureBindings.actionFor(definition.type);
+        select.onchange = () => gestureBindings.bind(definition.type, select.value);
+
+        let remove = document.createElement('span');
+        if (definition.custom) {
+            remove = document.createElement('button');
+            remove.className = 'btn-secondary';
+            remove.textContent = 'Delete';
+            remove.onclick = () => {
+                if (!confirm(`Delete the custom gesture "${definition.name}"?`)) return;
+                gestureTrainer.deleteCustomGesture(definition.type);
+                gestureBindings.unbind(definition.type);
+            };
+        }
+        bindingsList.append(label, select, remove);
+    });
+}
+
+// "Gestures" help in the side panel mirrors the current bindings
+function renderGestureHelp() {
+    gestureHelpList.innerHTML = '';
+    gestureDefinitions().forEach(definition => {
+        const action = gestureBindings.actionFor(definition.type);
+        if (action === 'none' && definition.type !== 'OPEN_PALM') return;
+
+        const info = GestureBindings.ACTIONS[action];
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = `${definition.name}${info.kind === 'hold' && !definition.motion ? ' (hold)' : ''}:`;
+        item.append(name, ` ${action === 'none' ? 'Hover' : info.name}`);
+        gestureHelpList.appendChild(item);
+    });
+
+    const modifier = document.createElement('li');
+    const modifierName = document.createElement('strong');
+    modifierName.textContent = 'Support Fist + Place:';
+    modifier.append(modifierName, ' Erase instead');
+    gestureHelpList.appendChild(modifier);
+
+    if (buildSettings.stroke) {
+        const stroke = document.createElement('li');
+        const strokeName = document.createElement('strong');
+        strokeName.textContent = 'Keep Placing + Move:';
+        stroke.append(strokeName, ' Draw a stroke');
+        gestureHelpList.appendChild(stroke);
+    }
+}
+
+function recordCustomGesture() {
+    const name = prompt('Name your new gesture:', 'My Gesture');
+    if (!name || !name.trim()) return;
+    bindingsModal.style.display = 'none';
+    gestureTrainer.recordCustomGesture(name.trim());
+}
+
+document.getElementById('btn-gesture-bindings').onclick = () => {
+    renderBindings();
+    bindingsModal.style.display = 'flex';
+};
+document.getElementById('btn-bindings-close').onclick = () => {
+    bindingsModal.style.display = 'none';
+};
+document.getElementById('btn-bindings-reset').onclick = () => {
+    if (confirm('Reset all gesture bindings to their defaults?')) gestureBindings.reset();
+};
+document.getElementById('btn-record-gesture').onclick = recordCustomGesture;
+
+gestureBindings.onChange(() => {
+    renderBindings();
+    renderGestureHelp();
+});
+gestureTrainer.onTrained(() => {
+    renderBindings();
+    renderGestureHelp();
+});
+renderGestureHelp();
+
+// Training modal - follows the trainer's session
+function renderTraining(trainer) {
+    document.getElementById('training-modal').style.display = trainer.isTraining ? 'flex' : 'none';
+    if (!trainer.isTraining) return;
+
+    const gesture = trainer.currentGesture;
+    document.getElementById('training-emoji').innerText = gesture.emoji;
+    document.getElementById('training-gesture-name').innerText = gesture.name;
+    document.getElementById('training-description').innerText = gesture.description;
+    document.getElementById('training-step').innerText = trainer.currentGestureIndex + 1;
+    document.getElementById('training-total').innerText = trainer.gestures.length;
+    document.getElementById('training-samples').innerText = trainer.samples.length;
+
+    const progress = (trainer.samples.length / trainer.samplesPerGesture) * 100;
+    document.getElementById('training-progress-bar').style.width = `${progress}%`;
+
+    // Show finish button on last gesture
+    document.getElementById('btn-finish-training').style.display = trainer.isComplete ? 'block' : 'none';
+    document.getElementById('btn-skip-training').style.display = trainer.isComplete ? 'none' : 'block';
+}
+
+gestureTrainer.onProgress(renderTraining);
+
+// --- MOUSE / KEYBOARD FALLBACK ---
+// Left-click places (uses the active tool, or erases in erase mode), right-click removes,
+// drag/wheel go to OrbitControls
+
+const CLICK_MOVE_TOLERANCE = 5; // px - anything more is an orbit/pan drag
+let pointerDownPos = null;
+
+const pointerToNDC = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        y: 1 - ((event.clientY - rect.top) / rect.height) * 2
+    };
+};
+
+canvas.addEventListener('pointermove', (event) => {
+    if (!isMouseFallback || isPreviewMode) return;
+    const ndc = pointerToNDC(event);
+    world.setCursorMode(eraseMode ? 'erase' : 'build');
+    world.updateCursorFromHand(ndc.x, ndc.y);
+    updateToolPreview();
+});
+
+canvas.addEventListener('pointerdown', (event) => {
+    if (!isMouseFallback) return;
+    pointerDownPos = { x: event.clientX, y: event.clientY };
+});
+
+canvas.addEventListener('pointerup', (event) => {
+    if (!isMouseFallback || isPreviewMode || !pointerDownPos) return;
+    const moved = Math.hypot(event.clientX - pointerDownPos.x, event.clientY - pointerDownPos.y);
+    pointerDownPos = null;
+    if (moved > CLICK_MOVE_TOLERANCE) return;
+
+    const ndc = pointerToNDC(event);
+    world.updateCursorFromHand(ndc.x, ndc.y);
+
+    if (event.button === 0) {
+        editorActions.place();
+    } else if (event.button === 2) {
+        editorActions.remove();
+    }
+});
+
+canvas.addEventListener('contextmenu', (event) => {
+    if (isMouseFallback) event.preventDefault();
+});
+
+// global: works while hand tracking too; the rest drive the mouse-and-keyboard editor
+const KEY_BINDINGS = [
+    { key: 'z', ctrl: true, action: 'undo', global: true },
+    { key: 'z', ctrl: true, shift: true, action: 'redo', global: true },
+    { key: 'y', ctrl: true, action: 'redo', global: true },
+    { key: 's', ctrl: true, action: 'save', global: true },
+    { key: 'o', ctrl: true, action: 'load', global: true },
+    { key: 's', ctrl: true, shift: true, action: 'exportFile', global: true },
+    { key: 'o', ctrl: true, shift: true, action: 'importFile', global: true },
+    { key: 'e', ctrl: true, shift: true, action: 'export3D', global: true },
+    { key: ']', action: 'colorNext' },
+    { key: '[', action: 'colorPrev' },
+    { key: 'Delete', shift: true, action: 'clear' },
+    { key: 'Backspace', ctrl: true, action: 'clear' },
+    { key: 'h', action: 'toggleHollow' },
+    { key: 'e', action: 'toggleErase' },
+    { key: 'Escape', action: 'cancel' },
+    // 1..9, 0 pick a tool, in toolbar order
+    ...Object.keys(ShapeTools.TOOLS).map((id, i) => ({ key: String((i + 1) % 10), action: 'selectTool', args: [id] })),
+    // Selection
+    { key: 'a', ctrl: true, action: 'selectAll' },
+    { key: 'c', ctrl: true, action: 'copy' },
+    { key: 'x', ctrl: true, action: 'cut' },
+    { key: 'v', ctrl: true, action: 'paste' },
+    { key: 'g', action: 'moveSelection' },
+    { key: 'r', action: 'rotateSelection', args: ['y'] },
+    { key: 'r', shift: true, action: 'rotateSelection', args: ['x'] },
+    { key: 'm', action: 'mirrorSelection', args: ['x'] },
+    { key: 'm', shift: true, action: 'mirrorSelection', args: ['z'] },
+    { key: 'Delete', action: 'deleteSelection' },
+    { key: 'Backspace', action: 'deleteSelection' },
+    { key: 'ArrowLeft', action: 'nudgeSelection', args: [-1, 0, 0] },
+    { key: 'ArrowRight', action: 'nudgeSelection', args: [1, 0, 0] },
+    { key: 'ArrowUp', action: 'nudgeSelection', args: [0, 0, -1] },
+    { key: 'ArrowDown', action: 'nudgeSelection', args: [0, 0, 1] },
+    { key: 'PageUp', action: 'nudgeSelection', args: [0, 1, 0] },
+    { key: 'PageDown', action: 'nudgeSelection', args: [0, -1, 0] },
+    // Symmetry
+    { key: 'x', action: 'toggleMirror', args: ['x'] },
+    { key: 'y', action: 'toggleMirror', args: ['y'] },
+    { key: 'z', action: 'toggleMirror', args: ['z'] },
+    { key: 'n', action: 'cycleRadial' },
+    { key: 'c', action: 'centerSymmetry' }
+];
+
+window.addEventListener('keydown', (event) => {
+    if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+
+    const ctrl = event.ctrlKey || event.metaKey;
+    const binding = KEY_BINDINGS.find(b =>
+        b.key.toLowerCase() === event.key.toLowerCase() &&
+        !!b.ctrl === ctrl &&
+        !!b.shift === event.shiftKey
+    );
+    if (!binding || !(binding.global || isMouseFallback)) return;
+
+    event.preventDefault();
+    editorActions[binding.action](...(binding.args || []));
+});
+
+function setMouseFallback(enabled) {
+    isMouseFallback = enabled;
+    mouseFallbackToggle.checked = enabled;
+
+    // The 3D canvas only takes pointer input while the fallback is on
+    canvas.style.pointerEvents = enabled ? 'auto' : 'none';
+    world.controls.enabled = enabled;
+
+    if (enabled) {
+        finishStroke();
+        interaction.reset();
+        drawHandLandmarks(null);
+        statusHand.classList.remove('connected');
+        gestureName.innerText = "Mouse/Keys 🖱️";
+        gestureName.style.color = "white";
+        statusIcon.innerText = '🖱️';
+        trackingAccuracy.innerText = '--';
+        trackingAccuracy.style.color = 'white';
+    } else {
+        world.cursorVisible = false;
+        world.cursor.visible = false;
+    }
+    startLoop();
+}
+
+const mouseFallbackToggle = document.getElementById('mouse-fallback');
+mouseFallbackToggle.onchange = () => setMouseFallback(mouseFallbackToggle.checked);
+world.controls.enabled = false;
+
+document.getElementById('btn-start-fallback').onclick = () => {
+    startScreen.classList.add('hidden');
+    startScreen.style.display = 'none';
+    setMouseFallback(true);
+};
+
+// --- INPUT SOURCES ---
+
+const videoFileInput = document.getElementById('video-file-input');
+const imageFolderInput = document.getElementById('image-folder-input');
+
+function renderInput() {
+    document.getElementById('input-label').innerText = inputSource ? inputSource.label : '';
+    document.querySelectorAll('#input-sources [data-input]').forEach(button => {
+        button.classList.toggle('active', !!inputSource && inputSource.kind === button.dataset.input);
+    });
+}
+
+// Start `source` as the live input and get out of the way (start screen, mouse fallback)
+async function useInputSource(source) {
+    if (!(await startInputSource(source))) return false;
+    startScreen.classList.add('hidden');
+    startScreen.style.display = 'none';
+    if (isMouseFallback) setMouseFallback(false);
+    startLoop();
+    return true;
+}
+
+// Camera and synthetic hands start right away; files are picked first
+function chooseInput(kind) {
+    if (kind === 'webcam') return useInputSource(new WebcamSource(video));
+    if (kind === 'synthetic') return useInputSource(new SyntheticSource(new SyntheticHands()));
+    if (kind === 'video') videoFileInput.click();
+    if (kind === 'images') imageFolderInput.click();
+}
+
+videoFileInput.onchange = () => {
+    const file = videoFileInput.files[0];
+    if (file) useInputSource(new VideoFileSource(video, file));
+    videoFileInput.value = '';
+};
+
+imageFolderInput.onchange = () => {
+    const files = Array.from(imageFolderInput.files);
+    if (files.length > 0) useInputSource(new ImageSequenceSource(files));
+    imageFolderInput.value = '';
+};
+
+document.querySelectorAll('#input-sources [data-input], #start-sources [data-input]').forEach(button => {
+    button.onclick = () => chooseInput(button.dataset.input);
+});
+
+renderInput();
+
+// --- LANDMARK SESSIONS (record + replay) ---
+
+// Drop all gesture/hold state, e.g. when the replay jumps so a held pinch can't leak across
+function resetInteraction() {
+    gestureRecognizer.reset();
+    finishStroke();
+    interaction.reset();
+    manipulation = null;
+    depthCalibration = null;
+}
+
+const sessionRecordBtn = document.getElementById('btn-session-record');
+const sessionPlayBtn = document.getElementById('btn-session-play');
+const sessionSeek = document.getElementById('session-seek');
+const sessionSpeed = document.getElementById('session-speed');
+const sessionFileInput = document.getElementById('session-file-input');
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+function renderSession() {
+    const active = sessionPlayer.isActive;
+    document.getElementById('session-info').innerText = sessionRecorder.isRecording
+        ? '● REC'
+        : active ? `${sessionPlayer.frameIndex + 1}/${sessionPlayer.frames.length}` : '';
+
+    sessionRecordBtn.innerText = sessionRecorder.isRecording ? '⏹ Stop' : '⏺ Record';
+    sessionRecordBtn.disabled = active;
+    sessionPlayBtn.innerText = sessionPlayer.playing ? '⏸' : '▶';
+    ['btn-session-back', 'btn-session-play', 'btn-session-step', 'btn-session-live'].forEach(id => {
+        document.getElementById(id).disabled = !active;
+    });
+
+    sessionSeek.disabled = !active;
+    sessionSeek.max = sessionPlayer.duration;
+    sessionSeek.value = sessionPlayer.playhead;
+    document.getElementById('session-time').innerText = active
+        ? `${formatSeconds(sessionPlayer.playhead)} / ${formatSeconds(sessionPlayer.duration)}`
+        : '';
+}
+
+function toggleSessionRecording() {
+    if (!sessionRecorder.isRecording) {
+        if (!inputSource || !inputSource.isRunning || !inputSource.runningMode) {
+            alert("Start the camera or a video first - recording captures the detected hand landmarks.");
+            return;
+        }
+        sessionRecorder.start();
+        console.log("⏺ Recording landmarks");
+    } else {
+        const session = sessionRecorder.stop();
+        if (session) {
+            downloadText(JSON.stringify(session), sceneFileName(`session ${session.createdAt}`, '.landmarks.json'));
+            console.log(`💾 Recorded ${session.frames.length} frames (${formatSeconds(session.duration)})`);
+        }
+    }
+    renderSession();
+}
+
+async function replaySessionFile(file) {
+    try {
+        const session = parseSession(await readFileAsText(file));
+        if (sessionRecorder.isRecording) sessionRecorder.stop();
+        if (isMouseFallback) setMouseFallback(false);
+        resetInteraction();
+        sessionPlayer.load(session);
+        sessionPlayer.setSpeed(parseFloat(sessionSpeed.value));
+        await replaySource.start();
+        sessionPlayer.play();
+        startLoop();
+        console.log(`▶️ Replaying ${file.name} (${session.frames.length} frames)`);
+        return true;
+    } catch (e) {
+        console.error("Failed to load landmark session", e);
+        alert(`Could not replay "${file.name}".\n\n${e.message}`);
+        return false;
+    }
+}
+
+function stopReplay() {
+    replaySource.stop();
+    resetInteraction();
+    console.log("📷 Back to live input");
+}
+
+sessionRecordBtn.onclick = toggleSessionRecording;
+document.getElementById('btn-session-replay').onclick = () => sessionFileInput.click();
+document.getElementById('btn-session-back').onclick = () => sessionPlayer.step(-1);
+sessionPlayBtn.onclick = () => sessionPlayer.toggle();
+document.getElementById('btn-session-step').onclick = () => sessionPlayer.step(1);
+document.getElementById('btn-session-live').onclick = stopReplay;
+sessionSeek.oninput = () => sessionPlayer.seek(parseInt(sessionSeek.value, 10));
+sessionSpeed.onchange = () => sessionPlayer.setSpeed(parseFloat(sessionSpeed.value));
+
+sessionFileInput.onchange = () => {
+    const file = sessionFileInput.files[0];
+    if (file) replaySessionFile(file);
+    sessionFileInput.value = ''; // Let the same file be picked again
+};
+
+document.getElementById('btn-start-replay').onclick = () => {
+    startScreen.classList.add('hidden');
+    startScreen.style.display = 'none';
+    startLoop();
+    sessionFileInput.click();
+};
+
+sessionPlayer.onChange(renderSession);
+renderSession();
+
+// --- INITIALIZATION ---
+
+const initApp = async () => {
+    await initializeHandLandmarker();
+}
+// Start immediate init of non-webcam stuff? 
+// Actually we wait for user to click button.
+initApp();
+
+// Offline support: precache the app and its vendored runtime (see service-worker.js)
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('./service-worker.js')
+        .catch(e => console.warn("⚠️ Offline mode unavailable:", e));
+}
+
+// Only ever run one render loop, whichever input path starts it first
+let loopRunning = false;
+function startLoop() {
+    if (loopRunning) return;
+    loopRunning = true;
+    loop();
+}
+
+// ?input=synthetic starts the scripted hands straight away (demos, runs without a camera)
+if (new URLSearchParams(window.location.search).get('input') === 'synthetic') {
+    chooseInput('synthetic');
+}
+
+// One frame of HandLandmarker results (live or replayed) through recognition and interaction
+function processHandResults(results, timestamp) {
+    if (results && results.landmarks.length > 0) {
+        statusHand.classList.add('connected');
+
+        const { gesture, hand, hands, modifiers } = gestureRecognizer.update(results.landmarks, results.handedness || results.handednesses, timestamp);
+
+        // Calculate and display tracking accuracy (dominant hand's recent agreement)
+        const history = hand.gestureHistory;
+        const confidence = history.length > 0
+            ? (history.filter(g => g === gesture).length / history.length * 100).toFixed(0)
+            : 0;
+
+        trackingAccuracy.innerText = `${confidence}%`;
+        // Color code based on confidence
+        if (confidence >= 70) {
+            trackingAccuracy.style.color = '#00ff00'; // Green
+        } else if (confidence >= 50) {
+            trackingAccuracy.style.color = '#ffff00'; // Yellow
+        } else {
+            trackingAccuracy.style.color = '#ff6b6b'; // Red
+        }
+
+        updateUI(gesture);
+
+        if (!isPreviewMode) {
+            handleInteraction(gesture, hand, hands, modifiers, timestamp);
+        }
+
+        // Draw hand landmarks visualization
+        drawHandLandmarks(results.landmarks);
+
+        // Collect training samples if in training mode
+        if (gestureTrainer.isTraining) {
+            gestureTrainer.collectSample(hand.landmarks);
+        }
+    } else {
+        statusHand.classList.remove('connected');
+        depthCalibration = null; // Recalibrate depth when a hand comes back
+        finishStroke(); // A lost hand can't release its pinch
+        updateUI('NONE');
+        trackingAccuracy.innerText = '--';
+        trackingAccuracy.style.color = 'white';
+        drawHandLandmarks(null); // Clear visualization
+    }
+}
+
+// Main Loop
+async function loop() {
+    try {
+        const now = performance.now();
+
+        if (!isMouseFallback) {
+            // A loaded replay takes over from the live input until it's unloaded
+            const frame = await getHandData(sessionPlayer.isActive ? replaySource : inputSource, now);
+            if (frame) {
+                if (frame.jumped) resetInteraction(); // Replay seeked or stepped back
+                processHandResults(frame.results, frame.timestamp);
+            }
+        }
+        world.render();
+    } catch (e) {
+        console.error("Loop Error:", e);
+    }
+    requestAnimationFrame(loop);
+}
+
+// Button Listeners
+document.getElementById('btn-minimize').onclick = () => {
+    document.getElementById('controls-panel').classList.toggle('minimized');
+};
+
+const btnCheckCam = document.getElementById('btn-toggle-camera');
+let isCameraOn = true;
 
 btnCheckCam.onclick = async () => {
     isCameraOn = !isCameraOn;
 
     if (isCameraOn) {
-        const success = await startWebcam(video);
+        const success = await startInputSource(inputSource || new WebcamSource(video));
         if (success) {
             btnCheckCam.innerHTML = `
             <svg width="20" height="20" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -1070,12 +2226,7 @@ btnCheckCam.onclick = async () => {
             statusHand.innerHTML = '<span class="dot"></span> Hand Tracking';
         }
     } else {
-        if (video.srcObject) {
-            const tracks = video.srcObject.getTracks();
-            tracks.forEach(track => track.stop());
-            video.srcObject = null;
-        }
-        webcamRunning = false;
+        if (inputSource) inputSource.stop();
         btnCheckCam.innerHTML = `
         <svg width="20" height="20" fill="none" viewBox="0 0 24 24" stroke="currentColor">
              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
@@ -1093,20 +2244,15 @@ document.getElementById('btn-toggle-mode').onclick = () => {
     world.cursor.visible = !isPreviewMode;
 };
 
-document.getElementById('btn-save').onclick = () => {
-    const json = world.exportToJSON();
-    localStorage.setItem('volex_scene', json);
-    alert('Scene saved to LocalStorage!');
-};
+document.getElementById('btn-save').onclick = () => editorActions.save();
 
-document.getElementById('btn-load').onclick = () => {
-    const json = localStorage.getItem('volex_scene');
-    if (json) {
-        world.loadFromJSON(json);
-    } else {
-        alert('No saved scene found.');
-    }
-};
+document.getElementById('btn-load').onclick = () => editorActions.load();
+
+document.getElementById('btn-export-file').onclick = () => editorActions.exportFile();
+
+document.getElementById('btn-import-file').onclick = () => editorActions.importFile();
+
+document.getElementById('btn-export-3d').onclick = () => editorActions.export3D();
 
 // Button Listeners Setup
 function setupEventListeners() {
@@ -1125,7 +2271,7 @@ function setupEventListeners() {
             isCameraOn = !isCameraOn;
 
             if (isCameraOn) {
-                const success = await startWebcam(video);
+                const success = await startInputSource(inputSource || new WebcamSource(video));
                 if (success) {
                     btnCheckCam.innerHTML = `
                     <svg width="20" height="20" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -1135,12 +2281,7 @@ function setupEventListeners() {
                     statusHand.innerHTML = '<span class="dot"></span> Hand Tracking';
                 }
             } else {
-                if (video.srcObject) {
-                    const tracks = video.srcObject.getTracks();
-                    tracks.forEach(track => track.stop());
-                    video.srcObject = null;
-                }
-                webcamRunning = false;
+                if (inputSource) inputSource.stop();
                 btnCheckCam.innerHTML = `
                 <svg width="20" height="20" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                      <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
@@ -1166,10 +2307,76 @@ function setupEventListeners() {
         };
     }
 
+    const depthToggle = document.getElementById('depth-mode');
+    if (depthToggle) {
+        depthToggle.checked = depthMode;
+        depthToggle.onchange = () => {
+            depthMode = depthToggle.checked;
+            depthCalibration = null;
+            localStorage.setItem(DEPTH_MODE_KEY, String(depthMode));
+        };
+    }
+
+    // Build mode: stroke drawing on/off and the pinch hold delay (0.2..3s)
+    const strokeToggle = document.getElementById('build-stroke');
+    const delaySlider = document.getElementById('build-delay');
+    const delayValue = document.getElementById('build-delay-value');
+    if (strokeToggle && delaySlider) {
+        const showDelay = () => {
+            if (delayValue) delayValue.innerText = `${(buildSettings.delay / 1000).toFixed(1)}s`;
+        };
+        strokeToggle.checked = buildSettings.stroke;
+        delaySlider.value = buildSettings.delay;
+        showDelay();
+        strokeToggle.onchange = () => {
+            setBuildSettings({ stroke: strokeToggle.checked });
+            renderGestureHelp();
+        };
+        delaySlider.oninput = () => {
+            setBuildSettings({ delay: Number(delaySlider.value) });
+            showDelay();
+        };
+    }
+
+    // Sliders: smoothing 0..100 -> minCutoff 5..0.2 Hz, responsiveness 0..100 -> beta 0..20
+    const smoothingSlider = document.getElementById('cursor-smoothing');
+    const responsivenessSlider = document.getElementById('cursor-responsiveness');
+    if (smoothingSlider && responsivenessSlider) {
+        const { minCutoff, beta } = gestureRecognizer.cursorFilter;
+        smoothingSlider.value = Math.round((5 - minCutoff) / 4.8 * 100);
+        responsivenessSlider.value = Math.round(beta / 20 * 100);
+        smoothingSlider.oninput = () => {
+            gestureRecognizer.setCursorFilter({ minCutoff: 5 - (smoothingSlider.value / 100) * 4.8 });
+        };
+        responsivenessSlider.oninput = () => {
+            gestureRecognizer.setCursorFilter({ beta: (responsivenessSlider.value / 100) * 20 });
+        };
+    }
+
+    const dominantSelect = document.getElementById('dominant-hand');
+    if (dominantSelect) {
+        dominantSelect.value = gestureRecognizer.dominantHand;
+        dominantSelect.onchange = () => gestureRecognizer.setDominantHand(dominantSelect.value);
+    }
+
+    const classifierSelect = document.getElementById('classifier-mode');
+    if (classifierSelect) {
+        classifierSelect.value = gestureRecognizer.classifierMode;
+        classifierSelect.onchange = () => {
+            const active = gestureRecognizer.setClassifierMode(classifierSelect.value);
+            if (active === classifierSelect.value) return;
+            if (classifierSelect.value === 'rules') {
+                alert(`Rules alone can't recognize your custom gestures (${gestureRecognizer.customGestures.join(', ')}) - blending in learned recognition.`);
+            } else {
+                alert('No training data yet - using rule-based recognition. Use "Train Gestures" to enable learned recognition.');
+            }
+        };
+    }
+
     const btnSkip = document.getElementById('btn-skip-training');
     if (btnSkip) {
         btnSkip.onclick = () => {
-            gestureTrainer.hideTrainingModal();
+            gestureTrainer.cancelTraining();
         };
     }
 
@@ -1177,6 +2384,7 @@ function setupEventListeners() {
     if (btnFinish) {
         btnFinish.onclick = () => {
             gestureTrainer.finishTraining();
+            alert('✅ Training Complete! Your personalized gestures have been saved.');
         };
     }
 }
@@ -1189,12 +2397,141 @@ if (document.readyState === 'loading') {
 }
 
 // Undo/Reset
-document.getElementById('btn-reset').onclick = () => {
-    if (confirm("Clear all blocks?")) {
-        world.reset();
-    }
-};
+document.getElementById('btn-reset').onclick = () => editorActions.clear();
+
+document.getElementById('btn-undo').onclick = () => editorActions.undo();
+
+document.getElementById('btn-redo').onclick = () => editorActions.redo();
+
+// Palette panel - click a swatch to make it current
+const paletteSwatches = document.getElementById('palette-swatches');
+const paletteName = document.getElementById('palette-current-name');
+
+function renderPalette(palette) {
+    paletteSwatches.innerHTML = '';
+    palette.swatches.forEach((swatch, index) => {
+        const button = document.createElement('button');
+        const material = palette.getMaterial(swatch.material);
+        button.className = `swatch material-${swatch.material}` + (index === palette.currentIndex ? ' active' : '');
+        button.style.background = `#${swatch.color.toString(16).padStart(6, '0')}`;
+        button.title = `${swatch.name} (${material.name})`;
+        button.onclick = () => palette.select(index);
+        paletteSwatches.appendChild(button);
+    });
+    paletteName.innerText = palette.current.name;
+}
+
+world.palette.onChange(renderPalette);
+renderPalette(world.palette);
+
+// Tools panel - shape tool buttons and the hollow option
+const toolButtons = document.getElementById('tool-buttons');
+const toolHollow = document.getElementById('tool-hollow');
+
+function renderTools(tools) {
+    toolButtons.innerHTML = '';
+    Object.keys(ShapeTools.TOOLS).forEach((id, index) => {
+        const tool = ShapeTools.TOOLS[id];
+        const button = document.createElement('button');
+        button.className = 'tool-button' + (id === tools.active ? ' active' : '');
+        button.innerText = tool.emoji;
+        button.title = `${tool.name} (${index + 1})`;
+        button.onclick = () => editorActions.selectTool(id);
+        toolButtons.appendChild(button);
+    });
+    toolHollow.checked = tools.hollow;
+    toolHollow.disabled = !tools.tool.hollow;
+}
 
-document.getElementById('btn-undo').onclick = () => {
-    world.undo();
+toolHollow.onchange = () => shapeTools.setHollow(toolHollow.checked);
+shapeTools.onChange(tools => {
+    renderTools(tools);
+    lastPreviewKey = null;
+    updateToolPreview();
+});
+renderTools(shapeTools);
+
+// Selection actions + what's selected / on the clipboard
+const selectionInfo = document.getElementById('selection-info');
+const selectionButtons = document.querySelectorAll('#selection-actions [data-action]');
+
+selectionButtons.forEach(button => {
+    const args = button.dataset.arg ? [button.dataset.arg] : [];
+    button.onclick = () => editorActions[button.dataset.action](...args);
+});
+
+function renderSelection(selection) {
+    const clipboard = selection.clipboard ? selection.clipboard.voxels.length : 0;
+    selectionInfo.innerText = [
+        selection.size ? `${selection.size} selected` : '',
+        clipboard ? `📋 ${clipboard}` : ''
+    ].filter(Boolean).join(' · ');
+    selectionButtons.forEach(button => {
+        button.disabled = button.dataset.action === 'paste' ? !clipboard : selection.isEmpty;
+    });
+}
+
+world.selection.onChange(renderSelection);
+renderSelection(world.selection);
+
+// Groups (the models of an imported .vox): pick one to select what's left of it
+const groupRow = document.getElementById('group-row');
+const groupSelect = document.getElementById('selection-group');
+
+function renderGroups() {
+    const groups = world.groups;
+    groupRow.style.display = groups.length ? '' : 'none';
+    groupSelect.replaceChildren(
+        new Option('Select group...', ''),
+        ...groups.map((group, i) => new Option(`${group.name || `Group ${i + 1}`} (${Array.isArray(group.cells) ? group.cells.length : 0})`, String(i)))
+    );
+}
+
+groupSelect.onchange = () => {
+    if (groupSelect.value === '') return;
+    const count = world.selectGroup(Number(groupSelect.value));
+    console.log(`🧩 Selected ${count} blocks of group ${groupSelect.selectedOptions[0].text}`);
+    groupSelect.value = '';
 };
+
+world.history.onChange(renderGroups);
+renderGroups();
+
+// Symmetry panel - mirror toggles, radial folds, center
+const symmetryToggles = document.querySelectorAll('.symmetry-toggle');
+const symmetryRadial = document.getElementById('symmetry-radial');
+
+symmetryToggles.forEach(button => {
+    button.onclick = () => editorActions.toggleMirror(button.dataset.axis);
+});
+symmetryRadial.onchange = () => world.symmetry.setRadial(Number(symmetryRadial.value));
+document.getElementById('btn-symmetry-center').onclick = () => editorActions.centerSymmetry();
+
+function renderSymmetry(symmetry) {
+    symmetryToggles.forEach(button => button.classList.toggle('active', symmetry.mirror[button.dataset.axis]));
+    symmetryRadial.value = String(symmetry.radial);
+}
+
+world.symmetry.onChange(renderSymmetry);
+renderSymmetry(world.symmetry);
+world.updateSymmetryGizmo();
+
+// History panel - most recent entries first, undone ones dimmed
+const historyList = document.getElementById('history-list');
+const HISTORY_PANEL_SIZE = 6;
+
+function renderHistoryList(history) {
+    const entries = history.list().slice(-HISTORY_PANEL_SIZE).reverse();
+    historyList.innerHTML = '';
+    entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = entry.undone ? 'undone' : '';
+        li.innerText = entry.size > 1 ? `${entry.label} (${entry.size})` : entry.label;
+        historyList.appendChild(li);
+    });
+    document.getElementById('btn-undo').disabled = !history.canUndo();
+    document.getElementById('btn-redo').disabled = !history.canRedo();
+}
+
+world.history.onChange(renderHistoryList);
+renderHistoryList(world.history);
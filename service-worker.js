@@ -0,0 +1,126 @@
+// Service Worker
+// Lets VOLEX start with no network at all. On install it precaches the app and every
+// vendored asset listed in asset-manifest.json (written by tools/vendor-assets.mjs),
+// checking each vendored file against its SHA-384 integrity hash: one mismatch fails
+// the install and the previous version keeps serving. Without a manifest (vendor/ not
+// filled yet) the app runs from the CDNs and there is nothing to precache.
+//
+// The app's own modules are found at install time by following relative imports from
+// the entry scripts, so a new module is cached without re-running the vendor script.
+//
+// Vendored files are cache-first (their paths carry the library version, so they never
+// change in place). The app's own files are network-first so edits show up while
+// online, falling back to the cache offline.
+
+// Bump CACHE when this file changes what or how it caches, or when an app file is
+// renamed or removed: activate then drops the old cache, which nothing else prunes.
+// (Editing a module needs no bump - network-first replaces it on the next online load.)
+const CACHE = 'volex-v1';
+const MANIFEST_URL = './asset-manifest.json';
+
+// Page assets, plus the scripts the module crawl starts from (runtime.js adds script.js
+// to the page at runtime, so nothing imports it)
+const APP_FILES = ['./', 'index.html', 'style.css', 'manifest.webmanifest', 'icon.svg'];
+const APP_ENTRIES = ['runtime.js', 'script.js'];
+
+// from './x.js', import('./x.js'), new URL('./x.js', import.meta.url) (the tracking worker)
+const RELATIVE_IMPORT = /(?:\bfrom\s*|\bimport\s*\(\s*|\bnew URL\(\s*)['"](\.\.?\/[^'"]+)['"]/g;
+
+function toBase64(buffer) {
+    let binary = '';
+    new Uint8Array(buffer).forEach(byte => binary += String.fromCharCode(byte));
+    return btoa(binary);
+}
+
+async function fetchVerified(asset) {
+    const response = await fetch(asset.path, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`${asset.path}: HTTP ${response.status}`);
+    const bytes = await response.clone().arrayBuffer();
+    const actual = `sha384-${toBase64(await crypto.subtle.digest('SHA-384', bytes))}`;
+    if (actual !== asset.integrity) throw new Error(`${asset.path}: integrity check failed`);
+    return response;
+}
+
+async function fetchApp(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    return response;
+}
+
+// The page assets plus every module reachable from the entries, as [url, response]
+async function crawlApp() {
+    const scope = self.registration.scope;
+    const found = new Map();
+    const visit = async (url) => {
+        if (found.has(url)) return;
+        found.set(url, null);
+        const response = await fetchApp(url);
+        found.set(url, response.clone());
+        const source = await response.text();
+        const imports = Array.from(source.matchAll(RELATIVE_IMPORT), match => new URL(match[1], url).href);
+        await Promise.all(imports.map(visit));
+    };
+    await Promise.all([
+        ...APP_FILES.map(async path => found.set(new URL(path, scope).href, await fetchApp(new URL(path, scope).href))),
+        ...APP_ENTRIES.map(entry => visit(new URL(entry, scope).href))
+    ]);
+    return Array.from(found);
+}
+
+async function precache() {
+    const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+    if (!response.ok) {
+        console.log(`📦 No asset manifest (${response.status}): running from the CDNs, nothing cached for offline use`);
+        return;
+    }
+    const manifest = await response.clone().json();
+
+    // Fetch and verify everything before caching anything
+    const assets = await Promise.all(manifest.assets.map(async asset => [asset.path, await fetchVerified(asset)]));
+    const app = await crawlApp();
+    const cache = await caches.open(CACHE);
+    await Promise.all([...assets, ...app].map(([url, fileResponse]) => cache.put(url, fileResponse)));
+    await cache.put(MANIFEST_URL, response);
+    console.log(`📦 Cached ${assets.length} assets and ${app.length} app files for offline use`);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith('volex-') && name !== CACHE).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) (await caches.open(CACHE)).put(request, response.clone());
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) (await caches.open(CACHE)).put(request, response.clone());
+        return response;
+    } catch (e) {
+        // ?input=synthetic and friends are still the same page
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const vendored = url.pathname.startsWith(new URL('./vendor/', self.registration.scope).pathname);
+    event.respondWith(vendored ? cacheFirst(event.request) : networkFirst(event.request));
+});
@@ -0,0 +1,104 @@
+// Synthetic Hands
+// Scripted hands that produce HandLandmarker-shaped results without a camera or a
+// model, for demos and for driving the gesture pipeline in automated runs.
+//
+// A track is one hand following keyframes:
+//   { side: 'Right', keys: [{ t, x, y, size, pose }] }
+// t: ms from the start, x/y: wrist position in (unmirrored) image coords 0..1,
+// size: wrist -> middle knuckle length, pose: 'OPEN_PALM' | 'PINCH' | 'CLOSED' | null (hand absent).
+// Position and size ease linearly between keys; the pose switches at each key.
+
+// Hand layout in palm units (u: across the palm, thumb side negative for a left hand; v: up the fingers)
+const KNUCKLES = { index: [-0.3, 0.95], middle: [0, 1], ring: [0.25, 0.95], pinky: [0.48, 0.85] };
+const FINGER_LENGTH = { index: 1, middle: 1.05, ring: 1, pinky: 0.8 };
+const THUMB = {
+    open: [[-0.35, 0.25], [-0.6, 0.45], [-0.8, 0.65], [-0.95, 0.85]],
+    pinch: [[-0.35, 0.25], [-0.55, 0.5], [-0.55, 0.75], [-0.45, 0.95]],
+    curled: [[-0.3, 0.25], [-0.45, 0.45], [-0.45, 0.6], [-0.2, 0.6]]
+};
+// Joint offsets from the knuckle (PIP, DIP, tip) for a straight and a folded finger
+const STRAIGHT = [[0, 0.4], [0, 0.65], [0, 0.85]];
+const FOLDED = [[0, 0.25], [0, -0.05], [0, -0.3]];
+const PINCH_INDEX = [[-0.05, 0.35], [-0.15, 0.25], [-0.12, 0.02]];
+
+// 21 landmarks for a hand in `pose` with the wrist at (x, y)
+function handPose(pose, { x = 0.5, y = 0.7, size = 0.12, side = 'Right' } = {}) {
+    // A right hand facing the camera has its thumb toward larger x in the raw frame
+    const flip = side === 'Right' ? -1 : 1;
+    const point = ([u, v]) => ({ x: x + u * size * flip, y: y - v * size, z: 0 });
+    const offset = ([ku, kv], [u, v], scale = 1) => [ku + u * scale, kv + v * scale];
+
+    const thumb = pose === 'CLOSED' ? THUMB.curled : pose === 'PINCH' ? THUMB.pinch : THUMB.open;
+    const points = [point([0, 0]), ...thumb.map(point)];
+
+    Object.keys(KNUCKLES).forEach(finger => {
+        const knuckle = KNUCKLES[finger];
+        let joints = pose === 'CLOSED' ? FOLDED : STRAIGHT;
+        if (pose === 'PINCH' && finger === 'index') joints = PINCH_INDEX;
+        points.push(point(knuckle), ...joints.map(joint => point(offset(knuckle, joint, FINGER_LENGTH[finger]))));
+    });
+    return points;
+}
+
+// Eight seconds of the basics: hover, pinch-hold to build, move, build again, fist to rotate
+const DEMO_TRACKS = [{
+    side: 'Right',
+    keys: [
+        { t: 0, x: 0.45, y: 0.75, size: 0.12, pose: 'OPEN_PALM' },
+        { t: 1000, x: 0.5, y: 0.7, size: 0.12, pose: 'PINCH' },
+        { t: 2800, x: 0.5, y: 0.7, size: 0.12, pose: 'OPEN_PALM' },
+        { t: 3800, x: 0.4, y: 0.72, size: 0.12, pose: 'PINCH' },
+        { t: 5600, x: 0.4, y: 0.72, size: 0.12, pose: 'CLOSED' },
+        { t: 7000, x: 0.55, y: 0.72, size: 0.12, pose: 'OPEN_PALM' },
+        { t: 8000, x: 0.45, y: 0.75, size: 0.12, pose: 'OPEN_PALM' }
+    ]
+}];
+
+const lerp = (a, b, k) => a + (b - a) * k;
+
+class SyntheticHands {
+
+    constructor({ tracks = DEMO_TRACKS, loop = true } = {}) {
+        this.tracks = tracks;
+        this.loop = loop;
+    }
+
+    get duration() {
+        return Math.max(0, ...this.tracks.map(track => track.keys[track.keys.length - 1].t));
+    }
+
+    // Where a track is at time t: { x, y, size, pose } (pose null when the hand is absent)
+    sample(track, t) {
+        const keys = track.keys;
+        let i = 0;
+        while (i + 1 < keys.length && keys[i + 1].t <= t) i++;
+        const key = keys[i];
+        const next = keys[i + 1];
+        if (!next || t <= key.t) return { ...key };
+
+        const k = (t - key.t) / (next.t - key.t);
+        return { ...key, x: lerp(key.x, next.x, k), y: lerp(key.y, next.y, k), size: lerp(key.size, next.size, k) };
+    }
+
+    // HandLandmarkerResult-shaped results at `time` ms from the start
+    frameAt(time) {
+        const duration = this.duration;
+        const t = this.loop && duration > 0 ? time % duration : time;
+
+        const results = { landmarks: [], worldLandmarks: [], handedness: [] };
+        this.tracks.forEach((track, index) => {
+            const state = this.sample(track, t);
+            if (!state.pose) return;
+            results.landmarks.push(handPose(state.pose, { ...state, side: track.side }));
+            // MediaPipe labels hands as seen in a mirrored selfie
+            const label = track.side === 'Right' ? 'Left' : 'Right';
+            results.handedness.push([{ score: 1, index, categoryName: label, displayName: label }]);
+        });
+        return results;
+    }
+}
+
+SyntheticHands.DEMO_TRACKS = DEMO_TRACKS;
+SyntheticHands.handPose = handPose;
+
+export default SyntheticHands;
@@ -0,0 +1,116 @@
+// Test Fixtures
+// Landmark poses beyond SyntheticHands' three, built from its hand layout, recorded
+// landmark sessions of scripted hands, and the storage and training helpers the
+// suites share.
+import SyntheticHands from '../synthetic-hands.js';
+import { SessionRecorder, parseSession } from '../landmark-session.js';
+
+const { handPose } = SyntheticHands;
+
+// --- POSES ---
+
+// Landmark i from pose `from`, everything else from `base`
+function mix(base, from, indices, options) {
+    const a = handPose(base, options);
+    const b = handPose(from, options);
+    return a.map((point, i) => (indices.includes(i) ? b[i] : point));
+}
+
+const THUMB = [1, 2, 3, 4];
+const INDEX_MIDDLE = [5, 6, 7, 8, 9, 10, 11, 12];
+
+// Index and middle up, ring and pinky folded, thumb loose
+function victoryPose(options) {
+    return mix('CLOSED', 'OPEN_PALM', [...THUMB, ...INDEX_MIDDLE], options);
+}
+
+// Fist with the thumb pointing straight up
+function thumbsUpPose({ x = 0.5, y = 0.7, size = 0.12, side = 'Right' } = {}) {
+    const flip = side === 'Right' ? -1 : 1;
+    const points = handPose('CLOSED', { x, y, size, side });
+    [[-0.35, 0.3], [-0.5, 0.6], [-0.55, 0.9], [-0.6, 1.2]].forEach(([u, v], i) => {
+        points[1 + i] = { x: x + u * size * flip, y: y - v * size, z: 0 };
+    });
+    return points;
+}
+
+// Four fingers up, thumb folded across the palm: the rules read it as an open palm
+function fourPose(options) {
+    return mix('OPEN_PALM', 'CLOSED', THUMB, options);
+}
+
+const POSES = {
+    OPEN_PALM: options => handPose('OPEN_PALM', options),
+    PINCH: options => handPose('PINCH', options),
+    CLOSED: options => handPose('CLOSED', options),
+    VICTORY: victoryPose,
+    THUMBS_UP: thumbsUpPose
+};
+
+// --- RECORDED SESSIONS ---
+
+// Record scripted hands at 30 fps into a landmark session file, then read it back as
+// the replay input would: the frames go through the same rounding and validation
+function recordSession(tracks, { fps = 30 } = {}) {
+    const hands = new SyntheticHands({ tracks, loop: false });
+    const recorder = new SessionRecorder();
+    recorder.start();
+    for (let t = 0; t <= hands.duration; t += 1000 / fps) recorder.push(hands.frameAt(t), t);
+    return parseSession(JSON.stringify(recorder.stop()));
+}
+
+// Every result a recognizer produces while a session plays
+function replay(recognizer, session) {
+    return session.frames.map(frame => recognizer.update(frame.landmarks, frame.handedness, frame.t));
+}
+
+// Keyframes for an open hand that rests, moves through `path` (wrist positions in raw
+// image coords) over `duration` ms, then rests again
+function motionTrack(path, { duration = 400, pose = 'OPEN_PALM', side = 'Right', size = 0.12, rest = 400 } = {}) {
+    const keys = [{ t: 0, ...path[0], size, pose }];
+    path.forEach((point, i) => keys.push({ t: rest + (duration * i) / (path.length - 1), ...point, size, pose }));
+    keys.push({ t: rest * 2 + duration, ...path[path.length - 1], size, pose });
+    return [{ side, keys }];
+}
+
+// --- STORAGE AND TRAINING ---
+
+// getItem/setItem over a Map, optionally pre-filled
+function memoryStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        items
+    };
+}
+
+// Slightly different placements of one pose, as a hand drifts while holding it
+function samplesOf(pose, count) {
+    return Array.from({ length: count }, (_, i) => pose({ x: 0.45 + i * 0.01, y: 0.7 - i * 0.005, size: 0.11 + i * 0.002 }));
+}
+
+// Run a full training session over the built-in gestures, as the training modal does
+function trainBuiltins(trainer) {
+    const poses = { OPEN_PALM: POSES.OPEN_PALM, CLOSED: POSES.CLOSED, PINCH: POSES.PINCH, PEACE: victoryPose };
+    trainer.startTraining();
+    trainer.gestures.forEach((gesture, i) => {
+        samplesOf(poses[gesture.type], trainer.samplesPerGesture).forEach(sample => trainer.collectSample(sample));
+        if (i < trainer.gestures.length - 1) trainer.nextGesture();
+    });
+    trainer.finishTraining();
+}
+
+// Record a custom gesture the same way
+function trainCustom(trainer, name, pose) {
+    trainer.recordCustomGesture(name);
+    samplesOf(pose, trainer.samplesPerGesture).forEach(sample => trainer.collectSample(sample));
+    trainer.finishTraining();
+}
+
+export {
+    POSES, victoryPose, thumbsUpPose, fourPose,
+    recordSession, replay, motionTrack,
+    memoryStorage, samplesOf, trainBuiltins, trainCustom
+};
@@ -0,0 +1,53 @@
+// Gesture Classifiers
+// Custom gestures against the rule-based, learned and blended classifiers, trained
+// through GestureTrainer exactly as the training modal does.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import GestureTrainer from '../gesture-trainer.js';
+import GestureRecognizer from '../gesture-recognizer.js';
+import SyntheticHands from '../synthetic-hands.js';
+import { RuleBasedClassifier } from '../gesture-classifiers.js';
+import { fourPose, memoryStorage, trainBuiltins, trainCustom } from './fixtures.mjs';
+
+const { handPose } = SyntheticHands;
+
+// Feed the same pose until the recognizer's history settles
+function settle(recognizer, landmarks, frames = 12) {
+    let result = null;
+    for (let i = 0; i < frames; i++) result = recognizer.update([landmarks], [], i * 33);
+    return result;
+}
+
+function trainedRecognizer(classifierMode) {
+    const trainer = new GestureTrainer({ storage: memoryStorage() });
+    trainBuiltins(trainer);
+    trainCustom(trainer, 'Four', fourPose);
+    return new GestureRecognizer(trainer, { classifierMode });
+}
+
+test('the rules mistake the custom pose for a built-in one', () => {
+    assert.equal(new RuleBasedClassifier().classify(fourPose()).gesture, 'OPEN_PALM');
+});
+
+test('blend mode recognizes a trained custom gesture', () => {
+    const recognizer = trainedRecognizer('blend');
+    assert.deepEqual(recognizer.customGestures, ['CUSTOM_FOUR']);
+    assert.equal(settle(recognizer, fourPose()).gesture, 'CUSTOM_FOUR');
+    assert.equal(settle(recognizer, handPose('OPEN_PALM')).gesture, 'OPEN_PALM');
+});
+
+test('rules mode blends in the learned classifier once custom gestures exist', () => {
+    const recognizer = trainedRecognizer('rules');
+    assert.equal(recognizer.classifier.name, recognizer.blended.name);
+    assert.equal(recognizer.setClassifierMode('rules'), recognizer.blended.name);
+    assert.equal(settle(recognizer, fourPose()).gesture, 'CUSTOM_FOUR');
+});
+
+test('rules mode stays on the rules without custom gestures', () => {
+    const trainer = new GestureTrainer({ storage: memoryStorage() });
+    trainBuiltins(trainer);
+    const recognizer = new GestureRecognizer(trainer, { classifierMode: 'rules' });
+    assert.equal(recognizer.classifier, recognizer.rules);
+    assert.equal(settle(recognizer, handPose('PINCH')).gesture, 'PINCH');
+});
@@ -0,0 +1,123 @@
+// Gesture Recognizer
+// Static, two-hand and motion gestures from recorded sessions of scripted hands,
+// on the rule-based classifier (no training data).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import GestureRecognizer from '../gesture-recognizer.js';
+import { POSES, recordSession, replay, motionTrack } from './fixtures.mjs';
+
+// The gesture reported once the recognizer's history has settled
+function settled(results) {
+    return results[results.length - 1].gesture;
+}
+
+function holding(pose, side = 'Right', x = 0.5) {
+    return { side, keys: [{ t: 0, x, y: 0.7, size: 0.12, pose }, { t: 600, x, y: 0.7, size: 0.12, pose }] };
+}
+
+// Every distinct gesture seen while the session played
+function seen(results) {
+    return new Set(results.map(result => result.gesture));
+}
+
+// --- STATIC ---
+
+['OPEN_PALM', 'PINCH', 'CLOSED'].forEach(pose => {
+    test(`recognizes ${pose} from a recorded session`, () => {
+        const results = replay(new GestureRecognizer(), recordSession([holding(pose)]));
+        assert.equal(settled(results), pose);
+        assert.equal(results[results.length - 1].hand.side, 'Right');
+    });
+});
+
+// SyntheticHands only scripts three poses; the others are fed as landmarks directly
+['VICTORY', 'THUMBS_UP'].forEach(pose => {
+    test(`recognizes ${pose} from fixture landmarks`, () => {
+        const recognizer = new GestureRecognizer();
+        let result = null;
+        for (let i = 0; i < 12; i++) result = recognizer.update([POSES[pose]()], [], i * 33);
+        assert.equal(result.gesture, pose);
+    });
+});
+
+test('no hands reports NONE and forgets the hand', () => {
+    const recognizer = new GestureRecognizer();
+    replay(recognizer, recordSession([holding('PINCH')]));
+    assert.deepEqual(recognizer.update([], [], 1000), { gesture: 'NONE', hand: null });
+    assert.equal(recognizer.handStates.Right.lastStableGesture, 'NONE');
+});
+
+// --- TWO HANDS ---
+
+[
+    ['TWO_HAND_PINCH', 'PINCH', 'PINCH'],
+    ['ZOOM_IN', 'CLOSED', 'CLOSED'],
+    ['ZOOM_OUT', 'CLOSED', 'OPEN_PALM'],
+    ['ZOOM_OUT', 'OPEN_PALM', 'CLOSED']
+].forEach(([gesture, right, left]) => {
+    test(`recognizes ${gesture} from a right ${right} and a left ${left}`, () => {
+        const session = recordSession([holding(right, 'Right', 0.3), holding(left, 'Left', 0.7)]);
+        const result = replay(new GestureRecognizer(), session).pop();
+        assert.equal(result.gesture, gesture);
+        assert.equal(result.hand.side, 'Right');
+        assert.equal(result.support.side, 'Left');
+    });
+});
+
+test('a support-hand fist turns on the erase modifier', () => {
+    const session = recordSession([holding('OPEN_PALM', 'Right', 0.3), holding('CLOSED', 'Left', 0.7)]);
+    assert.equal(replay(new GestureRecognizer(), session).pop().modifiers.erase, true);
+
+    // Left-handed, the fist is the dominant hand and the support hand is open
+    const result = replay(new GestureRecognizer(null, { dominantHand: 'Left' }), session).pop();
+    assert.equal(result.hand.side, 'Left');
+    assert.equal(result.modifiers.erase, false);
+});
+
+// --- MOTION ---
+
+// Wrist paths in raw camera coordinates: the preview is mirrored, so moving toward
+// larger x is a swipe to the user's left
+const LINES = {
+    LEFT: [{ x: 0.35, y: 0.6 }, { x: 0.65, y: 0.6 }],
+    RIGHT: [{ x: 0.65, y: 0.6 }, { x: 0.35, y: 0.6 }],
+    UP: [{ x: 0.5, y: 0.75 }, { x: 0.5, y: 0.45 }],
+    DOWN: [{ x: 0.5, y: 0.45 }, { x: 0.5, y: 0.75 }]
+};
+
+// direction 1 turns clockwise in the raw frame, which the mirror shows counter-clockwise
+function circle(direction) {
+    return Array.from({ length: 17 }, (_, i) => {
+        const angle = direction * (i / 16) * Math.PI * 2;
+        return { x: 0.5 + 0.1 * Math.cos(angle), y: 0.6 + 0.1 * Math.sin(angle) };
+    });
+}
+
+Object.entries(LINES).forEach(([direction, path]) => {
+    test(`recognizes SWIPE_${direction}`, () => {
+        const gestures = seen(replay(new GestureRecognizer(), recordSession(motionTrack(path))));
+        assert.ok(gestures.has(`SWIPE_${direction}`), [...gestures].join(', '));
+        assert.ok(!gestures.has(`FLICK_${direction}`));
+    });
+
+    test(`recognizes FLICK_${direction}`, () => {
+        const gestures = seen(replay(new GestureRecognizer(), recordSession(motionTrack(path, { duration: 120 }))));
+        assert.ok(gestures.has(`FLICK_${direction}`), [...gestures].join(', '));
+    });
+});
+
+[['CIRCLE_CW', -1], ['CIRCLE_CCW', 1]].forEach(([gesture, direction]) => {
+    test(`recognizes ${gesture}`, () => {
+        const session = recordSession(motionTrack(circle(direction), { duration: 900 }));
+        const results = replay(new GestureRecognizer(), session);
+        const match = results.find(result => result.gesture === gesture);
+        assert.ok(match, [...seen(results)].join(', '));
+        assert.equal(match.motion.gesture, gesture);
+    });
+});
+
+test('motion gestures only count from an open hand', () => {
+    const session = recordSession(motionTrack(LINES.LEFT, { pose: 'CLOSED' }));
+    assert.deepEqual([...seen(replay(new GestureRecognizer(), session))], ['CLOSED']);
+});
@@ -0,0 +1,140 @@
+// Gesture Trainer
+// Training sessions, custom gestures and persistence through an injected storage.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import GestureTrainer from '../gesture-trainer.js';
+import { POSES, fourPose, memoryStorage, samplesOf, trainBuiltins, trainCustom } from './fixtures.mjs';
+
+const STORAGE_KEY = 'volex_gesture_training';
+
+const stored = (storage) => JSON.parse(storage.getItem(STORAGE_KEY));
+
+test('runs without any storage', () => {
+    const trainer = new GestureTrainer({ storage: null });
+    trainBuiltins(trainer);
+    assert.deepEqual(Object.keys(trainer.getSamplesByType()).sort(), ['CLOSED', 'OPEN_PALM', 'PINCH', 'VICTORY']);
+});
+
+test('loads earlier training data from storage', () => {
+    const data = { PINCH: [{ landmarks: POSES.PINCH(), timestamp: 1 }], thresholds: { pinch: 0.04 } };
+    const trainer = new GestureTrainer({ storage: memoryStorage({ [STORAGE_KEY]: JSON.stringify(data) }) });
+    assert.equal(trainer.getPersonalizedThreshold('pinch'), 0.04);
+    assert.equal(trainer.getPersonalizedThreshold('fist'), null);
+    assert.equal(trainer.getSamplesByType().PINCH.length, 1);
+});
+
+test('a session walks through every built-in gesture and saves on finish', () => {
+    const storage = memoryStorage();
+    const trainer = new GestureTrainer({ storage });
+    const progress = [];
+    trainer.onProgress(t => progress.push(t.isTraining));
+    let trained = 0;
+    trainer.onTrained(() => trained++);
+
+    trainer.startTraining();
+    assert.equal(trainer.currentGesture.type, 'OPEN_PALM');
+    samplesOf(POSES.OPEN_PALM, trainer.samplesPerGesture).forEach(sample => trainer.collectSample(sample));
+    assert.equal(trainer.isComplete, false);
+    trainer.nextGesture();
+    assert.equal(trainer.currentGesture.type, 'CLOSED');
+    assert.equal(storage.getItem(STORAGE_KEY), null); // Nothing saved mid-session
+
+    trainer.cancelTraining();
+    assert.equal(trainer.isTraining, false);
+    assert.equal(trained, 0);
+
+    trainBuiltins(trainer);
+    assert.equal(trained, 1);
+    assert.equal(progress.at(-1), false);
+    const data = stored(storage);
+    ['OPEN_PALM', 'CLOSED', 'PINCH', 'PEACE'].forEach(type => assert.equal(data[type].length, trainer.samplesPerGesture));
+});
+
+test('samples beyond the per-gesture count are dropped', () => {
+    const trainer = new GestureTrainer({ storage: null });
+    trainer.startTraining();
+    samplesOf(POSES.OPEN_PALM, trainer.samplesPerGesture + 3).forEach(sample => trainer.collectSample(sample));
+    assert.equal(trainer.samples.length, trainer.samplesPerGesture);
+});
+
+test('samples are ignored outside a session and copied inside one', () => {
+    const trainer = new GestureTrainer({ storage: null });
+    trainer.collectSample(POSES.PINCH());
+    assert.equal(trainer.samples.length, 0);
+
+    const landmarks = POSES.PINCH();
+    trainer.startTraining();
+    trainer.collectSample(landmarks);
+    landmarks[0].x = 99;
+    assert.notEqual(trainer.samples[0].landmarks[0].x, 99);
+});
+
+test('a full set of samples advances to the next gesture on its own', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const trainer = new GestureTrainer({ storage: null });
+    trainer.startTraining();
+    samplesOf(POSES.OPEN_PALM, trainer.samplesPerGesture).forEach(sample => trainer.collectSample(sample));
+    assert.equal(trainer.currentGesture.type, 'OPEN_PALM');
+    t.mock.timers.tick(500);
+    assert.equal(trainer.currentGesture.type, 'CLOSED');
+    assert.equal(trainer.samples.length, 0);
+});
+
+test('the pinch threshold is learned from pinch samples', () => {
+    const trainer = new GestureTrainer({ storage: null });
+    trainBuiltins(trainer);
+    const widest = Math.max(...trainer.trainingData.PINCH.map(({ landmarks }) => {
+        const [thumb, index] = [landmarks[4], landmarks[8]];
+        return Math.hypot(thumb.x - index.x, thumb.y - index.y, thumb.z - index.z);
+    }));
+    assert.ok(Math.abs(trainer.getPersonalizedThreshold('pinch') - widest * 1.2) < 1e-12);
+});
+
+test('PEACE samples are reported as VICTORY, the recognizer\'s name for it', () => {
+    const trainer = new GestureTrainer({ storage: null });
+    trainBuiltins(trainer);
+    const byType = trainer.getSamplesByType();
+    assert.equal(byType.PEACE, undefined);
+    assert.equal(byType.VICTORY.length, trainer.samplesPerGesture);
+    assert.equal(byType.VICTORY[0].length, 21);
+});
+
+// --- CUSTOM GESTURES ---
+
+test('custom gestures get unique CUSTOM_ types and persist', () => {
+    const storage = memoryStorage();
+    const trainer = new GestureTrainer({ storage });
+    trainCustom(trainer, 'Four fingers!', fourPose);
+    trainCustom(trainer, 'four fingers', fourPose);
+
+    assert.deepEqual(trainer.getCustomGestures().map(g => g.type), ['CUSTOM_FOUR_FINGERS', 'CUSTOM_FOUR_FINGERS_2']);
+    assert.equal(trainer.getCustomGestures()[0].name, 'Four fingers!');
+
+    const reloaded = new GestureTrainer({ storage });
+    assert.equal(reloaded.getCustomGestures().length, 2);
+    assert.equal(reloaded.getSamplesByType().CUSTOM_FOUR_FINGERS_2.length, trainer.samplesPerGesture);
+});
+
+test('a cancelled custom recording is not kept', () => {
+    const trainer = new GestureTrainer({ storage: null });
+    trainer.recordCustomGesture('Wave');
+    trainer.collectSample(fourPose());
+    trainer.cancelTraining();
+    trainBuiltins(trainer);
+    assert.deepEqual(trainer.getCustomGestures(), []);
+});
+
+test('deleting a custom gesture removes its samples', () => {
+    const storage = memoryStorage();
+    const trainer = new GestureTrainer({ storage });
+    trainCustom(trainer, 'Four', fourPose);
+    let trained = 0;
+    trainer.onTrained(() => trained++);
+
+    trainer.deleteCustomGesture('CUSTOM_FOUR');
+    assert.equal(trained, 1);
+    assert.deepEqual(trainer.getCustomGestures(), []);
+    assert.equal(trainer.getSamplesByType().CUSTOM_FOUR, undefined);
+    assert.equal(stored(storage).CUSTOM_FOUR, undefined);
+});
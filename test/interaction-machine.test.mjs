@@ -0,0 +1,184 @@
+// Interaction State Machine
+// Every transition, driven frame by frame on explicit timestamps.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import InteractionMachine from '../interaction-machine.js';
+
+const ORIGIN = { x: 0, y: 0 };
+
+// One frame of a held (bound) gesture
+const hold = (action, now, point = ORIGIN) => ({ action, kind: 'hold', point, now });
+const release = (now, point = ORIGIN) => ({ action: 'none', kind: 'none', point, now });
+
+// --- HOLDING ---
+
+test('a hold gesture starts HOLD_WAIT and counts up from its first frame', () => {
+    const machine = new InteractionMachine();
+    assert.deepEqual(machine.step(hold('place', 1000)), { type: 'hold', action: 'place', elapsed: 0 });
+    assert.equal(machine.state, 'HOLD_WAIT');
+    assert.deepEqual(machine.step(hold('place', 1250)), { type: 'hold', action: 'place', elapsed: 250 });
+});
+
+test('switching to another hold action restarts the countdown', () => {
+    const machine = new InteractionMachine();
+    machine.step(hold('place', 0));
+    machine.step(hold('place', 400));
+    assert.deepEqual(machine.step(hold('undo', 500)), { type: 'hold', action: 'undo', elapsed: 0 });
+    assert.equal(machine.holdAction, 'undo');
+});
+
+test('HOLD_WAIT -> HOLD_COMPLETE stays complete until the gesture is released', () => {
+    const machine = new InteractionMachine();
+    machine.step(hold('undo', 0));
+    machine.complete();
+    assert.equal(machine.state, 'HOLD_COMPLETE');
+    assert.deepEqual(machine.step(hold('undo', 900)), { type: 'complete', action: 'undo' });
+    assert.deepEqual(machine.step(hold('undo', 2000)), { type: 'complete', action: 'undo' });
+
+    assert.deepEqual(machine.step(release(2100)), { type: 'idle' });
+    assert.equal(machine.state, 'IDLE');
+    assert.equal(machine.holdAction, null);
+    assert.equal(machine.step(hold('undo', 2200)).type, 'hold');
+});
+
+test('HOLD_WAIT -> DRAWING keeps drawing until stopped or released', () => {
+    const machine = new InteractionMachine();
+    machine.step(hold('place', 0));
+    machine.startDrawing();
+    assert.equal(machine.state, 'DRAWING');
+    assert.deepEqual(machine.step(hold('place', 600)), { type: 'drawing' });
+
+    machine.stopDrawing();
+    assert.equal(machine.state, 'IDLE');
+    assert.equal(machine.step(hold('place', 700)).type, 'hold');
+
+    machine.startDrawing();
+    assert.deepEqual(machine.step(release(800)), { type: 'idle' });
+    assert.equal(machine.state, 'IDLE');
+});
+
+test('stopDrawing outside DRAWING changes nothing', () => {
+    const machine = new InteractionMachine();
+    machine.step(hold('place', 0));
+    machine.stopDrawing();
+    assert.equal(machine.state, 'HOLD_WAIT');
+});
+
+test('a different hold action while drawing starts a new countdown', () => {
+    const machine = new InteractionMachine();
+    machine.step(hold('place', 0));
+    machine.startDrawing();
+    assert.deepEqual(machine.step(hold('remove', 100)), { type: 'hold', action: 'remove', elapsed: 0 });
+    assert.equal(machine.state, 'HOLD_WAIT');
+});
+
+// --- VIEW GESTURES ---
+
+test('rotate reports the cursor delta since the previous frame', () => {
+    const machine = new InteractionMachine();
+    const rotate = (x, y, now) => machine.step({ action: 'rotate', kind: 'continuous', point: { x, y }, now });
+    assert.deepEqual(rotate(0.1, 0.2, 0), { type: 'rotate', delta: { x: 0, y: 0 } });
+    assert.equal(machine.state, 'ROTATING');
+    const { delta } = rotate(0.3, 0.1, 33);
+    assert.ok(Math.abs(delta.x - 0.2) < 1e-9 && Math.abs(delta.y + 0.1) < 1e-9);
+});
+
+test('zoom gestures enter ZOOMING', () => {
+    const machine = new InteractionMachine();
+    assert.deepEqual(machine.step({ action: 'zoomIn', kind: 'continuous', point: ORIGIN, now: 0 }), { type: 'zoom' });
+    assert.equal(machine.state, 'ZOOMING');
+    assert.deepEqual(machine.step({ action: 'zoomOut', kind: 'continuous', point: ORIGIN, now: 33 }), { type: 'zoom' });
+});
+
+test('manipulate needs two hands and asks for a new baseline only on entry', () => {
+    const machine = new InteractionMachine();
+    const manipulate = (now, twoHands = true) => machine.step({ action: 'manipulate', kind: 'continuous', point: ORIGIN, twoHands, now });
+    assert.deepEqual(manipulate(0), { type: 'manipulate', start: true });
+    assert.equal(machine.state, 'MANIPULATING');
+    assert.deepEqual(manipulate(33), { type: 'manipulate', start: false });
+
+    assert.deepEqual(manipulate(66, false), { type: 'idle' });
+    assert.equal(machine.state, 'IDLE');
+    assert.deepEqual(manipulate(99), { type: 'manipulate', start: true });
+});
+
+test('view gestures interrupt a hold', () => {
+    const machine = new InteractionMachine();
+    machine.step(hold('place', 0));
+    machine.step({ action: 'zoomIn', kind: 'continuous', point: ORIGIN, now: 100 });
+    assert.equal(machine.state, 'ZOOMING');
+});
+
+// --- DEBOUNCE ---
+
+['rotate', 'zoomIn', 'manipulate'].forEach(action => {
+    test(`a hold right after ${action} is ignored until the debounce passes`, () => {
+        const machine = new InteractionMachine({ debounce: 300 });
+        const viewState = machine.state;
+        machine.step({ action, kind: 'continuous', point: ORIGIN, twoHands: true, now: 1000 });
+        const state = machine.state;
+        assert.notEqual(state, viewState);
+
+        assert.deepEqual(machine.step(hold('place', 1100)), { type: 'ignore' });
+        assert.deepEqual(machine.step(hold('place', 1299)), { type: 'ignore' });
+        assert.equal(machine.state, state);
+
+        assert.deepEqual(machine.step(hold('place', 1300)), { type: 'hold', action: 'place', elapsed: 0 });
+        assert.equal(machine.state, 'HOLD_WAIT');
+    });
+});
+
+test('the debounce counts from the last view frame, not the first', () => {
+    const machine = new InteractionMachine({ debounce: 300 });
+    [0, 200, 400].forEach(now => machine.step({ action: 'rotate', kind: 'continuous', point: ORIGIN, now }));
+    assert.equal(machine.step(hold('place', 600)).type, 'ignore');
+    assert.equal(machine.step(hold('place', 700)).type, 'hold');
+});
+
+test('releasing after a view gesture needs no debounce', () => {
+    const machine = new InteractionMachine({ debounce: 300 });
+    machine.step({ action: 'zoomIn', kind: 'continuous', point: ORIGIN, now: 0 });
+    machine.step(release(50));
+    assert.equal(machine.state, 'IDLE');
+    assert.equal(machine.step(hold('place', 100)).type, 'hold');
+});
+
+// --- MOTION ---
+
+test('a motion gesture fires only from IDLE, and only for a hold binding', () => {
+    const machine = new InteractionMachine();
+    const swipe = (kind, now) => machine.step({ action: 'colorNext', kind, motion: true, point: ORIGIN, now });
+
+    assert.deepEqual(swipe('hold', 0), { type: 'fire' });
+    assert.equal(machine.state, 'IDLE');
+    assert.deepEqual(swipe('continuous', 10), { type: 'ignore' });
+    assert.deepEqual(swipe('none', 20), { type: 'ignore' });
+});
+
+[
+    ['HOLD_WAIT', machine => machine.step(hold('place', 0))],
+    ['HOLD_COMPLETE', machine => { machine.step(hold('place', 0)); machine.complete(); }],
+    ['DRAWING', machine => { machine.step(hold('place', 0)); machine.startDrawing(); }],
+    ['ROTATING', machine => machine.step({ action: 'rotate', kind: 'continuous', point: ORIGIN, now: 0 })],
+    ['ZOOMING', machine => machine.step({ action: 'zoomIn', kind: 'continuous', point: ORIGIN, now: 0 })],
+    ['MANIPULATING', machine => machine.step({ action: 'manipulate', kind: 'continuous', point: ORIGIN, twoHands: true, now: 0 })]
+].forEach(([state, enter]) => {
+    test(`a motion gesture is ignored in ${state} and leaves the state alone`, () => {
+        const machine = new InteractionMachine();
+        enter(machine);
+        assert.equal(machine.state, state);
+        assert.deepEqual(machine.step({ action: 'colorNext', kind: 'hold', motion: true, point: ORIGIN, now: 50 }), { type: 'ignore' });
+        assert.equal(machine.state, state);
+    });
+});
+
+test('reset returns to IDLE and forgets the hold', () => {
+    const machine = new InteractionMachine();
+    machine.step(hold('place', 0));
+    machine.complete();
+    machine.reset();
+    assert.equal(machine.state, 'IDLE');
+    assert.equal(machine.holdAction, null);
+    assert.equal(machine.lastPoint, null);
+});
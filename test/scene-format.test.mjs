@@ -0,0 +1,191 @@
+// Scene File Format
+// Migrations from every older version, and the errors parseScene reports.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Palette from '../palette.js';
+import { parseScene, serializeScene, SceneFormatError, SCENE_FORMAT, SCENE_VERSION } from '../scene-format.js';
+
+const VOXELS = [
+    { x: 0.5, y: 0.5, z: 0.5, color: 0xff0000, material: 'matte' },
+    { x: 1.5, y: 0.5, z: 0.5, color: 0x00ff00, material: 'metal' }
+];
+
+// A valid current-version document, as an object
+function sceneDoc() {
+    return JSON.parse(serializeScene({
+        voxelSize: 1,
+        palette: new Palette().toJSON(),
+        camera: { position: [10, 10, 10], target: [0, 0, 0] },
+        sceneRotation: [0, 0.5, 0],
+        metadata: { name: 'Test' },
+        voxels: VOXELS
+    }));
+}
+
+// The SceneFormatError parseScene throws for `input`
+function errorFor(input) {
+    try {
+        parseScene(input);
+    } catch (e) {
+        assert.ok(e instanceof SceneFormatError, `expected a SceneFormatError, got ${e}`);
+        return e;
+    }
+    assert.fail('parseScene accepted the document');
+}
+
+// --- CURRENT VERSION ---
+
+test('a serialized scene parses back unchanged', () => {
+    const json = serializeScene({
+        voxelSize: 1,
+        palette: new Palette().toJSON(),
+        camera: { position: [10, 10, 10], target: [0, 0, 0] },
+        sceneRotation: [0, 0.5, 0],
+        metadata: { name: 'Test', createdAt: '2024-01-01T00:00:00.000Z' },
+        voxels: VOXELS,
+        clipboard: { voxels: [{ x: 0, y: 1, z: -1, color: 0xffffff, material: 'glass' }] }
+    });
+    const doc = parseScene(json);
+    assert.equal(doc.format, SCENE_FORMAT);
+    assert.equal(doc.version, SCENE_VERSION);
+    assert.deepEqual(doc.voxels, VOXELS);
+    assert.deepEqual(doc.camera, { position: [10, 10, 10], target: [0, 0, 0] });
+    assert.equal(doc.metadata.name, 'Test');
+    assert.equal(doc.metadata.createdAt, '2024-01-01T00:00:00.000Z');
+    assert.equal(doc.metadata.generator, 'VOLEX v0.1');
+    assert.equal(doc.clipboard.voxels.length, 1);
+    assert.deepEqual(parseScene(JSON.parse(json)), doc); // Objects work as well as strings
+});
+
+test('optional fields get their defaults', () => {
+    const doc = parseScene({ ...sceneDoc(), camera: undefined, metadata: undefined, clipboard: undefined });
+    assert.equal(doc.camera, null);
+    assert.deepEqual(doc.metadata, {});
+    assert.equal(doc.clipboard, null);
+});
+
+// --- MIGRATIONS ---
+
+test('v0: a bare voxel array migrates to the current version', () => {
+    const doc = parseScene(JSON.stringify([{ x: 0.5, y: 0.5, z: 0.5, color: 0xff0000 }, { x: 2.5, y: 0.5, z: 0.5 }]));
+    assert.equal(doc.format, SCENE_FORMAT);
+    assert.equal(doc.version, SCENE_VERSION);
+    assert.equal(doc.voxelSize, 1);
+    assert.equal(doc.palette, null);
+    assert.equal(doc.camera, null);
+    assert.deepEqual(doc.sceneRotation, [0, 0, 0]);
+    assert.deepEqual(doc.metadata, {});
+    assert.equal(doc.voxels.length, 2);
+    assert.equal(doc.voxels[1].color, undefined); // Filled in on load, not by the parser
+});
+
+test('v1: a headerless { palette, voxels } document migrates and keeps its palette', () => {
+    const palette = new Palette().toJSON();
+    const doc = parseScene({ palette, voxels: VOXELS });
+    assert.equal(doc.version, SCENE_VERSION);
+    assert.deepEqual(doc.palette, palette);
+    assert.deepEqual(doc.voxels, VOXELS);
+});
+
+test('v1 without a palette migrates to a null palette', () => {
+    assert.equal(parseScene({ voxels: [] }).palette, null);
+});
+
+// --- ERRORS ---
+
+test('invalid JSON', () => {
+    assert.match(errorFor('{ "format": ').message, /not valid JSON/);
+});
+
+test('not a scene at all', () => {
+    [null, 42, '"text"', {}, { format: 'something-else', voxels: [] }].forEach(input => {
+        assert.match(errorFor(typeof input === 'string' ? input : JSON.stringify(input)).message, /^Not a VOLEX scene/);
+    });
+});
+
+test('a newer version than this app supports', () => {
+    assert.match(errorFor({ ...sceneDoc(), version: SCENE_VERSION + 1 }).message, /newer than this app supports/);
+});
+
+test('a broken version number', () => {
+    assert.match(errorFor({ ...sceneDoc(), version: 1.5 }).message, /Invalid scene version/);
+    assert.match(errorFor({ ...sceneDoc(), version: -1 }).message, /Invalid scene version/);
+});
+
+test('every problem in a document is listed', () => {
+    const error = errorFor({
+        ...sceneDoc(),
+        voxelSize: 0,
+        sceneRotation: [0, 0],
+        camera: { position: [0, 0], target: [0, 0, 0] },
+        voxels: [{ x: 0, y: 0, z: 0, color: -1 }, { x: 0, y: 0, z: 0 }, { x: 'a', y: 0, z: 0 }, null]
+    });
+    assert.deepEqual(error.issues, [
+        'voxelSize: must be a positive number',
+        'camera.position: must be [x, y, z]',
+        'sceneRotation: must be [x, y, z]',
+        'voxels[0].color: must be an RGB integer (0-16777215)',
+        'voxels[1]: duplicate voxel at (0,0,0)',
+        'voxels[2]: x, y and z must be numbers',
+        'voxels[3]: must be an object'
+    ]);
+    assert.match(error.message, /^Invalid scene file:\n- voxelSize/);
+});
+
+test('long issue lists are cut short in the message', () => {
+    const voxels = Array.from({ length: 12 }, () => ({ x: 'a', y: 0, z: 0 }));
+    const error = errorFor({ ...sceneDoc(), voxels });
+    assert.equal(error.issues.length, 12);
+    assert.match(error.message, /\.\.\.and 4 more$/);
+});
+
+test('palette problems', () => {
+    const palette = new Palette().toJSON();
+    palette.swatches[0].color = 'red';
+    palette.swatches[1].material = 'plasma';
+    palette.materials.glass.opacity = -1;
+    const error = errorFor({ ...sceneDoc(), palette });
+    assert.deepEqual(error.issues, [
+        'palette.swatches[0].color: must be an RGB integer (0-16777215)',
+        'palette.swatches[1].material: unknown material "plasma"',
+        'palette.materials.glass.opacity: must be a non-negative number'
+    ]);
+    assert.deepEqual(errorFor({ ...sceneDoc(), palette: { swatches: [], materials: {} }, voxels: [] }).issues, [
+        'palette.swatches: must be a non-empty array'
+    ]);
+});
+
+test('voxel materials must exist in the file\'s palette', () => {
+    const error = errorFor({ ...sceneDoc(), voxels: [{ x: 0, y: 0, z: 0, color: 0, material: 'plasma' }] });
+    assert.deepEqual(error.issues, ['voxels[0].material: unknown material "plasma"']);
+});
+
+test('clipboard problems', () => {
+    const error = errorFor({ ...sceneDoc(), clipboard: { voxels: [{ x: 0.5, y: 0, z: 0, color: 0, material: 'matte' }, { x: 0, y: 0, z: 0 }] } });
+    assert.deepEqual(error.issues, [
+        'clipboard.voxels[0]: x, y and z must be integer cell offsets',
+        'clipboard.voxels[1]: needs a color and a material'
+    ]);
+    assert.deepEqual(errorFor({ ...sceneDoc(), clipboard: [] }).issues, ['clipboard: must be { voxels: [...] } or null']);
+});
+
+test('metadata must be an object', () => {
+    assert.deepEqual(errorFor({ ...sceneDoc(), metadata: null }).issues, ['metadata: must be an object']);
+});
+
+test('metadata groups must be named lists of integer cells', () => {
+    const withGroups = (groups) => ({ ...sceneDoc(), metadata: { groups } });
+    assert.deepEqual(parseScene(withGroups([{ name: 'Chair', cells: [[0, 0, 0], [1, 0, -1]] }])).metadata.groups, [
+        { name: 'Chair', cells: [[0, 0, 0], [1, 0, -1]] }
+    ]);
+
+    assert.deepEqual(errorFor(withGroups({ name: 'a' })).issues, ['metadata.groups: must be an array']);
+    assert.deepEqual(errorFor(withGroups([{ name: 'a' }, null, { cells: [] }, { name: 'b', cells: [[0, 0], [0.5, 0, 0]] }, { name: 'c', cells: {} }])).issues, [
+        'metadata.groups[0].cells: must be an array of [x, y, z] integer cells',
+        'metadata.groups[1]: must be an object',
+        'metadata.groups[2].name: must be a string',
+        'metadata.groups[3].cells: must be an array of [x, y, z] integer cells',
+        'metadata.groups[4].cells: must be an array of [x, y, z] integer cells'
+    ]);
+});
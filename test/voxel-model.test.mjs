@@ -0,0 +1,191 @@
+// Voxel Model
+// Editing, undo/redo and scene files on the headless model (plain VoxelStore).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import VoxelModel from '../voxel-model.js';
+import { SceneFormatError } from '../scene-format.js';
+
+const cell = (x, y, z) => ({ x, y, z });
+const keys = (model) => Array.from(model.voxels.keys()).sort();
+
+test('fillCells adds only empty cells and reports how many', () => {
+    const model = new VoxelModel();
+    assert.equal(model.fillCells([cell(0, 0, 0), cell(1, 0, 0)], 'Place'), 2);
+    assert.equal(model.fillCells([cell(0, 0, 0)], 'Place'), 0);
+    assert.deepEqual(keys(model), ['0.5,0.5,0.5', '1.5,0.5,0.5']);
+    assert.deepEqual(model.getVoxel('0.5,0.5,0.5'), { x: 0.5, y: 0.5, z: 0.5, ...model.palette.paint() });
+    assert.equal(model.history.length, 1);
+});
+
+test('removeVoxelByKey removes a voxel as one command', () => {
+    const model = new VoxelModel();
+    model.fillCells([cell(0, 0, 0), cell(0, 1, 0)], 'Place');
+    assert.equal(model.removeVoxelByKey('0.5,1.5,0.5'), true);
+    assert.equal(model.removeVoxelByKey('0.5,1.5,0.5'), false);
+    assert.deepEqual(keys(model), ['0.5,0.5,0.5']);
+    assert.deepEqual(model.history.list().map(c => c.label), ['Place', 'Remove voxel']);
+});
+
+test('undo and redo step through adds and removes', () => {
+    const model = new VoxelModel();
+    model.fillCells([cell(0, 0, 0)], 'Place');
+    model.palette.select(3);
+    model.fillCells([cell(1, 0, 0)], 'Place');
+    const painted = model.getVoxel('1.5,0.5,0.5');
+    model.removeVoxelByKey('0.5,0.5,0.5');
+
+    assert.equal(model.undo().label, 'Remove voxel');
+    assert.deepEqual(keys(model), ['0.5,0.5,0.5', '1.5,0.5,0.5']);
+    assert.equal(model.undo().label, 'Place');
+    assert.deepEqual(keys(model), ['0.5,0.5,0.5']);
+    model.undo();
+    assert.equal(model.voxels.size, 0);
+    assert.equal(model.undo(), null);
+
+    model.redo();
+    model.redo();
+    assert.deepEqual(model.getVoxel('1.5,0.5,0.5'), painted);
+    assert.equal(model.redo().label, 'Remove voxel');
+    assert.deepEqual(keys(model), ['1.5,0.5,0.5']);
+    assert.equal(model.redo(), null);
+});
+
+test('a new edit clears the redo stack', () => {
+    const model = new VoxelModel();
+    model.fillCells([cell(0, 0, 0)], 'Place');
+    model.undo();
+    model.fillCells([cell(2, 0, 0)], 'Place');
+    assert.equal(model.redo(), null);
+    assert.deepEqual(keys(model), ['2.5,0.5,0.5']);
+});
+
+test('a stroke undoes as a single step', () => {
+    const model = new VoxelModel();
+    model.beginStroke('Draw');
+    [0, 1, 2].forEach(x => model.fillCells([cell(x, 0, 0)], 'Place'));
+    model.endStroke();
+    assert.deepEqual(model.history.list().map(c => [c.label, c.size]), [['Draw', 3]]);
+    model.undo();
+    assert.equal(model.voxels.size, 0);
+});
+
+test('reset clears the scene undoably', () => {
+    const model = new VoxelModel();
+    model.fillCells([cell(0, 0, 0), cell(0, 1, 0)], 'Place');
+    model.reset();
+    assert.equal(model.voxels.size, 0);
+    model.undo();
+    assert.equal(model.voxels.size, 2);
+});
+
+test('symmetry copies edits and never goes below the floor', () => {
+    const model = new VoxelModel();
+    model.symmetry.setCenter({ x: 0, y: 0 });
+    model.symmetry.setMirror('x', true);
+    model.symmetry.setMirror('y', true);
+
+    // The Y mirror of cell y=1 is y=-2: only the X copy is kept
+    assert.equal(model.fillCells([cell(2, 1, 0)], 'Place'), 2);
+    assert.deepEqual(keys(model), ['-2.5,1.5,0.5', '2.5,1.5,0.5']);
+    assert.equal(model.removeVoxelByKey('-2.5,1.5,0.5'), true);
+    assert.equal(model.voxels.size, 0);
+});
+
+// --- SCENE FILES ---
+
+function buildScene() {
+    const model = new VoxelModel();
+    model.palette.select(1);
+    model.fillCells([cell(0, 0, 0), cell(0, 1, 0)], 'Place');
+    model.palette.select(9);
+    model.fillCells([cell(3, 0, -2)], 'Place');
+    model.sceneMetadata = { name: 'Tower' };
+    return model;
+}
+
+test('a saved scene loads back voxel for voxel', () => {
+    const source = buildScene();
+    source.palette.swatches[1].color = 0x123456;
+    const json = source.exportToJSON();
+
+    const target = new VoxelModel();
+    target.fillCells([cell(5, 5, 5)], 'Place');
+    const doc = target.loadFromJSON(json);
+
+    assert.equal(doc.metadata.name, 'Tower');
+    assert.deepEqual(keys(target), keys(source));
+    source.voxels.forEach((voxel, key) => assert.deepEqual(target.getVoxel(key), voxel));
+    assert.deepEqual(target.palette.toJSON(), source.palette.toJSON());
+    assert.equal(target.sceneMetadata.name, 'Tower');
+
+    // Saving the loaded scene again gives the same voxels and palette
+    const again = JSON.parse(target.exportToJSON());
+    const first = JSON.parse(json);
+    assert.deepEqual(again.voxels, first.voxels);
+    assert.deepEqual(again.palette, first.palette);
+});
+
+test('loading a scene is one undo step, palette included', () => {
+    const target = new VoxelModel();
+    target.fillCells([cell(5, 5, 5)], 'Place');
+    const before = target.palette.toJSON();
+
+    const source = buildScene();
+    source.palette.swatches[0].color = 0xabcdef;
+    target.loadFromJSON(source.exportToJSON());
+    assert.equal(target.palette.swatches[0].color, 0xabcdef);
+
+    target.undo();
+    assert.deepEqual(keys(target), ['5.5,5.5,5.5']);
+    assert.deepEqual(target.palette.toJSON(), before);
+
+    target.redo();
+    assert.deepEqual(keys(target), keys(source));
+    assert.equal(target.palette.swatches[0].color, 0xabcdef);
+});
+
+test('a bad scene file leaves the current scene untouched', () => {
+    const model = buildScene();
+    const before = keys(model);
+    const doc = JSON.parse(model.exportToJSON());
+    doc.voxels.push({ x: 'a', y: 0, z: 0 });
+
+    assert.throws(() => model.loadFromJSON(JSON.stringify(doc)), SceneFormatError);
+    assert.throws(() => model.loadFromJSON('{ nope'), SceneFormatError);
+    assert.throws(() => model.loadFromJSON({ ...doc, voxels: [], metadata: { groups: [{ name: 'a' }] } }), SceneFormatError);
+    assert.deepEqual(keys(model), before);
+    assert.equal(model.history.list().at(-1).label, 'Place');
+    assert.deepEqual(model.sceneMetadata, { name: 'Tower' });
+});
+
+test('undoing a .vox import takes its groups and name away again', () => {
+    const source = new VoxelModel();
+    source.fillCells([cell(0, 0, 0), cell(1, 0, 0), cell(1, 1, 0)], 'Place');
+    const vox = source.exportToVox();
+
+    const target = buildScene();
+    target.loadFromVox(vox, { defaultName: 'chair' });
+    assert.equal(target.groups.length, 1);
+    assert.equal(target.groupKeys(0).length, 3);
+    assert.equal(target.sceneMetadata.name, 'chair');
+
+    target.undo();
+    assert.deepEqual(target.groups, []);
+    assert.deepEqual(target.sceneMetadata, { name: 'Tower' });
+    assert.deepEqual(keys(target), keys(buildScene()));
+
+    target.redo();
+    assert.equal(target.groups.length, 1);
+    assert.equal(target.selectGroup(0), 3);
+    assert.equal(target.sceneMetadata.name, 'chair');
+});
+
+test('a scene name passed to loadFromJSON replaces the file\'s', () => {
+    const json = buildScene().exportToJSON();
+    const target = new VoxelModel();
+    target.loadFromJSON(json, { defaultName: 'ignored' });
+    assert.equal(target.sceneMetadata.name, 'Tower');
+    target.loadFromJSON(json, { name: 'Renamed' });
+    assert.equal(target.sceneMetadata.name, 'Renamed');
+});
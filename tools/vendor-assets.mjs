@@ -0,0 +1,112 @@
+// Vendor Assets
+// Downloads everything VOLEX loads from the network (Three.js, MediaPipe tasks-vision
+// and its wasm, the hand model, fonts) into vendor/ and writes asset-manifest.json
+// with a SHA-384 integrity hash per file. The service worker precaches the manifest
+// and refuses any file whose hash doesn't match. The app's own files aren't listed:
+// the service worker finds them itself when it installs.
+//
+//   node tools/vendor-assets.mjs          download + write the manifest (needs network)
+//   node tools/vendor-assets.mjs --check  verify vendor/ against the manifest (offline)
+//
+// Vendored paths carry the library version, so bumping one here means new paths and
+// updating the URLs in runtime.js and hand-landmarker.js to match.
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const MANIFEST_PATH = 'asset-manifest.json';
+
+const TASKS_VISION = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.9';
+const WASM_FILES = ['vision_wasm_internal.js', 'vision_wasm_internal.wasm', 'vision_wasm_nosimd_internal.js', 'vision_wasm_nosimd_internal.wasm'];
+
+const ASSETS = [
+    { path: 'vendor/three@0.160.0/three.module.js', source: 'https://unpkg.com/three@0.160.0/build/three.module.js' },
+    { path: 'vendor/three@0.160.0/OrbitControls.js', source: 'https://unpkg.com/three@0.160.0/examples/jsm/controls/OrbitControls.js' },
+    { path: 'vendor/tasks-vision@0.10.9/vision_bundle.mjs', source: `${TASKS_VISION}/vision_bundle.mjs` },
+    ...WASM_FILES.map(file => ({ path: `vendor/tasks-vision@0.10.9/wasm/${file}`, source: `${TASKS_VISION}/wasm/${file}` })),
+    { path: 'vendor/models/hand_landmarker-float16-1.task', source: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task' }
+];
+
+const FONTS_CSS = 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600;800&family=JetBrains+Mono:wght@400;700&display=swap';
+const FONTS_DIR = 'vendor/fonts';
+// Google Fonts only serves woff2 to browsers it recognizes
+const BROWSER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const integrity = (bytes) => `sha384-${createHash('sha384').update(bytes).digest('base64')}`;
+
+async function download(url, options = {}) {
+    const response = await fetch(url, options);
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+async function save(path, bytes) {
+    await mkdir(dirname(join(ROOT, path)), { recursive: true });
+    await writeFile(join(ROOT, path), bytes);
+}
+
+// The stylesheet plus each font file it points at, rewritten to load from vendor/fonts
+async function vendorFonts() {
+    let css = (await download(FONTS_CSS, { headers: { 'User-Agent': BROWSER_AGENT } })).toString('utf8');
+    const urls = [...new Set(Array.from(css.matchAll(/url\((https:[^)]+)\)/g), match => match[1]))];
+
+    const entries = [];
+    for (const [i, url] of urls.entries()) {
+        const file = `font-${i}${url.match(/\.\w+$/)?.[0] ?? '.woff2'}`;
+        const bytes = await download(url);
+        await save(`${FONTS_DIR}/${file}`, bytes);
+        entries.push({ path: `${FONTS_DIR}/${file}`, source: url, size: bytes.length, integrity: integrity(bytes) });
+        css = css.split(url).join(`./${file}`);
+    }
+
+    const bytes = Buffer.from(css);
+    await save(`${FONTS_DIR}/fonts.css`, bytes);
+    return [{ path: `${FONTS_DIR}/fonts.css`, source: FONTS_CSS, size: bytes.length, integrity: integrity(bytes) }, ...entries];
+}
+
+async function vendor() {
+    const assets = [];
+    for (const asset of ASSETS) {
+        console.log(`⬇️  ${asset.source}`);
+        const bytes = await download(asset.source);
+        await save(asset.path, bytes);
+        assets.push({ ...asset, size: bytes.length, integrity: integrity(bytes) });
+    }
+    console.log(`⬇️  ${FONTS_CSS}`);
+    assets.push(...await vendorFonts());
+
+    const manifest = {
+        format: 'volex-assets',
+        version: 1,
+        generated: new Date().toISOString(),
+        assets
+    };
+    await writeFile(join(ROOT, MANIFEST_PATH), JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`💾 ${assets.length} assets vendored, ${MANIFEST_PATH} written`);
+}
+
+async function check() {
+    const manifest = JSON.parse(await readFile(join(ROOT, MANIFEST_PATH), 'utf8'));
+    let failures = 0;
+    for (const asset of manifest.assets) {
+        let actual = null;
+        try {
+            actual = integrity(await readFile(join(ROOT, asset.path)));
+        } catch (e) {
+            // Missing file, reported below
+        }
+        if (actual !== asset.integrity) {
+            failures++;
+            console.error(`❌ ${asset.path}: ${actual ? 'integrity mismatch' : 'missing'}`);
+        }
+    }
+    console.log(failures ? `${failures} of ${manifest.assets.length} assets failed` : `✅ ${manifest.assets.length} assets verified`);
+    process.exitCode = failures ? 1 : 0;
+}
+
+(process.argv.includes('--check') ? check() : vendor()).catch(e => {
+    console.error(e.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,331 @@
+// MagicaVoxel .vox Reader / Writer
+// Spec: https://github.com/ephtracy/voxel-model/blob/master/MagicaVoxel-file-format-vox.txt
+// MagicaVoxel is Z-up with byte coordinates (0-255) and a 255-color palette
+// (index 0 = empty). VOLEX is Y-up, so (x, y, z)vox <-> (x, z, -y)volex.
+
+const VOX_VERSION = 150;
+const MAX_DIMENSION = 256;
+const MAX_COLORS = 255;
+
+// Default palette used when a file has no RGBA chunk: a 6x6x6 color cube
+// (minus black) followed by red, green, blue and gray ramps. Index 0 is unused.
+const DEFAULT_VOX_PALETTE = (() => {
+    const palette = [0x000000];
+    const steps = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+    steps.forEach(r => steps.forEach(g => steps.forEach(b => {
+        if (r || g || b) palette.push((r << 16) | (g << 8) | b);
+    })));
+    const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+    ramp.forEach(v => palette.push(v << 16));
+    ramp.forEach(v => palette.push(v << 8));
+    ramp.forEach(v => palette.push(v));
+    ramp.forEach(v => palette.push((v << 16) | (v << 8) | v));
+    return palette;
+})();
+
+class VoxFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VoxFormatError';
+    }
+}
+
+// --- READER ---
+
+class VoxReader {
+    constructor(buffer) {
+        this.view = new DataView(buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes > this.view.byteLength) {
+            throw new VoxFormatError('Unexpected end of .vox file.');
+        }
+    }
+
+    int() {
+        this.ensure(4);
+        const value = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    byte() {
+        this.ensure(1);
+        return this.view.getUint8(this.offset++);
+    }
+
+    id() {
+        this.ensure(4);
+        let s = '';
+        for (let i = 0; i < 4; i++) s += String.fromCharCode(this.view.getUint8(this.offset + i));
+        this.offset += 4;
+        return s;
+    }
+
+    string() {
+        const length = this.int();
+        this.ensure(length);
+        const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+        this.offset += length;
+        return new TextDecoder().decode(bytes);
+    }
+
+    dict() {
+        const dict = {};
+        const count = this.int();
+        for (let i = 0; i < count; i++) {
+            const key = this.string();
+            dict[key] = this.string();
+        }
+        return dict;
+    }
+}
+
+// Returns { models: [{ name, size, translation, voxels: [{ x, y, z, colorIndex }] }], palette }
+// Coordinates are still in MagicaVoxel space; see voxToVolex() for the mapping.
+function parseVox(buffer) {
+    const reader = new VoxReader(buffer);
+    if (reader.id() !== 'VOX ') throw new VoxFormatError('Not a MagicaVoxel file (missing "VOX " header).');
+    reader.int(); // version
+
+    if (reader.id() !== 'MAIN') throw new VoxFormatError('Missing MAIN chunk.');
+    const mainContent = reader.int();
+    const mainChildren = reader.int();
+    reader.offset += mainContent;
+    const end = Math.min(reader.offset + mainChildren, buffer.byteLength);
+
+    const models = [];
+    const nodes = new Map();
+    let pendingSize = null;
+    let palette = null;
+
+    while (reader.offset < end) {
+        const chunkId = reader.id();
+        const contentSize = reader.int();
+        const childrenSize = reader.int();
+        const contentStart = reader.offset;
+
+        if (chunkId === 'SIZE') {
+            pendingSize = { x: reader.int(), y: reader.int(), z: reader.int() };
+        } else if (chunkId === 'XYZI') {
+            if (!pendingSize) throw new VoxFormatError('XYZI chunk without a preceding SIZE chunk.');
+            const count = reader.int();
+            const voxels = [];
+            for (let i = 0; i < count; i++) {
+                voxels.push({ x: reader.byte(), y: reader.byte(), z: reader.byte(), colorIndex: reader.byte() });
+            }
+            models.push({ name: `Model ${models.length + 1}`, size: pendingSize, translation: null, voxels });
+            pendingSize = null;
+        } else if (chunkId === 'RGBA') {
+            palette = [0x000000];
+            for (let i = 0; i < 255; i++) {
+                const r = reader.byte(), g = reader.byte(), b = reader.byte();
+                reader.byte(); // alpha
+                palette.push((r << 16) | (g << 8) | b);
+            }
+        } else if (chunkId === 'nTRN') {
+            const id = reader.int();
+            const attributes = reader.dict();
+            const child = reader.int();
+            reader.int(); // reserved
+            reader.int(); // layer
+            const frameCount = reader.int();
+            const frames = [];
+            for (let i = 0; i < frameCount; i++) frames.push(reader.dict());
+            const t = frames[0] && frames[0]._t ? frames[0]._t.split(' ').map(Number) : [0, 0, 0];
+            nodes.set(id, { type: 'transform', name: attributes._name, child, translation: t });
+        } else if (chunkId === 'nGRP') {
+            const id = reader.int();
+            reader.dict();
+            const count = reader.int();
+            const children = [];
+            for (let i = 0; i < count; i++) children.push(reader.int());
+            nodes.set(id, { type: 'group', children });
+        } else if (chunkId === 'nSHP') {
+            const id = reader.int();
+            reader.dict();
+            const count = reader.int();
+            const modelIds = [];
+            for (let i = 0; i < count; i++) {
+                modelIds.push(reader.int());
+                reader.dict();
+            }
+            nodes.set(id, { type: 'shape', models: modelIds });
+        }
+
+        // Skip whatever we did not read (unknown chunks, extra fields)
+        reader.offset = contentStart + contentSize + childrenSize;
+    }
+
+    if (models.length === 0) throw new VoxFormatError('The .vox file contains no models.');
+
+    // Walk the scene graph (if any) to place each model; rotations are ignored
+    const walk = (nodeId, offset, name, depth) => {
+        const node = nodes.get(nodeId);
+        if (!node || depth > 64) return;
+        if (node.type === 'transform') {
+            const t = node.translation;
+            walk(node.child, [offset[0] + t[0], offset[1] + t[1], offset[2] + t[2]], node.name || name, depth + 1);
+        } else if (node.type === 'group') {
+            node.children.forEach(child => walk(child, offset, name, depth + 1));
+        } else if (node.type === 'shape') {
+            node.models.forEach(modelId => {
+                const model = models[modelId];
+                if (!model) return;
+                model.translation = offset;
+                if (name) model.name = name;
+            });
+        }
+    };
+    walk(0, [0, 0, 0], null, 0);
+
+    return { models, palette: palette || DEFAULT_VOX_PALETTE };
+}
+
+// Flatten models into VOLEX cell indices (Y-up). Models without a scene graph
+// are laid out side by side along X. Out-of-bounds XYZI entries are clamped
+// into their model's SIZE box.
+function voxToVolex({ models, palette }) {
+    const groups = [];
+    let cursorX = 0;
+
+    models.forEach(model => {
+        const { size } = model;
+        let origin;
+        if (model.translation) {
+            // MagicaVoxel translations point at the model's center
+            origin = model.translation.map((t, axis) => t - Math.floor([size.x, size.y, size.z][axis] / 2));
+        } else {
+            origin = [cursorX, 0, 0];
+            cursorX += size.x + 2;
+        }
+
+        const clamp = (v, max) => Math.min(Math.max(v, 0), Math.max(0, max - 1));
+        const cells = model.voxels
+            .filter(v => v.colorIndex > 0)
+            .map(v => {
+                const vx = origin[0] + clamp(v.x, size.x);
+                const vy = origin[1] + clamp(v.y, size.y);
+                const vz = origin[2] + clamp(v.z, size.z);
+                return { x: vx, y: vz, z: -vy - 1, color: palette[v.colorIndex] ?? 0xffffff };
+            });
+        groups.push({ name: model.name, cells });
+    });
+    return groups;
+}
+
+// --- WRITER ---
+
+// Pick up to 255 colors: exact when possible, otherwise the most used colors
+// with every other color mapped to its nearest neighbour.
+function quantizeColors(colors) {
+    const counts = new Map();
+    colors.forEach(c => counts.set(c, (counts.get(c) || 0) + 1));
+    const ranked = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+    const palette = ranked.slice(0, MAX_COLORS);
+
+    const lookup = new Map();
+    palette.forEach((c, i) => lookup.set(c, i + 1));
+    ranked.slice(MAX_COLORS).forEach(c => {
+        let best = 0;
+        let bestDist = Infinity;
+        palette.forEach((p, i) => {
+            const dr = ((c >> 16) & 0xff) - ((p >> 16) & 0xff);
+            const dg = ((c >> 8) & 0xff) - ((p >> 8) & 0xff);
+            const db = (c & 0xff) - (p & 0xff);
+            const dist = dr * dr + dg * dg + db * db;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i;
+            }
+        });
+        lookup.set(c, best + 1);
+    });
+    return { palette, lookup };
+}
+
+// cells: [{ x, y, z, color }] in VOLEX cell indices; the scene is moved to start at the
+// file's origin. Throws VoxFormatError, before writing anything, if it spans more than
+// 256 cells along any axis rather than leaving voxels out.
+function writeVox(cells) {
+    const mapped = cells.map(c => ({ x: c.x, y: -c.z - 1, z: c.y, color: c.color }));
+    const min = [Infinity, Infinity, Infinity];
+    mapped.forEach(c => {
+        min[0] = Math.min(min[0], c.x);
+        min[1] = Math.min(min[1], c.y);
+        min[2] = Math.min(min[2], c.z);
+    });
+
+    const inRange = mapped.map(c => ({ x: c.x - min[0], y: c.y - min[1], z: c.z - min[2], color: c.color }));
+    const size = [1, 1, 1];
+    inRange.forEach(c => {
+        size[0] = Math.max(size[0], c.x + 1);
+        size[1] = Math.max(size[1], c.y + 1);
+        size[2] = Math.max(size[2], c.z + 1);
+    });
+
+    if (size.some(s => s > MAX_DIMENSION)) {
+        const outside = inRange.filter(c => c.x >= MAX_DIMENSION || c.y >= MAX_DIMENSION || c.z >= MAX_DIMENSION).length;
+        // Sizes as VOLEX width x height x depth
+        throw new VoxFormatError(`The scene is ${size[0]}x${size[2]}x${size[1]} voxels; MagicaVoxel files hold at most ` +
+            `${MAX_DIMENSION} per side, so ${outside} voxels would be left out. Make the scene smaller to export it.`);
+    }
+    const { palette, lookup } = quantizeColors(inRange.map(c => c.color));
+
+    const sizeChunk = 12 + 12;
+    const xyziChunk = 12 + 4 + inRange.length * 4;
+    const rgbaChunk = 12 + 256 * 4;
+    const childrenSize = sizeChunk + xyziChunk + rgbaChunk;
+    const buffer = new ArrayBuffer(8 + 12 + childrenSize);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    const writeId = (id) => {
+        for (let i = 0; i < 4; i++) view.setUint8(offset++, id.charCodeAt(i));
+    };
+    const writeInt = (value) => {
+        view.setInt32(offset, value, true);
+        offset += 4;
+    };
+    const writeByte = (value) => view.setUint8(offset++, value);
+
+    writeId('VOX ');
+    writeInt(VOX_VERSION);
+    writeId('MAIN');
+    writeInt(0);
+    writeInt(childrenSize);
+
+    writeId('SIZE');
+    writeInt(12);
+    writeInt(0);
+    size.forEach(writeInt);
+
+    writeId('XYZI');
+    writeInt(4 + inRange.length * 4);
+    writeInt(0);
+    writeInt(inRange.length);
+    inRange.forEach(c => {
+        writeByte(c.x);
+        writeByte(c.y);
+        writeByte(c.z);
+        writeByte(lookup.get(c.color));
+    });
+
+    // RGBA entry i is color index i + 1; the 256th entry is unused
+    writeId('RGBA');
+    writeInt(256 * 4);
+    writeInt(0);
+    for (let i = 0; i < 256; i++) {
+        const color = i < palette.length ? palette[i] : 0;
+        writeByte((color >> 16) & 0xff);
+        writeByte((color >> 8) & 0xff);
+        writeByte(color & 0xff);
+        writeByte(i < palette.length ? 0xff : 0);
+    }
+
+    return buffer;
+}
+
+export { parseVox, voxToVolex, writeVox, VoxFormatError, DEFAULT_VOX_PALETTE };
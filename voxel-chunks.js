@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import VoxelStore from './voxel-store.js';
+
+// Chunked Voxel Storage + Instanced Rendering
+// VoxelStore holds the data; rendering is split into CHUNK_SIZE^3 chunks. Each
+// chunk holds one InstancedMesh per material and is only rebuilt when something
+// inside it changes.
+const CHUNK_SIZE = 16;
+const POP_DURATION = 250; // ms for the scale-in animation of new voxels
+
+class VoxelChunks extends VoxelStore {
+
+    constructor(scene, palette, voxelSize = 1) {
+        super(voxelSize);
+        this.scene = scene;
+        this.palette = palette;
+
+        this.chunks = new Map(); // "cx,cy,cz" -> { keys: Set, meshes: InstancedMesh[] }
+        this.dirtyChunks = new Set();
+        this.popping = new Map(); // key -> animation start time
+
+        // Shared by every chunk
+        this.geometry = new THREE.BoxGeometry(0.95 * voxelSize, 0.95 * voxelSize, 0.95 * voxelSize);
+        this.materials = new Map(); // "preset:color" -> MeshStandardMaterial
+
+        this.tmpMatrix = new THREE.Matrix4();
+        this.tmpPosition = new THREE.Vector3();
+        this.tmpQuaternion = new THREE.Quaternion();
+        this.tmpScale = new THREE.Vector3();
+    }
+
+    chunkKeyFor(voxel) {
+        const cx = Math.floor(this.cellIndex(voxel.x) / CHUNK_SIZE);
+        const cy = Math.floor(this.cellIndex(voxel.y) / CHUNK_SIZE);
+        const cz = Math.floor(this.cellIndex(voxel.z) / CHUNK_SIZE);
+        return `${cx},${cy},${cz}`;
+    }
+
+    // --- STORAGE ---
+
+    set(key, voxel) {
+        const stored = super.set(key, voxel);
+
+        const chunkKey = this.chunkKeyFor(stored);
+        if (!this.chunks.has(chunkKey)) {
+            this.chunks.set(chunkKey, { keys: new Set(), meshes: [] });
+        }
+        this.chunks.get(chunkKey).keys.add(key);
+        this.dirtyChunks.add(chunkKey);
+        return stored;
+    }
+
+    delete(key) {
+        const voxel = this.voxels.get(key);
+        if (!super.delete(key)) return false;
+
+        this.popping.delete(key);
+
+        const chunkKey = this.chunkKeyFor(voxel);
+        const chunk = this.chunks.get(chunkKey);
+        if (chunk) {
+            chunk.keys.delete(key);
+            this.dirtyChunks.add(chunkKey);
+        }
+        return true;
+    }
+
+    // Scale a freshly placed voxel in over the next few frames
+    popIn(key) {
+        if (this.voxels.has(key)) this.popping.set(key, performance.now());
+    }
+
+    // --- RENDERING ---
+
+    // Rebuild only the chunks that changed since the last frame
+    update() {
+        const now = performance.now();
+        this.popping.forEach((start, key) => {
+            const voxel = this.voxels.get(key);
+            if (voxel) this.dirtyChunks.add(this.chunkKeyFor(voxel));
+            if (now - start >= POP_DURATION) this.popping.delete(key);
+        });
+
+        this.dirtyChunks.forEach(chunkKey => this.rebuildChunk(chunkKey, now));
+        this.dirtyChunks.clear();
+    }
+
+    rebuildChunk(chunkKey, now) {
+        const chunk = this.chunks.get(chunkKey);
+        if (!chunk) return;
+
+        chunk.meshes.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.dispose();
+        });
+        chunk.meshes = [];
+
+        if (chunk.keys.size === 0) {
+            this.chunks.delete(chunkKey);
+            return;
+        }
+
+        // One InstancedMesh per distinct material (color + preset) in the chunk
+        const groups = new Map();
+        chunk.keys.forEach(key => {
+            const voxel = this.voxels.get(key);
+            const materialKey = `${voxel.material}:${voxel.color}`;
+            if (!groups.has(materialKey)) groups.set(materialKey, []);
+            groups.get(materialKey).push(key);
+        });
+
+        groups.forEach((keys, materialKey) => {
+            const material = this.materialFor(this.voxels.get(keys[0]), materialKey);
+            const mesh = new THREE.InstancedMesh(this.geometry, material, keys.length);
+            mesh.castShadow = !material.transparent;
+            mesh.receiveShadow = true;
+            mesh.userData.chunkKey = chunkKey;
+
+            keys.forEach((key, i) => {
+                const voxel = this.voxels.get(key);
+                const start = this.popping.get(key);
+                const scale = start === undefined ? 1 : Math.min(1, (now - start) / POP_DURATION);
+
+                this.tmpPosition.set(voxel.x, voxel.y, voxel.z);
+                this.tmpScale.set(scale, scale, scale);
+                this.tmpMatrix.compose(this.tmpPosition, this.tmpQuaternion, this.tmpScale);
+                mesh.setMatrixAt(i, this.tmpMatrix);
+            });
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.computeBoundingSphere();
+
+            chunk.meshes.push(mesh);
+            this.scene.add(mesh);
+        });
+    }
+
+    // --- MATERIALS ---
+
+    // Shared THREE material per (color, preset) pair, built from the palette
+    materialFor(voxel, materialKey) {
+        let material = this.materials.get(materialKey);
+        if (material) return material;
+
+        const preset = this.palette.getMaterial(voxel.material);
+        const emissive = preset.emissive === 'self' ? voxel.color : preset.emissive;
+        const opacity = preset.opacity ?? 1;
+
+        material = new THREE.MeshStandardMaterial({
+            color: voxel.color,
+            roughness: preset.roughness ?? 0.5,
+            metalness: preset.metalness ?? 0,
+            emissive: emissive ?? 0x000000,
+            emissiveIntensity: emissive == null ? 0 : (preset.emissiveIntensity ?? 1),
+            transparent: opacity < 1,
+            opacity,
+            depthWrite: opacity >= 1
+        });
+        this.materials.set(materialKey, material);
+        return material;
+    }
+
+    // Call after the palette's material presets change (e.g. a scene was loaded)
+    refreshMaterials() {
+        this.materials.forEach(material => material.dispose());
+        this.materials.clear();
+        this.chunks.forEach((chunk, chunkKey) => this.dirtyChunks.add(chunkKey));
+    }
+}
+
+VoxelChunks.CHUNK_SIZE = CHUNK_SIZE;
+
+export default VoxelChunks;
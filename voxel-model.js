@@ -0,0 +1,311 @@
+import Palette from './palette.js';
+import VoxelStore from './voxel-store.js';
+import CommandHistory from './command-history.js';
+import VoxelSelection from './voxel-selection.js';
+import Symmetry from './voxel-symmetry.js';
+import { parseScene, serializeScene, SCENE_FORMAT, SCENE_VERSION } from './scene-format.js';
+import { parseVox, voxToVolex, writeVox } from './vox-format.js';
+
+// Voxel Model
+// The editable scene without a renderer: voxels, palette, undo history, selection,
+// symmetry and scene files. VoxelWorld extends it with the THREE scene, camera and
+// cursor; on its own it runs headless (pass a plain VoxelStore).
+//
+// View state (camera, scene rotation) belongs to whoever renders the model:
+// viewState() and applyView() are the hooks for it.
+
+// History keys for palette and scene metadata changes (voxel keys are always "x,y,z")
+const PALETTE_KEY = 'palette';
+const METADATA_KEY = 'metadata';
+
+class VoxelModel {
+
+    constructor({ palette = new Palette(), store = new VoxelStore() } = {}) {
+        // Colors + material presets
+        this.palette = palette;
+
+        // Voxel Data
+        this.store = store;
+        this.voxelSize = store.voxelSize;
+        this.voxels = store.voxels; // "x,y,z" -> { x, y, z, color, material }
+
+        // Scene file metadata (name, timestamps) carried across save/load
+        this.sceneMetadata = {};
+
+        // Undo/Redo History
+        this.history = new CommandHistory((key, value) => {
+            if (key === PALETTE_KEY) this.applyPalette(value);
+            else if (key === METADATA_KEY) this.sceneMetadata = JSON.parse(value);
+            else this.setVoxel(key, value);
+        });
+
+        // Selected voxels + clipboard (the clipboard is saved with the scene)
+        this.selection = new VoxelSelection(this.store);
+        this.history.onChange(() => this.selection.prune());
+
+        // Mirror / radial symmetry applied to every add and remove. The Y plane starts
+        // above the floor so its mirrored half isn't underground.
+        this.symmetry = new Symmetry({ center: { x: 0, y: 4, z: 0 } });
+    }
+
+    // --- VIEW HOOKS ---
+
+    // Camera and scene rotation written into scene files (none without a renderer)
+    viewState() {
+        return { camera: null, sceneRotation: [0, 0, 0] };
+    }
+
+    // Restore the camera / rotation of a loaded scene document
+    applyView(doc) {}
+
+    // --- EDITING ---
+
+    // Cells plus their symmetric copies, minus any that land below the floor
+    withSymmetry(cells) {
+        return this.symmetry.expand(cells).filter(cell => cell.y >= 0);
+    }
+
+    // Paint every empty cell in the list (and its symmetric copies) with the current swatch.
+    // Returns how many were added.
+    fillCells(cells, label) {
+        const paint = this.palette.paint();
+        const changes = new Map();
+        this.withSymmetry(cells).forEach(cell => {
+            const key = this.store.keyForCell(cell.x, cell.y, cell.z);
+            if (this.voxels.has(key) || changes.has(key)) return;
+            const x = this.store.cellCenter(cell.x);
+            const y = this.store.cellCenter(cell.y);
+            const z = this.store.cellCenter(cell.z);
+            changes.set(key, { key, before: null, after: { x, y, z, ...paint } });
+        });
+        if (changes.size === 0) return 0;
+
+        this.history.execute(label, Array.from(changes.values()));
+        changes.forEach((change, key) => this.store.popIn(key));
+        return changes.size;
+    }
+
+    // Remove every voxel in the list (and its symmetric copies). Returns how many went.
+    clearCells(cells, label) {
+        const changes = new Map();
+        this.withSymmetry(cells).forEach(cell => {
+            const key = this.store.keyForCell(cell.x, cell.y, cell.z);
+            if (!this.voxels.has(key) || changes.has(key)) return;
+            changes.set(key, { key, before: this.getVoxel(key), after: null });
+        });
+        if (changes.size === 0) return 0;
+
+        this.history.execute(label, Array.from(changes.values()));
+        return changes.size;
+    }
+
+    // Low-level voxel write used by commands: voxel data or null to clear the cell.
+    // Does not touch history.
+    setVoxel(key, voxel) {
+        if (!voxel) {
+            this.store.delete(key);
+            return null;
+        }
+        return this.store.set(key, voxel);
+    }
+
+    // Palette state from history: a JSON string of palette.toJSON()
+    applyPalette(json) {
+        this.palette.loadJSON(JSON.parse(json));
+        this.store.refreshMaterials();
+    }
+
+    getVoxel(key) {
+        const voxel = this.store.get(key);
+        return voxel ? { ...voxel } : null;
+    }
+
+    removeVoxelByKey(key) {
+        if (!key || !this.voxels.has(key)) return false;
+
+        // The voxel and its symmetric copies, as one command
+        const voxel = this.voxels.get(key);
+        const cell = { x: this.store.cellIndex(voxel.x), y: this.store.cellIndex(voxel.y), z: this.store.cellIndex(voxel.z) };
+        return this.clearCells([cell], 'Remove voxel') > 0;
+    }
+
+    // Run a selection edit ({ changes, keys }) as one undoable command; the result stays selected
+    applySelectionEdit(label, edit) {
+        if (!edit || !this.history.execute(label, edit.changes)) return false;
+        edit.keys.forEach(key => this.store.popIn(key));
+        this.selection.set(edit.keys);
+        return true;
+    }
+
+    // Group every mutation until endStroke() into a single undo step
+    beginStroke(label) {
+        this.history.beginGroup(label);
+    }
+
+    endStroke() {
+        this.history.endGroup();
+    }
+
+    undo() {
+        console.log("Undoing last action. History size:", this.history.length);
+        return this.history.undo();
+    }
+
+    redo() {
+        console.log("Redoing last undone action.");
+        return this.history.redo();
+    }
+
+    reset() {
+        console.log("Resetting world...");
+        const changes = Array.from(this.voxels.keys()).map(key => ({
+            key, before: this.getVoxel(key), after: null
+        }));
+        this.history.execute('Clear scene', changes);
+        console.log("World reset complete.");
+    }
+
+    // --- SCENE FILES ---
+
+    exportToJSON() {
+        const voxels = [];
+        this.voxels.forEach((voxel) => {
+            voxels.push({ ...voxel });
+        });
+        return serializeScene({
+            voxelSize: this.voxelSize,
+            palette: this.palette.toJSON(),
+            ...this.viewState(),
+            metadata: this.sceneMetadata,
+            voxels,
+            clipboard: this.selection.clipboard
+        });
+    }
+
+    // Atomic: the file is fully parsed and validated before the scene is touched.
+    // Throws SceneFormatError (with a readable message) on bad input.
+    // name replaces the file's scene name, defaultName is used when the file has none.
+    loadFromJSON(jsonString, { name, defaultName } = {}) {
+        const doc = parseScene(jsonString);
+
+        // Map the file's grid onto ours, cell for cell
+        const changes = new Map();
+        this.voxels.forEach((voxel, key) => {
+            changes.set(key, { key, before: { ...voxel }, after: null });
+        });
+        doc.voxels.forEach(v => {
+            const x = this.store.cellCenter(Math.floor(v.x / doc.voxelSize));
+            const y = this.store.cellCenter(Math.floor(v.y / doc.voxelSize));
+            const z = this.store.cellCenter(Math.floor(v.z / doc.voxelSize));
+            const key = `${x},${y},${z}`;
+            const after = { x, y, z, color: v.color ?? 0x00ffff, material: v.material || Palette.DEFAULT_MATERIAL };
+            const existing = changes.get(key);
+            changes.set(key, { key, before: existing ? existing.before : null, after });
+        });
+
+        // Loading is one command: swap the palette and metadata, clear everything, then add
+        // the file's voxels. Undo restores the old palette, name and groups with the old voxels.
+        const paletteChange = [];
+        if (doc.palette) {
+            // The file may carry only part of a palette: apply it to a copy of ours
+            const next = new Palette();
+            next.loadJSON(this.palette.toJSON());
+            next.loadJSON(doc.palette);
+            paletteChange.push({ key: PALETTE_KEY, before: JSON.stringify(this.palette.toJSON()), after: JSON.stringify(next.toJSON()) });
+        }
+        const metadata = { ...doc.metadata };
+        if (name !== undefined) metadata.name = name;
+        if (!metadata.name && defaultName) metadata.name = defaultName;
+        const metadataChange = { key: METADATA_KEY, before: JSON.stringify(this.sceneMetadata), after: JSON.stringify(metadata) };
+        // Metadata before voxels: history listeners already see the loaded scene's groups
+        this.history.execute('Load scene', [...paletteChange, metadataChange, ...changes.values()]);
+
+        this.applyView(doc);
+        this.selection.clear();
+        if (doc.clipboard) this.selection.setClipboard(doc.clipboard);
+        return doc;
+    }
+
+    // MagicaVoxel import: each model becomes a named group (see GROUPS), the whole set
+    // is centered on the grid and loaded atomically like any other scene file
+    loadFromVox(buffer, options) {
+        const groups = voxToVolex(parseVox(buffer));
+        const all = groups.flatMap(g => g.cells);
+        if (all.length === 0) throw new Error('The .vox file contains no voxels.');
+
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        all.forEach(c => {
+            ['x', 'y', 'z'].forEach((axis, i) => {
+                min[i] = Math.min(min[i], c[axis]);
+                max[i] = Math.max(max[i], c[axis]);
+            });
+        });
+        const shift = [-Math.floor((min[0] + max[0]) / 2), -min[1], -Math.floor((min[2] + max[2]) / 2)];
+        const toWorld = (c) => ({
+            x: this.store.cellCenter(c.x + shift[0]),
+            y: this.store.cellCenter(c.y + shift[1]),
+            z: this.store.cellCenter(c.z + shift[2])
+        });
+
+        // Later models win where models overlap, and own the cell
+        const voxels = new Map();
+        const owners = new Map();
+        groups.forEach((group, index) => {
+            group.cells.forEach(c => {
+                const p = toWorld(c);
+                const key = `${p.x},${p.y},${p.z}`;
+                voxels.set(key, { ...p, color: c.color, material: 'matte' });
+                owners.set(key, { index, cell: [c.x + shift[0], c.y + shift[1], c.z + shift[2]] });
+            });
+        });
+        const metadataGroups = groups.map(group => ({ name: group.name, cells: [] }));
+        owners.forEach(({ index, cell }) => metadataGroups[index].cells.push(cell));
+
+        return this.loadFromJSON({
+            format: SCENE_FORMAT,
+            version: SCENE_VERSION,
+            voxelSize: this.voxelSize,
+            palette: null,
+            camera: null,
+            sceneRotation: [0, 0, 0],
+            metadata: { groups: metadataGroups },
+            voxels: Array.from(voxels.values())
+        }, options);
+    }
+
+    // --- GROUPS ---
+
+    // Named sets of cells, e.g. the models of an imported .vox. Kept in the scene metadata
+    // ({ name, cells: [[x, y, z], ...] } in cell indices) so they survive save and load.
+    get groups() {
+        return Array.isArray(this.sceneMetadata.groups) ? this.sceneMetadata.groups : [];
+    }
+
+    // Keys of the group's cells that still hold a voxel
+    groupKeys(index) {
+        const group = this.groups[index];
+        if (!group || !Array.isArray(group.cells)) return [];
+        return group.cells
+            .map(([x, y, z]) => this.store.keyForCell(x, y, z))
+            .filter(key => this.voxels.has(key));
+    }
+
+    selectGroup(index, add = false) {
+        return this.selection.set(this.groupKeys(index), add);
+    }
+
+    // MagicaVoxel export. Colors are quantized to 255 entries; returns the file's ArrayBuffer.
+    // Throws VoxFormatError if the scene is too big for the format.
+    exportToVox() {
+        const cells = Array.from(this.voxels.values()).map(v => ({
+            x: this.store.cellIndex(v.x),
+            y: this.store.cellIndex(v.y),
+            z: this.store.cellIndex(v.z),
+            color: v.color
+        }));
+        return writeVox(cells);
+    }
+}
+
+export default VoxelModel;
@@ -0,0 +1,287 @@
+// Voxel Selection + Clipboard
+// A selection is a set of voxel keys in a VoxelModel's VoxelStore (VoxelChunks when
+// rendered). Edits (move, rotate, mirror, delete, paste) don't touch the store
+// themselves: they return { changes, keys } where changes is a CommandHistory change
+// list and keys are the voxels to keep selected afterwards, so each edit is a single
+// undo step. An edit that would put any voxel below the floor returns null instead.
+//
+// Clipboard voxels are integer cell offsets from the piece's anchor - the
+// bottom-center cell of its bounds - which is where it attaches to the cursor.
+
+const NEIGHBOURS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+// The two axes a 90° turn around `axis` swaps
+const ROTATION_PLANES = { x: ['y', 'z'], y: ['z', 'x'], z: ['x', 'y'] };
+
+const sameCell = (a, b) => a.x === b.x && a.y === b.y && a.z === b.z;
+
+function boundsOf(cells) {
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    cells.forEach(cell => {
+        ['x', 'y', 'z'].forEach(axis => {
+            min[axis] = Math.min(min[axis], cell[axis]);
+            max[axis] = Math.max(max[axis], cell[axis]);
+        });
+    });
+    return { min, max };
+}
+
+const anchorOf = ({ min, max }) => ({
+    x: Math.floor((min.x + max.x) / 2),
+    y: min.y,
+    z: Math.floor((min.z + max.z) / 2)
+});
+
+class VoxelSelection {
+
+    constructor(store) {
+        this.store = store;
+        this.keys = new Set();
+        this.clipboard = null; // { voxels: [{ x, y, z, color, material }] } - cell offsets from the anchor
+        this.listeners = [];
+    }
+
+    get size() {
+        return this.keys.size;
+    }
+
+    get isEmpty() {
+        return this.keys.size === 0;
+    }
+
+    cellOf(voxel) {
+        return { x: this.store.cellIndex(voxel.x), y: this.store.cellIndex(voxel.y), z: this.store.cellIndex(voxel.z) };
+    }
+
+    // Selected voxels that still exist, with their cells
+    entries() {
+        const entries = [];
+        this.keys.forEach(key => {
+            const voxel = this.store.get(key);
+            if (voxel) entries.push({ key, voxel, cell: this.cellOf(voxel) });
+        });
+        return entries;
+    }
+
+    // Where the selection attaches to the cursor when it's picked up
+    anchor() {
+        const entries = this.entries();
+        return entries.length ? anchorOf(boundsOf(entries.map(e => e.cell))) : null;
+    }
+
+    // --- SELECTING ---
+
+    set(keys, add = false) {
+        if (!add) this.keys.clear();
+        keys.forEach(key => this.keys.add(key));
+        this.notify();
+        return keys.length;
+    }
+
+    clear() {
+        if (this.keys.size === 0) return false;
+        this.keys.clear();
+        this.notify();
+        return true;
+    }
+
+    // Forget voxels that were removed behind the selection's back (undo, clear, load)
+    prune() {
+        const before = this.keys.size;
+        this.keys.forEach(key => {
+            if (!this.store.has(key)) this.keys.delete(key);
+        });
+        if (this.keys.size !== before) this.notify();
+    }
+
+    selectAll() {
+        return this.set(Array.from(this.store.voxels.keys()));
+    }
+
+    // Every voxel inside the box between two cells
+    selectBox(a, b, add = false) {
+        const { min, max } = boundsOf([a, b]);
+        const keys = [];
+        this.store.voxels.forEach((voxel, key) => {
+            const cell = this.cellOf(voxel);
+            if (cell.x >= min.x && cell.x <= max.x &&
+                cell.y >= min.y && cell.y <= max.y &&
+                cell.z >= min.z && cell.z <= max.z) keys.push(key);
+        });
+        return this.set(keys, add);
+    }
+
+    // Every voxel touching `key` face to face, directly or through others
+    selectConnected(key, add = false) {
+        const start = this.store.get(key);
+        if (!start) return 0;
+
+        const seen = new Set([key]);
+        const queue = [this.cellOf(start)];
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            NEIGHBOURS.forEach(([dx, dy, dz]) => {
+                const next = this.store.keyForCell(cell.x + dx, cell.y + dy, cell.z + dz);
+                if (seen.has(next) || !this.store.has(next)) return;
+                seen.add(next);
+                queue.push({ x: cell.x + dx, y: cell.y + dy, z: cell.z + dz });
+            });
+        }
+        return this.set(Array.from(seen), add);
+    }
+
+    // Every voxel with the same color and material as `key`
+    selectByColor(key, add = false) {
+        const match = this.store.get(key);
+        if (!match) return 0;
+
+        const keys = [];
+        this.store.voxels.forEach((voxel, k) => {
+            if (voxel.color === match.color && voxel.material === match.material) keys.push(k);
+        });
+        return this.set(keys, add);
+    }
+
+    // --- CLIPBOARD ---
+
+    copy() {
+        const entries = this.entries();
+        if (entries.length === 0) return 0;
+
+        const anchor = anchorOf(boundsOf(entries.map(e => e.cell)));
+        this.clipboard = {
+            voxels: entries.map(({ cell, voxel }) => ({
+                x: cell.x - anchor.x,
+                y: cell.y - anchor.y,
+                z: cell.z - anchor.z,
+                color: voxel.color,
+                material: voxel.material
+            }))
+        };
+        this.notify();
+        return entries.length;
+    }
+
+    setClipboard(clipboard) {
+        this.clipboard = clipboard && clipboard.voxels && clipboard.voxels.length ? clipboard : null;
+        this.notify();
+    }
+
+    // Clipboard cells with their paint, anchored at `origin`
+    clipboardCells(origin) {
+        if (!this.clipboard) return [];
+        return this.clipboard.voxels.map(v => ({
+            x: origin.x + v.x, y: origin.y + v.y, z: origin.z + v.z, color: v.color, material: v.material
+        }));
+    }
+
+    // Selection cells with their paint, picked up by the anchor and put down at `origin`
+    movedCells(origin) {
+        const anchor = this.anchor();
+        if (!anchor) return [];
+        return this.entries().map(({ cell, voxel }) => ({
+            x: cell.x - anchor.x + origin.x,
+            y: cell.y - anchor.y + origin.y,
+            z: cell.z - anchor.z + origin.z,
+            color: voxel.color,
+            material: voxel.material
+        }));
+    }
+
+    // --- EDITS ---
+
+    // Build a change list: `removed` keys are cleared, `placed` cells ({ x, y, z, color, material })
+    // are written over whatever is there. "before" is always the value currently in the store.
+    // null if a placed cell would end up below the floor (y < 0), like every other placement.
+    changesFor(removed, placed) {
+        if (placed.some(cell => cell.y < 0)) return null;
+        const changes = new Map();
+        const before = (key) => {
+            const voxel = this.store.get(key);
+            return voxel ? { ...voxel } : null;
+        };
+
+        removed.forEach(key => changes.set(key, { key, before: before(key), after: null }));
+
+        const keys = placed.map(cell => {
+            const key = this.store.keyForCell(cell.x, cell.y, cell.z);
+            const after = {
+                x: this.store.cellCenter(cell.x),
+                y: this.store.cellCenter(cell.y),
+                z: this.store.cellCenter(cell.z),
+                color: cell.color,
+                material: cell.material
+            };
+            const existing = changes.get(key);
+            changes.set(key, { key, before: existing ? existing.before : before(key), after });
+            return key;
+        });
+
+        return { changes: Array.from(changes.values()), keys };
+    }
+
+    // Move every selected voxel through mapCell(cell) -> cell
+    transform(mapCell) {
+        const entries = this.entries();
+        const placed = entries.map(({ cell, voxel }) => ({
+            ...mapCell(cell), color: voxel.color, material: voxel.material
+        }));
+        return this.changesFor(entries.map(e => e.key), placed);
+    }
+
+    moveBy(delta) {
+        return this.transform(cell => ({ x: cell.x + delta.x, y: cell.y + delta.y, z: cell.z + delta.z }));
+    }
+
+    // Pick up at the anchor, put down at `origin`
+    moveTo(origin) {
+        const anchor = this.anchor();
+        if (!anchor || sameCell(anchor, origin)) return null;
+        return this.moveBy({ x: origin.x - anchor.x, y: origin.y - anchor.y, z: origin.z - anchor.z });
+    }
+
+    // 90° turn around `axis`, staying in the selection's footprint corner
+    rotate(axis = 'y') {
+        const entries = this.entries();
+        if (entries.length === 0) return null;
+
+        const { min, max } = boundsOf(entries.map(e => e.cell));
+        const [u, v] = ROTATION_PLANES[axis];
+        return this.transform(cell => ({
+            ...cell,
+            [u]: min[u] + (max[v] - cell[v]),
+            [v]: min[v] + (cell[u] - min[u])
+        }));
+    }
+
+    // Flip across the middle of the selection along `axis`
+    mirror(axis = 'x') {
+        const entries = this.entries();
+        if (entries.length === 0) return null;
+
+        const { min, max } = boundsOf(entries.map(e => e.cell));
+        return this.transform(cell => ({ ...cell, [axis]: min[axis] + max[axis] - cell[axis] }));
+    }
+
+    remove() {
+        const keys = this.entries().map(e => e.key);
+        if (keys.length === 0) return null;
+        return this.changesFor(keys, []);
+    }
+
+    paste(origin) {
+        if (!this.clipboard) return null;
+        return this.changesFor([], this.clipboardCells(origin));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+export default VoxelSelection;
@@ -0,0 +1,139 @@
+// Voxel Shape Rasterization
+// Pure grid math: every function takes and returns integer cell indices
+// ({ x, y, z }), never world positions. VoxelWorld turns cells into voxels.
+
+// 3D Bresenham: every cell from a to b (inclusive), each step moving to a
+// neighbouring cell (faces, edges or corners), so fast strokes leave no gaps.
+function lineCells(a, b) {
+    const cells = [];
+    let x = a.x, y = a.y, z = a.z;
+    const dx = Math.abs(b.x - a.x), dy = Math.abs(b.y - a.y), dz = Math.abs(b.z - a.z);
+    const sx = Math.sign(b.x - a.x), sy = Math.sign(b.y - a.y), sz = Math.sign(b.z - a.z);
+    const steps = Math.max(dx, dy, dz);
+
+    // Error terms for the two minor axes relative to the driving axis
+    let e1, e2;
+    if (dx === steps) {
+        e1 = 2 * dy - dx;
+        e2 = 2 * dz - dx;
+        for (let i = 0; i <= steps; i++) {
+            cells.push({ x, y, z });
+            if (e1 > 0) { y += sy; e1 -= 2 * dx; }
+            if (e2 > 0) { z += sz; e2 -= 2 * dx; }
+            e1 += 2 * dy;
+            e2 += 2 * dz;
+            x += sx;
+        }
+    } else if (dy === steps) {
+        e1 = 2 * dx - dy;
+        e2 = 2 * dz - dy;
+        for (let i = 0; i <= steps; i++) {
+            cells.push({ x, y, z });
+            if (e1 > 0) { x += sx; e1 -= 2 * dy; }
+            if (e2 > 0) { z += sz; e2 -= 2 * dy; }
+            e1 += 2 * dx;
+            e2 += 2 * dz;
+            y += sy;
+        }
+    } else {
+        e1 = 2 * dy - dz;
+        e2 = 2 * dx - dz;
+        for (let i = 0; i <= steps; i++) {
+            cells.push({ x, y, z });
+            if (e1 > 0) { y += sy; e1 -= 2 * dz; }
+            if (e2 > 0) { x += sx; e2 -= 2 * dz; }
+            e1 += 2 * dy;
+            e2 += 2 * dx;
+            z += sz;
+        }
+    }
+    return cells;
+}
+
+// Corner-to-corner bounds, whichever way the two points were picked
+function bounds(a, b) {
+    return {
+        min: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) },
+        max: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) }
+    };
+}
+
+// Every cell in the bounds that passes inside(x, y, z). Hollow keeps only the
+// shell: inside cells with at least one face neighbour outside (or on the bounds).
+function volumeCells(a, b, inside, hollow) {
+    const { min, max } = bounds(a, b);
+    const cells = [];
+    const within = (x, y, z) =>
+        x >= min.x && x <= max.x && y >= min.y && y <= max.y && z >= min.z && z <= max.z && inside(x, y, z);
+
+    for (let x = min.x; x <= max.x; x++) {
+        for (let y = min.y; y <= max.y; y++) {
+            for (let z = min.z; z <= max.z; z++) {
+                if (!inside(x, y, z)) continue;
+                if (hollow &&
+                    within(x - 1, y, z) && within(x + 1, y, z) &&
+                    within(x, y - 1, z) && within(x, y + 1, z) &&
+                    within(x, y, z - 1) && within(x, y, z + 1)) continue;
+                cells.push({ x, y, z });
+            }
+        }
+    }
+    return cells;
+}
+
+function boxCells(a, b, hollow = false) {
+    return volumeCells(a, b, () => true, hollow);
+}
+
+// Ellipsoid filling the box between the corners (a sphere when the box is a cube)
+function ellipsoidCells(a, b, hollow = false) {
+    const { min, max } = bounds(a, b);
+    const c = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+    const r = { x: (max.x - min.x + 1) / 2, y: (max.y - min.y + 1) / 2, z: (max.z - min.z + 1) / 2 };
+    const inside = (x, y, z) =>
+        ((x - c.x) / r.x) ** 2 + ((y - c.y) / r.y) ** 2 + ((z - c.z) / r.z) ** 2 <= 1;
+    return volumeCells(a, b, inside, hollow);
+}
+
+// Upright (y axis) cylinder with an elliptical base filling the box
+function cylinderCells(a, b, hollow = false) {
+    const { min, max } = bounds(a, b);
+    const c = { x: (min.x + max.x) / 2, z: (min.z + max.z) / 2 };
+    const r = { x: (max.x - min.x + 1) / 2, z: (max.z - min.z + 1) / 2 };
+    const inside = (x, y, z) => ((x - c.x) / r.x) ** 2 + ((z - c.z) / r.z) ** 2 <= 1;
+    return volumeCells(a, b, inside, hollow);
+}
+
+// One-cell-thick rectangle: the box is flattened along its thinnest axis (floors
+// win ties), staying on the first corner's layer
+function planeCells(a, b) {
+    const extent = { x: Math.abs(b.x - a.x), y: Math.abs(b.y - a.y), z: Math.abs(b.z - a.z) };
+    const axis = ['y', 'x', 'z'].reduce((best, axis) => (extent[axis] < extent[best] ? axis : best));
+    return boxCells(a, { ...b, [axis]: a[axis] });
+}
+
+// Empty cells reachable from start without crossing a solid one, on start's
+// horizontal layer. Returns null when the region isn't enclosed (more than limit cells).
+function floodFillCells(start, isSolid, limit = 4096) {
+    if (isSolid(start)) return [];
+
+    const seen = new Set([`${start.x},${start.z}`]);
+    const queue = [start];
+    const cells = [];
+    while (queue.length > 0) {
+        const cell = queue.shift();
+        cells.push(cell);
+        if (cells.length > limit) return null;
+
+        [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dz]) => {
+            const next = { x: cell.x + dx, y: start.y, z: cell.z + dz };
+            const key = `${next.x},${next.z}`;
+            if (seen.has(key) || isSolid(next)) return;
+            seen.add(key);
+            queue.push(next);
+        });
+    }
+    return cells;
+}
+
+export { lineCells, boxCells, ellipsoidCells, cylinderCells, planeCells, floodFillCells };
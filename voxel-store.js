@@ -0,0 +1,163 @@
+import Palette from './palette.js';
+
+// Voxel Storage
+// Voxels live in a flat Map ("x,y,z" -> { x, y, z, color, material }) for O(1)
+// occupancy, plus a per-column index for stacking. No rendering and no THREE:
+// VoxelChunks adds the meshes on top, and this base runs as-is in Node.
+
+class VoxelStore {
+
+    constructor(voxelSize = 1) {
+        this.voxelSize = voxelSize;
+        this.voxels = new Map(); // "x,y,z" (cell center) -> voxel data
+        this.columns = new Map(); // "ix,iz" -> { cells: Set of iy, top: highest iy }
+    }
+
+    // --- GRID HELPERS ---
+
+    cellIndex(value) {
+        return Math.floor(value / this.voxelSize);
+    }
+
+    cellCenter(index) {
+        return (index + 0.5) * this.voxelSize;
+    }
+
+    keyForCell(ix, iy, iz) {
+        return `${this.cellCenter(ix)},${this.cellCenter(iy)},${this.cellCenter(iz)}`;
+    }
+
+    // Snap any world position to the center of the cell that contains it
+    snap(x, y, z) {
+        return {
+            x: this.cellCenter(this.cellIndex(x)),
+            y: this.cellCenter(this.cellIndex(y)),
+            z: this.cellCenter(this.cellIndex(z))
+        };
+    }
+
+    // --- STORAGE ---
+
+    has(key) {
+        return this.voxels.has(key);
+    }
+
+    hasCell(ix, iy, iz) {
+        return this.voxels.has(this.keyForCell(ix, iy, iz));
+    }
+
+    get(key) {
+        return this.voxels.get(key) || null;
+    }
+
+    get size() {
+        return this.voxels.size;
+    }
+
+    set(key, voxel) {
+        if (this.voxels.has(key)) this.delete(key);
+
+        const stored = {
+            x: voxel.x, y: voxel.y, z: voxel.z,
+            color: voxel.color,
+            material: voxel.material || Palette.DEFAULT_MATERIAL
+        };
+        this.voxels.set(key, stored);
+
+        const ix = this.cellIndex(stored.x);
+        const iy = this.cellIndex(stored.y);
+        const iz = this.cellIndex(stored.z);
+        const columnKey = `${ix},${iz}`;
+        let column = this.columns.get(columnKey);
+        if (!column) {
+            column = { cells: new Set(), top: -Infinity };
+            this.columns.set(columnKey, column);
+        }
+        column.cells.add(iy);
+        column.top = Math.max(column.top, iy);
+        return stored;
+    }
+
+    delete(key) {
+        const voxel = this.voxels.get(key);
+        if (!voxel) return false;
+
+        this.voxels.delete(key);
+
+        const iy = this.cellIndex(voxel.y);
+        const columnKey = `${this.cellIndex(voxel.x)},${this.cellIndex(voxel.z)}`;
+        const column = this.columns.get(columnKey);
+        if (column) {
+            column.cells.delete(iy);
+            if (column.cells.size === 0) {
+                this.columns.delete(columnKey);
+            } else if (iy === column.top) {
+                column.top = Math.max(...column.cells);
+            }
+        }
+        return true;
+    }
+
+    clear() {
+        Array.from(this.voxels.keys()).forEach(key => this.delete(key));
+    }
+
+    // First free cell index above the highest voxel in a column (0 = ground)
+    columnTop(ix, iz) {
+        const column = this.columns.get(`${ix},${iz}`);
+        return column ? Math.max(0, column.top + 1) : 0;
+    }
+
+    // Rendering hooks - nothing to draw here
+    popIn(key) {}
+
+    refreshMaterials() {}
+
+    // --- PICKING ---
+
+    // Grid traversal (Amanatides & Woo) in the store's local space.
+    // Returns the first occupied cell and the face normal it was entered through.
+    raycast(origin, direction, maxDistance = 100) {
+        if (this.voxels.size === 0) return null;
+
+        const s = this.voxelSize;
+        const ox = origin.x / s, oy = origin.y / s, oz = origin.z / s;
+        const len = Math.hypot(direction.x, direction.y, direction.z);
+        const dx = direction.x / len, dy = direction.y / len, dz = direction.z / len;
+
+        let ix = Math.floor(ox), iy = Math.floor(oy), iz = Math.floor(oz);
+        const stepX = Math.sign(dx), stepY = Math.sign(dy), stepZ = Math.sign(dz);
+
+        const tDeltaX = dx !== 0 ? Math.abs(1 / dx) : Infinity;
+        const tDeltaY = dy !== 0 ? Math.abs(1 / dy) : Infinity;
+        const tDeltaZ = dz !== 0 ? Math.abs(1 / dz) : Infinity;
+        let tMaxX = dx !== 0 ? ((stepX > 0 ? ix + 1 : ix) - ox) / dx : Infinity;
+        let tMaxY = dy !== 0 ? ((stepY > 0 ? iy + 1 : iy) - oy) / dy : Infinity;
+        let tMaxZ = dz !== 0 ? ((stepZ > 0 ? iz + 1 : iz) - oz) / dz : Infinity;
+
+        const maxT = maxDistance / s;
+        let normal = { x: 0, y: 0, z: 0 };
+        let t = 0;
+
+        while (t <= maxT) {
+            const key = this.keyForCell(ix, iy, iz);
+            if (this.voxels.has(key)) {
+                return { key, voxel: this.voxels.get(key), cell: { x: ix, y: iy, z: iz }, normal, distance: t * s };
+            }
+
+            if (tMaxX < tMaxY && tMaxX < tMaxZ) {
+                ix += stepX; t = tMaxX; tMaxX += tDeltaX;
+                normal = { x: -stepX, y: 0, z: 0 };
+            } else if (tMaxY < tMaxZ) {
+                iy += stepY; t = tMaxY; tMaxY += tDeltaY;
+                normal = { x: 0, y: -stepY, z: 0 };
+            } else {
+                iz += stepZ; t = tMaxZ; tMaxZ += tDeltaZ;
+                normal = { x: 0, y: 0, z: -stepZ };
+            }
+        }
+        return null;
+    }
+}
+
+export default VoxelStore;
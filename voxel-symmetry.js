@@ -0,0 +1,115 @@
+// Symmetry Modes
+// Mirror planes across X / Y / Z and radial N-fold symmetry around the vertical
+// axis. Works on integer cells like voxel-shapes.js: images(cell) returns the
+// cell plus every symmetric copy, so one edit can be applied to all of them.
+//
+// Planes sit at `center` in grid units (0 = the grid origin, between cells;
+// x.5 = through the middle of a cell).
+
+const AXES = ['x', 'y', 'z'];
+
+class Symmetry {
+
+    constructor({ x = false, y = false, z = false, radial = 1, center = { x: 0, y: 0, z: 0 } } = {}) {
+        this.mirror = { x, y, z };
+        this.radial = radial; // 1 = off, N = N copies around the Y axis
+        this.center = { ...center };
+        this.listeners = [];
+    }
+
+    get enabled() {
+        return this.radial > 1 || AXES.some(axis => this.mirror[axis]);
+    }
+
+    setMirror(axis, enabled) {
+        this.mirror[axis] = enabled;
+        this.notify();
+    }
+
+    setRadial(folds) {
+        this.radial = Math.max(1, Math.floor(folds) || 1);
+        this.notify();
+    }
+
+    setCenter(center) {
+        this.center = { ...this.center, ...center };
+        this.notify();
+    }
+
+    // Cell i spans [i, i + 1]; mirrored across a plane at p it lands in 2p - i - 1
+    mirrorCell(cell, axis) {
+        return { ...cell, [axis]: Math.round(2 * this.center[axis] - cell[axis] - 1) };
+    }
+
+    // Cell turned by `angle` around the vertical axis through the center (rounded to the grid)
+    rotateCell(cell, angle) {
+        const dx = cell.x + 0.5 - this.center.x;
+        const dz = cell.z + 0.5 - this.center.z;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return {
+            ...cell,
+            x: Math.floor(this.center.x + dx * cos - dz * sin + 1e-6),
+            z: Math.floor(this.center.z + dx * sin + dz * cos + 1e-6)
+        };
+    }
+
+    // The cell and all its symmetric copies, without duplicates (the original comes first)
+    images(cell) {
+        let images = [cell];
+        AXES.forEach(axis => {
+            if (this.mirror[axis]) images = images.concat(images.map(c => this.mirrorCell(c, axis)));
+        });
+        if (this.radial > 1) {
+            const turns = [];
+            for (let k = 1; k < this.radial; k++) {
+                const angle = (Math.PI * 2 * k) / this.radial;
+                images.forEach(c => turns.push(this.rotateCell(c, angle)));
+            }
+            images = images.concat(turns);
+        }
+
+        const seen = new Set();
+        return images.filter(c => {
+            const key = `${c.x},${c.y},${c.z}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    // Every cell in the list plus its copies (extra fields like color are kept)
+    expand(cells) {
+        if (!this.enabled) return cells;
+        return cells.flatMap(cell => this.images(cell));
+    }
+
+    toJSON() {
+        return { ...this.mirror, radial: this.radial, center: { ...this.center } };
+    }
+
+    // Restore toJSON() output (unknown or missing fields keep their current value)
+    load(data) {
+        if (!data || typeof data !== 'object') return;
+        AXES.forEach(axis => {
+            if (typeof data[axis] === 'boolean') this.mirror[axis] = data[axis];
+        });
+        if (Number.isInteger(data.radial) && data.radial >= 1) this.radial = data.radial;
+        if (data.center) {
+            AXES.forEach(axis => {
+                if (Number.isFinite(data.center[axis])) this.center[axis] = data.center[axis];
+            });
+        }
+        this.notify();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+export default Symmetry;
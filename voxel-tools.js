@@ -0,0 +1,111 @@
+import { lineCells, boxCells, ellipsoidCells, cylinderCells, planeCells, floodFillCells } from './voxel-shapes.js';
+
+// Shape Tools
+// Construction tools driven by the cursor cell. Two-point tools take the first
+// press as an anchor and build on the second; the cells between the anchor and
+// the cursor are the live preview. One-point tools build on a single press.
+// DOM- and THREE-free: callers pass integer cells in and get cell lists back.
+
+// points: presses needed, hollow: honours the hollow option,
+// target: 'voxel' aims at the voxel under the pointer instead of the empty cell
+// in front of it, select: picks voxels instead of building
+const TOOLS = {
+    voxel: { name: 'Block', emoji: '🧱', points: 1 },
+    line: { name: 'Line', emoji: '📏', points: 2, cells: (a, b) => lineCells(a, b) },
+    box: { name: 'Box', emoji: '📦', points: 2, hollow: true, cells: (a, b, o) => boxCells(a, b, o.hollow) },
+    sphere: { name: 'Sphere', emoji: '🔮', points: 2, hollow: true, cells: (a, b, o) => ellipsoidCells(a, b, o.hollow) },
+    cylinder: { name: 'Cylinder', emoji: '🛢️', points: 2, hollow: true, cells: (a, b, o) => cylinderCells(a, b, o.hollow) },
+    plane: { name: 'Plane', emoji: '⬜', points: 2, cells: (a, b) => planeCells(a, b) },
+    fill: { name: 'Fill', emoji: '🪣', points: 1, cells: (a, b, o) => floodFillCells(a, o.isSolid, o.fillLimit) || [] },
+    selectBox: { name: 'Select Box', emoji: '⬚', points: 2, target: 'voxel', select: 'box', cells: (a, b) => boxCells(a, b, true) },
+    selectConnected: { name: 'Select Connected', emoji: '🔗', points: 1, target: 'voxel', select: 'connected' },
+    selectColor: { name: 'Select Color', emoji: '🎯', points: 1, target: 'voxel', select: 'color' }
+};
+
+class ShapeTools {
+
+    constructor({ maxCells = 20000, fillLimit = 4096 } = {}) {
+        this.maxCells = maxCells; // Bigger shapes are refused (a stray pinch shouldn't build 100k voxels)
+        this.fillLimit = fillLimit; // Larger fill regions count as "not enclosed"
+        this.active = 'voxel';
+        this.hollow = false;
+        this.anchor = null; // First corner of a two-point tool
+        this.listeners = [];
+    }
+
+    get tool() {
+        return TOOLS[this.active];
+    }
+
+    // Single block placement is handled by the editor, not by the tool
+    get isShape() {
+        return this.active !== 'voxel';
+    }
+
+    select(id) {
+        if (!TOOLS[id]) throw new Error(`Unknown tool: ${id}`);
+        this.active = id;
+        this.anchor = null;
+        this.notify();
+    }
+
+    setHollow(hollow) {
+        this.hollow = hollow;
+        this.notify();
+    }
+
+    // Drop a half-finished shape
+    cancel() {
+        if (!this.anchor) return false;
+        this.anchor = null;
+        this.notify();
+        return true;
+    }
+
+    // Cells the tool would build if pressed at `cell` now.
+    // isSolid(cell) -> true when the cell already holds a voxel.
+    preview(cell, isSolid) {
+        const tool = this.tool;
+        if (!tool.cells) return [cell];
+        if (tool.points === 2 && !this.anchor) return [cell];
+
+        const start = tool.points === 2 ? this.anchor : cell;
+        return tool.cells(start, cell, { hollow: this.hollow, isSolid, fillLimit: this.fillLimit });
+    }
+
+    // Returns null when the press only set the anchor, otherwise the { from, to } it completes
+    span(cell) {
+        if (this.tool.points === 2 && !this.anchor) {
+            this.anchor = cell;
+            this.notify();
+            return null;
+        }
+
+        const from = this.tool.points === 2 ? this.anchor : cell;
+        this.anchor = null;
+        this.notify();
+        return { from, to: cell };
+    }
+
+    // Returns null when the press only set the anchor, otherwise the cells to build
+    // (empty when there's nothing to build, e.g. an open fill region)
+    press(cell, isSolid) {
+        const span = this.span(cell);
+        if (!span) return null;
+
+        const cells = this.tool.cells(span.from, span.to, { hollow: this.hollow, isSolid, fillLimit: this.fillLimit });
+        return cells.length > this.maxCells ? [] : cells;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+ShapeTools.TOOLS = TOOLS;
+
+export default ShapeTools;